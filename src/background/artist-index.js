@@ -0,0 +1,266 @@
+// Artist Index Module
+// In-memory index of the artist list: normalized names and aliases -> artist ID, plus their
+// transliterated and diacritic-free match keys, so "Кино", "Kino" and "Kíno" find the same artist.
+// Built once per service worker lifetime from the database and updated by StorageManager on
+// every artist write (only the service worker writes artists), so lookups do not read and
+// re-normalize the whole list.
+// Dependencies: NormalizationUtils (utils/normalization.js), StorageManager (storage.js)
+
+class ArtistIndex {
+  static byId = null;     // Map<id, artist>
+  static byName = null;   // Map<normalized name, id>
+  static byKey = null;    // Map<normalized name or alias, id>
+  static byMatchKey = null; // Map<match key of a name or alias, id>
+  static loading = null;  // Promise of the initial load
+  static dirty = false;   // Artists were written while the initial load was reading
+
+  /**
+   * Index key for an artist name or alias.
+   * @param {string} name
+   * @returns {string}
+   */
+  static keyOf(name) {
+    return NormalizationUtils.normalizeArtist(name);
+  }
+
+  /**
+   * Spelling-independent keys of a name or alias (NormalizationUtils.artistMatchKeys).
+   * @param {string} name
+   * @returns {string[]}
+   */
+  static matchKeysOf(name) {
+    return NormalizationUtils.artistMatchKeys(name);
+  }
+
+  /**
+   * Rebuilds the index from an artist list.
+   * Names take precedence over aliases; the first record wins for duplicate keys.
+   *
+   * @param {Object[]} artists
+   */
+  static build(artists) {
+    const byId = new Map();
+    const byName = new Map();
+
+    for (const artist of artists) {
+      byId.set(artist.id, artist);
+      const key = this.keyOf(artist.name);
+      if (key && !byName.has(key)) byName.set(key, artist.id);
+    }
+
+    const byKey = new Map(byName);
+    for (const artist of artists) {
+      for (const alias of artist.aliases || []) {
+        const key = this.keyOf(alias);
+        if (key && !byKey.has(key)) byKey.set(key, artist.id);
+      }
+    }
+
+    const byMatchKey = new Map();
+    for (const artist of artists) {
+      this.addMatchKeys(byMatchKey, artist.id, [artist.name]);
+    }
+    for (const artist of artists) {
+      this.addMatchKeys(byMatchKey, artist.id, artist.aliases || []);
+    }
+
+    this.byId = byId;
+    this.byName = byName;
+    this.byKey = byKey;
+    this.byMatchKey = byMatchKey;
+  }
+
+  static addMatchKeys(byMatchKey, id, names) {
+    for (const name of names) {
+      for (const key of this.matchKeysOf(name)) {
+        if (!byMatchKey.has(key)) byMatchKey.set(key, id);
+      }
+    }
+  }
+
+  /**
+   * Loads the index from storage on first use.
+   * @returns {Promise<void>}
+   */
+  static ready() {
+    if (this.byKey) return Promise.resolve();
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  static async load() {
+    let artists;
+    do {
+      this.dirty = false;
+      artists = await StorageManager.getArtists();
+    } while (this.dirty);
+    this.build(artists);
+  }
+
+  /**
+   * Drops the index; the next lookup loads it again from the database.
+   * For writes that bypass StorageManager.writeArtists (clearing, data migrations).
+   */
+  static invalidate() {
+    this.byId = null;
+    this.byName = null;
+    this.byKey = null;
+    this.byMatchKey = null;
+    // A load in progress may have read the old data: it reads again
+    this.dirty = true;
+  }
+
+  /**
+   * Applies written and deleted artist records to the index.
+   * Keys a removed or renamed record held go to the remaining artists that claim them.
+   *
+   * @param {{put?: Object[], delete?: string[]}} changes
+   */
+  static apply(changes) {
+    if (!this.byKey) {
+      // Not loaded yet: the load picks up the change (or reads again if it is in progress)
+      this.dirty = true;
+      return;
+    }
+
+    const freed = { names: new Set(), keys: new Set(), matchKeys: new Set() };
+    (changes.delete || []).forEach(id => this.removeKeys(id, freed));
+
+    for (const artist of changes.put || []) {
+      this.removeKeys(artist.id, freed);
+      this.byId.set(artist.id, artist);
+
+      const key = this.keyOf(artist.name);
+      if (key && !this.byName.has(key)) {
+        // A name takes a key over from another artist's alias
+        this.byName.set(key, artist.id);
+        this.byKey.set(key, artist.id);
+      }
+      for (const alias of artist.aliases || []) {
+        const aliasKey = this.keyOf(alias);
+        if (aliasKey && !this.byKey.has(aliasKey)) this.byKey.set(aliasKey, artist.id);
+      }
+      this.addMatchKeys(this.byMatchKey, artist.id, [artist.name, ...(artist.aliases || [])]);
+    }
+
+    this.reassignKeys(freed);
+  }
+
+  /**
+   * Removes an artist and the keys pointing to it; the keys are collected in `freed`.
+   *
+   * @param {string} id
+   * @param {{names: Set<string>, keys: Set<string>, matchKeys: Set<string>}} freed
+   */
+  static removeKeys(id, freed) {
+    const artist = this.byId.get(id);
+    if (!artist) return;
+
+    for (const name of [artist.name, ...(artist.aliases || [])]) {
+      const key = this.keyOf(name);
+      if (this.byName.get(key) === id) {
+        this.byName.delete(key);
+        freed.names.add(key);
+      }
+      if (this.byKey.get(key) === id) {
+        this.byKey.delete(key);
+        freed.keys.add(key);
+      }
+      for (const matchKey of this.matchKeysOf(name)) {
+        if (this.byMatchKey.get(matchKey) === id) {
+          this.byMatchKey.delete(matchKey);
+          freed.matchKeys.add(matchKey);
+        }
+      }
+    }
+    this.byId.delete(id);
+  }
+
+  /**
+   * Gives freed keys that are still unclaimed to the remaining artists, with the
+   * precedence of build(): names before aliases, then the first record.
+   *
+   * @param {{names: Set<string>, keys: Set<string>, matchKeys: Set<string>}} freed
+   */
+  static reassignKeys(freed) {
+    const names = [...freed.names].filter(key => !this.byName.has(key));
+    const keys = new Set([...freed.keys].filter(key => !this.byKey.has(key)));
+    const matchKeys = new Set([...freed.matchKeys].filter(key => !this.byMatchKey.has(key)));
+    if (names.length === 0 && keys.size === 0 && matchKeys.size === 0) return;
+
+    const nameKeys = new Set(names);
+    for (const artist of this.byId.values()) {
+      const key = this.keyOf(artist.name);
+      if (nameKeys.has(key) && !this.byName.has(key)) {
+        this.byName.set(key, artist.id);
+        this.byKey.set(key, artist.id);
+      }
+    }
+
+    for (const artist of this.byId.values()) {
+      for (const alias of artist.aliases || []) {
+        const key = this.keyOf(alias);
+        if (keys.has(key) && !this.byKey.has(key)) this.byKey.set(key, artist.id);
+      }
+    }
+
+    // Every other match key is taken, so adding all of them only fills the freed ones
+    if (matchKeys.size === 0) return;
+    for (const artist of this.byId.values()) {
+      this.addMatchKeys(this.byMatchKey, artist.id, [artist.name]);
+    }
+    for (const artist of this.byId.values()) {
+      this.addMatchKeys(this.byMatchKey, artist.id, artist.aliases || []);
+    }
+  }
+
+  /**
+   * Finds an artist by name or alias.
+   * The exact normalized spelling wins; otherwise the name is matched in either script and without diacritics.
+   *
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  static async find(name) {
+    await this.ready();
+    let id = this.byKey.get(this.keyOf(name));
+    if (id === undefined) {
+      const matchKey = this.matchKeysOf(name).find(key => this.byMatchKey.has(key));
+      if (matchKey !== undefined) id = this.byMatchKey.get(matchKey);
+    }
+    return id !== undefined ? this.byId.get(id) || null : null;
+  }
+
+  /**
+   * Finds an artist by its name only (aliases ignored), as used when merging new records.
+   *
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  static async findByName(name) {
+    await this.ready();
+    const id = this.byName.get(this.keyOf(name));
+    return id !== undefined ? this.byId.get(id) || null : null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  static async get(id) {
+    await this.ready();
+    return this.byId.get(id) || null;
+  }
+
+  static async size() {
+    await this.ready();
+    return this.byId.size;
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.ArtistIndex = ArtistIndex;
+}
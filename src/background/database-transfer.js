@@ -0,0 +1,418 @@
+// Database Transfer Module
+// Export of the artist/song database to versioned JSON and CSV, and validated import
+// that merges into the existing data (StorageManager.addArtists / addSongs)
+// Dependencies: StorageManager (storage.js), ArtistIndex (artist-index.js), NormalizationUtils (utils/normalization.js)
+
+const TRANSFER_FORMAT = 'youtube-music-extension-database';
+const TRANSFER_VERSION = 1;
+
+// One CSV for both record types; `type` is 'artist' or 'song'
+const CSV_COLUMNS = ['type', 'name', 'aliases', 'country', 'verdict', 'verdictSource', 'addedBy', 'comment', 'title'];
+// Written on export, optional on import (files from older versions lack them).
+// `evidence` holds the artist's lookup evidence as JSON text.
+const CSV_OPTIONAL_COLUMNS = ['confidence', 'needsReview', 'rationale', 'evidence'];
+const CSV_ALIAS_SEPARATOR = '|';
+
+const IMPORT_ADDED_BY = ['search', 'user_block', 'user_allow', 'import'];
+const IMPORT_VERDICTS = ['block', 'allow'];
+const IMPORT_VERDICT_SOURCES = ['signal', 'ai'];
+
+class DatabaseTransfer {
+  /**
+   * Serializes the database.
+   *
+   * @param {'json' | 'csv'} format
+   * @returns {Promise<{content: string, filename: string, mimeType: string}>}
+   */
+  static async export(format) {
+    const [artists, songs] = await Promise.all([StorageManager.getArtists(), StorageManager.getSongs()]);
+    const exportedArtists = artists.map(artist => this.exportArtist(artist));
+    const exportedSongs = songs.filter(song => song.artist !== undefined).map(song => this.exportSong(song));
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      return {
+        content: this.toCsv(exportedArtists, exportedSongs),
+        filename: `ymx-database-${date}.csv`,
+        mimeType: 'text/csv'
+      };
+    }
+
+    const data = {
+      format: TRANSFER_FORMAT,
+      version: TRANSFER_VERSION,
+      exportedAt: new Date().toISOString(),
+      artists: exportedArtists,
+      songs: exportedSongs
+    };
+    return {
+      content: JSON.stringify(data, null, 2),
+      filename: `ymx-database-${date}.json`,
+      mimeType: 'application/json'
+    };
+  }
+
+  static exportArtist(artist) {
+    return {
+      name: artist.name,
+      aliases: artist.aliases || [],
+      country: artist.country || null,
+      verdict: artist.verdict || null,
+      verdictSource: artist.verdictSource || null,
+      addedBy: artist.addedBy || null,
+      comment: artist.comment || '',
+      confidence: typeof artist.confidence === 'number' ? artist.confidence : null,
+      needsReview: !!artist.needsReview,
+      rationale: artist.rationale || '',
+      evidence: artist.evidence || null
+    };
+  }
+
+  static exportSong(song) {
+    return {
+      title: song.title,
+      artist: song.artist,
+      verdict: song.verdict
+    };
+  }
+
+  static toCsv(artists, songs) {
+    const rows = [[...CSV_COLUMNS, ...CSV_OPTIONAL_COLUMNS]];
+    artists.forEach(artist => {
+      rows.push(['artist', artist.name, artist.aliases.join(CSV_ALIAS_SEPARATOR), artist.country || '',
+        artist.verdict || '', artist.verdictSource || '', artist.addedBy || '', artist.comment, '',
+        artist.confidence ?? '', artist.needsReview ? 'true' : '', artist.rationale,
+        artist.evidence ? JSON.stringify(artist.evidence) : '']);
+    });
+    songs.forEach(song => {
+      rows.push(['song', song.artist, '', '', song.verdict, '', '', '', song.title, '', '', '', '']);
+    });
+
+    const header = `# format=${TRANSFER_FORMAT};version=${TRANSFER_VERSION}`;
+    return [header, ...rows.map(row => row.map(value => this.escapeCsv(value)).join(','))].join('\r\n') + '\r\n';
+  }
+
+  static escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Parses CSV text into rows (RFC 4180 quoting). Lines starting with '#' are comments.
+   * @param {string} text
+   * @returns {string[][]}
+   */
+  static parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let atLineStart = true;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (atLineStart && char === '#') {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end;
+        continue;
+      }
+      atLineStart = false;
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+        field = '';
+        atLineStart = true;
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Parses and validates an export file.
+   *
+   * @param {string} text - File content
+   * @param {'json' | 'csv'} format
+   * @returns {{artists: Object[], songs: Object[], errors: string[]}}
+   */
+  static parse(text, format) {
+    const errors = [];
+    let rawArtists = [];
+    let rawSongs = [];
+
+    if (format === 'csv') {
+      const rows = this.parseCsvRows(text || '');
+      const header = rows.shift() || [];
+      const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+      if (missing.length > 0) {
+        return { artists: [], songs: [], errors: [`Missing CSV columns: ${missing.join(', ')}`] };
+      }
+
+      rows.forEach((values, index) => {
+        const record = {};
+        header.forEach((column, i) => { record[column] = (values[i] || '').trim(); });
+        const line = index + 1; // Data row number, header not counted
+
+        if (record.type === 'artist') {
+          let evidence = null;
+          if (record.evidence) {
+            try {
+              evidence = JSON.parse(record.evidence);
+            } catch (e) {
+              evidence = record.evidence; // Rejected by validateArtist
+            }
+          }
+          rawArtists.push({
+            ...record,
+            aliases: record.aliases ? record.aliases.split(CSV_ALIAS_SEPARATOR) : [],
+            confidence: record.confidence && Number.isFinite(Number(record.confidence))
+              ? Number(record.confidence) : record.confidence || null,
+            needsReview: record.needsReview ? record.needsReview.toLowerCase() : false,
+            evidence,
+            line
+          });
+        } else if (record.type === 'song') {
+          rawSongs.push({ title: record.title, artist: record.name, verdict: record.verdict, line });
+        } else {
+          errors.push(`Row ${line}: unknown type "${record.type}"`);
+        }
+      });
+    } else {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        return { artists: [], songs: [], errors: [`Invalid JSON: ${e.message}`] };
+      }
+      if (!data || data.format !== TRANSFER_FORMAT) {
+        return { artists: [], songs: [], errors: ['Not a database export of this extension'] };
+      }
+      if (data.version > TRANSFER_VERSION) {
+        return { artists: [], songs: [], errors: [`Export version ${data.version} is newer than supported (${TRANSFER_VERSION})`] };
+      }
+      rawArtists = Array.isArray(data.artists) ? data.artists.map((a, i) => ({ ...a, line: `artists[${i}]` })) : [];
+      rawSongs = Array.isArray(data.songs) ? data.songs.map((s, i) => ({ ...s, line: `songs[${i}]` })) : [];
+    }
+
+    const artists = [];
+    rawArtists.forEach(raw => {
+      const artist = this.validateArtist(raw, errors);
+      if (artist) artists.push(artist);
+    });
+
+    const songs = [];
+    rawSongs.forEach(raw => {
+      const song = this.validateSong(raw, errors);
+      if (song) songs.push(song);
+    });
+
+    return { artists, songs, errors };
+  }
+
+  /**
+   * Validates an imported artist and converts it to a storage record.
+   * @returns {Object|null}
+   */
+  static validateArtist(raw, errors) {
+    const where = typeof raw.line === 'number' ? `Row ${raw.line}` : raw.line;
+
+    if (!raw.name || typeof raw.name !== 'string' || !raw.name.trim()) {
+      errors.push(`${where}: artist name is missing`);
+      return null;
+    }
+    if (raw.verdict && !IMPORT_VERDICTS.includes(raw.verdict)) {
+      errors.push(`${where}: invalid verdict "${raw.verdict}"`);
+      return null;
+    }
+    if (raw.country && !/^[A-Za-z]{2}$/.test(raw.country)) {
+      errors.push(`${where}: invalid country "${raw.country}" (expected an ISO 3166-1 alpha-2 code)`);
+      return null;
+    }
+    if (raw.aliases && !Array.isArray(raw.aliases)) {
+      errors.push(`${where}: aliases must be a list`);
+      return null;
+    }
+    if (raw.confidence !== undefined && raw.confidence !== null &&
+        !(typeof raw.confidence === 'number' && raw.confidence >= 0 && raw.confidence <= 1)) {
+      errors.push(`${where}: invalid confidence "${raw.confidence}" (expected a number from 0 to 1)`);
+      return null;
+    }
+    if (raw.needsReview !== undefined && ![true, false, 'true', 'false'].includes(raw.needsReview)) {
+      errors.push(`${where}: invalid needsReview "${raw.needsReview}" (expected true or false)`);
+      return null;
+    }
+    if (raw.rationale !== undefined && raw.rationale !== null && typeof raw.rationale !== 'string') {
+      errors.push(`${where}: rationale must be text`);
+      return null;
+    }
+    const evidence = raw.evidence ? this.validateEvidence(raw.evidence) : null;
+    if (raw.evidence && !evidence) {
+      errors.push(`${where}: invalid evidence (expected resolvedAt, provider and an optional channel with id and title)`);
+      return null;
+    }
+
+    const artist = {
+      id: crypto.randomUUID(),
+      name: raw.name.trim(),
+      aliases: (raw.aliases || []).filter(alias => typeof alias === 'string' && alias.trim()).map(alias => alias.trim()),
+      addedBy: IMPORT_ADDED_BY.includes(raw.addedBy) ? raw.addedBy : 'import',
+      comment: typeof raw.comment === 'string' ? raw.comment : 'Imported'
+    };
+    if (raw.country) artist.country = raw.country.toUpperCase();
+    if (raw.verdict) artist.verdict = raw.verdict;
+    if (IMPORT_VERDICT_SOURCES.includes(raw.verdictSource)) artist.verdictSource = raw.verdictSource;
+    if (typeof raw.confidence === 'number') artist.confidence = raw.confidence;
+    if (raw.rationale) artist.rationale = raw.rationale;
+    if (evidence) artist.evidence = evidence;
+    // A verdict waiting for review only makes sense with the verdict it is about
+    if (artist.verdict && (raw.needsReview === true || raw.needsReview === 'true')) artist.needsReview = true;
+    return artist;
+  }
+
+  /**
+   * Validates imported lookup evidence and copies the fields the popup's "Why?" view shows.
+   * @returns {Object|null} Null when the shape does not match
+   */
+  static validateEvidence(raw) {
+    if (typeof raw !== 'object' || Array.isArray(raw)) return null;
+    if (typeof raw.resolvedAt !== 'number' || typeof raw.provider !== 'string' || !raw.provider) return null;
+
+    const channel = raw.channel;
+    if (channel && (typeof channel !== 'object' || typeof channel.id !== 'string' ||
+        typeof channel.title !== 'string' || (channel.signals !== undefined && !Array.isArray(channel.signals)))) {
+      return null;
+    }
+
+    return {
+      resolvedAt: raw.resolvedAt,
+      provider: raw.provider,
+      model: typeof raw.model === 'string' ? raw.model : null,
+      reason: typeof raw.reason === 'string' ? raw.reason : '',
+      channel: channel ? {
+        id: channel.id,
+        title: channel.title,
+        country: typeof channel.country === 'string' ? channel.country : null,
+        signals: (channel.signals || [])
+          .filter(signal => signal && typeof signal.label === 'string')
+          .map(signal => ({ id: String(signal.id ?? ''), label: signal.label })),
+        descriptionExcerpt: typeof channel.descriptionExcerpt === 'string' ? channel.descriptionExcerpt : ''
+      } : null
+    };
+  }
+
+  /**
+   * Validates an imported song and converts it to a storage record.
+   * @returns {Object|null}
+   */
+  static validateSong(raw, errors) {
+    const where = typeof raw.line === 'number' ? `Row ${raw.line}` : raw.line;
+
+    if (!raw.title || !raw.artist || typeof raw.title !== 'string' || typeof raw.artist !== 'string') {
+      errors.push(`${where}: song title or artist is missing`);
+      return null;
+    }
+    if (!IMPORT_VERDICTS.includes(raw.verdict)) {
+      errors.push(`${where}: invalid song verdict "${raw.verdict}"`);
+      return null;
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      title: raw.title.trim(),
+      artist: raw.artist.trim(),
+      verdict: raw.verdict,
+      artwork: '',
+      addedAt: Date.now()
+    };
+  }
+
+  /**
+   * Dry run of an import against the current database.
+   *
+   * @param {{artists: Object[], songs: Object[]}} parsed
+   * @returns {Promise<{artists: {added: number, updated: number, unchanged: number}, songs: Object, changes: string[]}>}
+   */
+  static async preview(parsed) {
+    const summary = {
+      artists: { added: 0, updated: 0, unchanged: 0 },
+      songs: { added: 0, updated: 0, unchanged: 0 },
+      changes: []
+    };
+
+    // Same matching as StorageManager.addArtists / addSongs, on copies
+    const artists = new Map();
+    for (const artist of parsed.artists) {
+      const key = ArtistIndex.keyOf(artist.name);
+      const existing = artists.get(key) || structuredClone(await ArtistIndex.findByName(artist.name));
+      if (!existing) {
+        artists.set(key, structuredClone(artist));
+        summary.artists.added++;
+        summary.changes.push(`+ Artist ${artist.name}${artist.verdict ? ` (${artist.verdict})` : ''}`);
+      } else if (StorageManager.mergeArtist(existing, structuredClone(artist))) {
+        artists.set(key, existing);
+        summary.artists.updated++;
+        summary.changes.push(`~ Artist ${existing.name}`);
+      } else {
+        summary.artists.unchanged++;
+      }
+    }
+
+    const songs = new Map();
+    for (const song of parsed.songs) {
+      const key = `${NormalizationUtils.normalizeTitle(song.title)}\u0000${NormalizationUtils.normalizeArtist(song.artist)}`;
+      const existing = songs.get(key) || await StorageManager.findSong(song.title, song.artist);
+      if (!existing) {
+        songs.set(key, song);
+        summary.songs.added++;
+        summary.changes.push(`+ Song ${song.artist} - ${song.title} (${song.verdict})`);
+      } else if (existing.verdict !== song.verdict) {
+        songs.set(key, song);
+        summary.songs.updated++;
+        summary.changes.push(`~ Song ${song.artist} - ${song.title} (${existing.verdict} -> ${song.verdict})`);
+      } else {
+        summary.songs.unchanged++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Merges the parsed records into the database.
+   *
+   * @param {{artists: Object[], songs: Object[]}} parsed
+   * @returns {Promise<{artists: Object, songs: Object}>} Counts per record type
+   */
+  static async apply(parsed) {
+    const artists = await StorageManager.addArtists(parsed.artists);
+    const songs = await StorageManager.addSongs(parsed.songs);
+    return { artists, songs };
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.DatabaseTransfer = DatabaseTransfer;
+}
@@ -0,0 +1,294 @@
+// Database Module
+// IndexedDB store for artists, songs and the search cache, with versioned schema migrations.
+// Records are written one by one instead of rewriting whole chrome.storage blobs.
+// Dependencies: NormalizationUtils (utils/normalization.js)
+
+const DB_NAME = 'youtube-music-extension';
+const DB_STORES = {
+  ARTISTS: 'artists',
+  SONGS: 'songs',
+  SEARCH_CACHE: 'search_cache',
+  META: 'meta'
+};
+
+/**
+ * Keys of search cache entries: the normalized artist name, and the YouTube channel ID when known.
+ */
+const SEARCH_CACHE_KEYS = {
+  artist: (name) => `artist:${NormalizationUtils.normalizeArtist(name)}`,
+  channel: (channelId) => `channel:${channelId}`
+};
+
+/**
+ * Brings a search cache entry keyed by the raw query (chrome.storage blob, schema v1)
+ * to the current shape: artist key, searched name, results under `data.results`.
+ *
+ * @param {Object} entry - Entry with `query` set to the raw search string
+ * @returns {Object}
+ */
+function upgradeSearchCacheEntry(entry) {
+  const { results, ...rest } = entry;
+  const upgraded = {
+    ...rest,
+    query: SEARCH_CACHE_KEYS.artist(entry.query),
+    name: entry.query,
+    channelId: null
+  };
+  if (!upgraded.data && results) {
+    upgraded.data = { results };
+  }
+  return upgraded;
+}
+
+/**
+ * Of two entries for the same key, the one to keep: a result beats a failure, then the newer one wins.
+ */
+function preferSearchCacheEntry(a, b) {
+  if ((a.state === 'resolved') !== (b.state === 'resolved')) {
+    return a.state === 'resolved' ? a : b;
+  }
+  return (a.timestamp || 0) >= (b.timestamp || 0) ? a : b;
+}
+
+/**
+ * Schema migrations; entry N upgrades the database from version N to N + 1.
+ * The database version is the number of entries. Never edit a released entry, append a new one.
+ * A migration that reads records returns a promise, settled once its writes are issued: the next
+ * migration waits for it, so it reads the migrated records (requests run in the order they are made).
+ *
+ * artists:      keyPath id; indexes nameKey (normalized name), channelIds (multi-entry),
+ *               addedBy (verdict source: search, user_*, import, feed), feedId
+ * songs:        keyPath id; indexes titleKey, songKey ([titleKey, artistKey])
+ * search_cache: keyPath query (SEARCH_CACHE_KEYS since v2, the raw search string before)
+ * meta:         keyPath key (one-off data migrations, e.g. the chrome.storage import)
+ */
+const DB_MIGRATIONS = [
+  (db) => {
+    const artists = db.createObjectStore(DB_STORES.ARTISTS, { keyPath: 'id' });
+    artists.createIndex('nameKey', 'nameKey', { unique: false });
+    artists.createIndex('channelIds', 'channelIds', { unique: false, multiEntry: true });
+    artists.createIndex('addedBy', 'addedBy', { unique: false });
+    artists.createIndex('feedId', 'feedId', { unique: false });
+
+    const songs = db.createObjectStore(DB_STORES.SONGS, { keyPath: 'id' });
+    songs.createIndex('titleKey', 'titleKey', { unique: false });
+    songs.createIndex('songKey', ['titleKey', 'artistKey'], { unique: false });
+
+    db.createObjectStore(DB_STORES.SEARCH_CACHE, { keyPath: 'query' });
+    db.createObjectStore(DB_STORES.META, { keyPath: 'key' });
+  },
+  // Re-key the search cache by normalized artist name; spellings of one artist collapse into one entry
+  (db, transaction) => new Promise(resolve => {
+    const store = transaction.objectStore(DB_STORES.SEARCH_CACHE);
+    const request = store.getAll();
+    request.onsuccess = () => {
+      const rekeyed = new Map();
+      request.result.forEach(entry => {
+        const upgraded = upgradeSearchCacheEntry(entry);
+        const existing = rekeyed.get(upgraded.query);
+        rekeyed.set(upgraded.query, existing ? preferSearchCacheEntry(existing, upgraded) : upgraded);
+      });
+
+      store.clear();
+      rekeyed.forEach(entry => store.put(entry));
+      resolve();
+    };
+  }),
+  // Recompute the normalized keys after Unicode folding (NFKC, homoglyphs, emoji) joined the normalization
+  (db, transaction) => {
+    const records = [DB_STORES.ARTISTS, DB_STORES.SONGS].map(storeName => new Promise(resolve => {
+      const store = transaction.objectStore(storeName);
+      const request = store.getAll();
+      request.onsuccess = () => {
+        request.result.forEach(record => store.put(Database.withKeys(storeName, record)));
+        resolve();
+      };
+    }));
+
+    const cacheEntries = new Promise(resolve => {
+      const cache = transaction.objectStore(DB_STORES.SEARCH_CACHE);
+      const request = cache.getAll();
+      request.onsuccess = () => {
+        const rekeyed = new Map();
+        request.result.forEach(entry => {
+          const query = entry.query.startsWith('artist:') && entry.name ? SEARCH_CACHE_KEYS.artist(entry.name) : entry.query;
+          const upgraded = { ...entry, query };
+          const existing = rekeyed.get(query);
+          rekeyed.set(query, existing ? preferSearchCacheEntry(existing, upgraded) : upgraded);
+        });
+
+        cache.clear();
+        rekeyed.forEach(entry => cache.put(entry));
+        resolve();
+      };
+    });
+
+    return Promise.all([...records, cacheEntries]);
+  }
+];
+
+const DB_VERSION = DB_MIGRATIONS.length;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when a transaction commits.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+class Database {
+  static connection = null; // Promise<IDBDatabase>
+
+  /**
+   * Opens the database, running pending schema migrations.
+   * @returns {Promise<IDBDatabase>}
+   */
+  static open() {
+    if (this.connection) return this.connection;
+
+    this.connection = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const migrate = (version) => {
+          if (version >= DB_VERSION) return;
+          console.log(`Database: migrating schema v${version} -> v${version + 1}`);
+          const pending = DB_MIGRATIONS[version](db, request.transaction);
+          if (pending) {
+            pending.then(() => migrate(version + 1));
+          } else {
+            migrate(version + 1);
+          }
+        };
+        migrate(event.oldVersion);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another context upgraded the schema: drop this connection, reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          this.connection = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('Database: upgrade blocked by an open connection');
+    });
+
+    this.connection.catch(() => { this.connection = null; });
+    return this.connection;
+  }
+
+  /**
+   * Adds the derived lookup keys the indexes are built on.
+   * @param {string} storeName
+   * @param {Object} record
+   * @returns {Object} The record (keys set in place)
+   */
+  static withKeys(storeName, record) {
+    if (storeName === DB_STORES.ARTISTS) {
+      record.nameKey = NormalizationUtils.normalizeArtist(record.name);
+    } else if (storeName === DB_STORES.SONGS) {
+      record.titleKey = NormalizationUtils.normalizeTitle(record.title);
+      record.artistKey = NormalizationUtils.normalizeArtist(record.artist || '');
+    }
+    return record;
+  }
+
+  /**
+   * @param {string} storeName
+   * @returns {Promise<Object[]>}
+   */
+  static async getAll(storeName) {
+    const db = await this.open();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).getAll());
+  }
+
+  /**
+   * @param {string} storeName
+   * @param {IDBValidKey} key
+   * @returns {Promise<Object|null>}
+   */
+  static async get(storeName, key) {
+    const db = await this.open();
+    const record = await promisifyRequest(db.transaction(storeName).objectStore(storeName).get(key));
+    return record || null;
+  }
+
+  /**
+   * All records whose index matches a key.
+   *
+   * @param {string} storeName
+   * @param {string} indexName
+   * @param {IDBValidKey} key
+   * @returns {Promise<Object[]>}
+   */
+  static async getAllByIndex(storeName, indexName, key) {
+    const db = await this.open();
+    const index = db.transaction(storeName).objectStore(storeName).index(indexName);
+    return promisifyRequest(index.getAll(key));
+  }
+
+  /**
+   * @param {string} storeName
+   * @returns {Promise<number>}
+   */
+  static async count(storeName) {
+    const db = await this.open();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).count());
+  }
+
+  /**
+   * Writes and deletes records in one transaction.
+   *
+   * @param {string} storeName
+   * @param {{put?: Object[], delete?: IDBValidKey[]}} changes
+   */
+  static async write(storeName, changes) {
+    const puts = changes.put || [];
+    const deletes = changes.delete || [];
+    if (puts.length === 0 && deletes.length === 0) return;
+
+    const db = await this.open();
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    puts.forEach(record => store.put(this.withKeys(storeName, record)));
+    deletes.forEach(key => store.delete(key));
+    await transactionDone(transaction);
+  }
+
+  static async put(storeName, record) {
+    await this.write(storeName, { put: [record] });
+  }
+
+  static async clear(storeNames) {
+    const db = await this.open();
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => transaction.objectStore(name).clear());
+    await transactionDone(transaction);
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.Database = Database;
+}
@@ -0,0 +1,100 @@
+// Enforcement Module
+// Maps a verdict source (manual, feed, signal, ai, uncertain) to the configured playback action
+// and to the content script command that carries it out.
+// Dependencies: SettingsManager (settings.js), BlockingPolicy (policy.js)
+
+const ENFORCEMENT_ACTIONS = {
+  DISLIKE: 'dislike', // Dislike, then skip if YouTube Music does not advance by itself
+  SKIP: 'skip',       // Skip without rating
+  MUTE: 'mute',       // Mute until the song changes and show a banner
+  PAUSE: 'pause',     // Pause until decided (only meaningful for uncertain verdicts)
+  NOTIFY: 'notify',   // Banner only, playback untouched
+  NONE: 'none'        // Do nothing (only meaningful for uncertain verdicts)
+};
+
+// Uncertain actions that hold the song until the lookup ends
+const HOLD_ACTIONS = ['mute', 'pause'];
+
+// What to do with a held song when its lookup times out or fails
+const HOLD_FALLBACKS = {
+  RESUME: 'resume',
+  SKIP: 'skip',
+  MUTE: 'mute'
+};
+
+const ACTION_COMMANDS = {
+  dislike: 'BLOCK_CURRENT_SONG',
+  skip: 'SKIP_SONG',
+  mute: 'MUTE_SONG',
+  notify: 'SHOW_BANNER'
+};
+
+class Enforcement {
+  /**
+   * Returns the configured action for a verdict source.
+   *
+   * @param {'manual' | 'feed' | 'signal' | 'ai' | 'uncertain'} source
+   * @returns {Promise<string>} One of ENFORCEMENT_ACTIONS
+   */
+  static async getAction(source) {
+    const settings = await SettingsManager.get();
+    const action = settings.enforcement[source];
+    if (Object.values(ENFORCEMENT_ACTIONS).includes(action)) {
+      return action;
+    }
+    // Unknown source or corrupted setting: fall back to the strongest action for blocks
+    return source === VERDICT_SOURCES.UNCERTAIN ? ENFORCEMENT_ACTIONS.NONE : ENFORCEMENT_ACTIONS.DISLIKE;
+  }
+
+  /**
+   * Whether an action holds the song (mute/pause) until a verdict arrives.
+   * @param {string} action
+   */
+  static isHoldAction(action) {
+    return HOLD_ACTIONS.includes(action);
+  }
+
+  /**
+   * Returns the hold settings with the maximum hold time clamped to 5–60 s.
+   * @returns {Promise<{maxMs: number, fallback: string}>}
+   */
+  static async getHoldSettings() {
+    const settings = await SettingsManager.get();
+    const maxMs = Math.min(Math.max(Number(settings.hold.maxMs) || 0, 5000), 60000);
+    const fallback = Object.values(HOLD_FALLBACKS).includes(settings.hold.fallback)
+      ? settings.hold.fallback
+      : HOLD_FALLBACKS.RESUME;
+    return { maxMs, fallback };
+  }
+
+  /**
+   * Content script command for an action, or null if nothing has to be sent.
+   * @param {string} action
+   * @returns {string|null}
+   */
+  static getCommand(action) {
+    return ACTION_COMMANDS[action] || null;
+  }
+
+  /**
+   * Banner text shown in the player for mute/notify actions.
+   *
+   * @param {string} source
+   * @param {string} action
+   * @param {{title: string, artist: string}} song
+   * @param {string} [reason]
+   */
+  static getBannerText(source, action, song, reason) {
+    if (source === VERDICT_SOURCES.UNCERTAIN) {
+      if (action === ENFORCEMENT_ACTIONS.MUTE) return `Checking "${song.artist}"… muted until a verdict arrives.`;
+      if (action === ENFORCEMENT_ACTIONS.PAUSE) return `Checking "${song.artist}"… paused until a verdict arrives.`;
+      return `Checking "${song.artist}"…`;
+    }
+    return `Blocked: "${song.title}" by ${song.artist}${reason ? ` (${reason})` : ''}`;
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.Enforcement = Enforcement;
+}
@@ -1,13 +1,14 @@
 // Evaluator Module
 // Orchestrates the decision process for song/artist checking
-// Dependencies: SongMatcher (matcher.js)
+// Dependencies: SongMatcher (matcher.js), BlockingPolicy (policy.js)
 
 /**
  * @typedef {Object} EvaluationResult
  * @property {boolean} shouldBlock - Whether the song should be skipped/blocked
  * @property {string} blockMode - 'STRICT' (Dislike+Skip) or 'SOFT' (Skip only)
+ * @property {string} [source] - Verdict source of a block ('manual', 'signal', 'ai'), selects the enforcement action
  * @property {string} reason - Human-readable reason for the decision
- * @property {string} step - The pipeline step that made the decision (SONG, ARTIST, COUNTRY, PENDING_SEARCH)
+ * @property {string} step - The pipeline step that made the decision (SONG, ARTIST, COUNTRY, REVIEW, PENDING_SEARCH)
  * @property {Object} [details] - Additional data (e.g. matched song/artist object)
  * @property {string[]} [artistsToSearch] - List of artist names to search if pending
  */
@@ -16,7 +17,7 @@ class Evaluator {
   /**
    * Evaluates a song to determine if it should be blocked.
    * Pipeline order:
-   * 1. Known Song
+   * 1. Known Song (user verdict: always allow / always block)
    * 2. Known Artist(s)
    * 3. Artist Country (from cache/list)
    * 4. Pending Search (if unknown)
@@ -33,13 +34,25 @@ class Evaluator {
 
     // 1. Check Known Song (Exact match on title + artist string)
     // Note: SongMatcher.checkSongMatch handles the raw strings.
+    // A song verdict is set by the user and overrides language and artist checks.
     const songMatch = await SongMatcher.checkSongMatch(title, artistString);
     if (songMatch.match) {
+      const songVerdict = songMatch.song.verdict === VERDICTS.BLOCK ? VERDICTS.BLOCK : VERDICTS.ALLOW;
+      if (songVerdict === VERDICTS.BLOCK) {
+        return {
+          shouldBlock: true,
+          blockMode: 'STRICT',
+          source: VERDICT_SOURCES.MANUAL,
+          reason: 'Song blocked by user',
+          step: 'SONG',
+          details: { match: true, songVerdict, ...songDetails }
+        };
+      }
       return {
-        shouldBlock: false, // Placeholder: requires song object status. Assuming safe if manually added?
-        reason: 'Song found in database',
+        shouldBlock: false,
+        reason: 'Song allowed by user',
         step: 'SONG',
-        details: { match: true, ...songDetails }
+        details: { match: true, songVerdict, ...songDetails }
       };
     }
 
@@ -63,19 +76,20 @@ class Evaluator {
     let blockedArtists = [];
     let safeArtists = [];
     let unknownArtists = [];
+    let reviewArtists = []; // Unsure LLM verdicts, not enforced until reviewed
+
+    const policy = await BlockingPolicy.get();
 
     for (const artistName of individualArtists) {
         const match = await SongMatcher.checkArtistMatch(artistName);
         
-        if (match.match && match.artist) {
-            // Check if Russian
-            const isRussian = 
-                match.artist.country === 'RU' || 
-                (match.artist.country && match.artist.country.toLowerCase() === 'russia') || 
-                match.artist.isRussian === true || 
-                match.artist.isRussian === 'true';
-
-            if (isRussian) {
+        if (match.match && match.artist && BlockingPolicy.isAwaitingReview(match.artist)) {
+            reviewArtists.push(match.artist);
+        } else if (match.match && match.artist) {
+            // Verdict from the blocking policy (manual verdict, country, stored verdict)
+            const isBlocked = BlockingPolicy.getArtistVerdict(match.artist, policy) === VERDICTS.BLOCK;
+
+            if (isBlocked) {
                 blockedArtists.push(match.artist);
             } else {
                 safeArtists.push(match.artist);
@@ -102,9 +116,10 @@ class Evaluator {
         return {
             shouldBlock: true,
             blockMode: 'STRICT', // Always strict if any artist is blocked
-            reason: allBlocked ? 'All artists are Russian' : `Partial match (Force Dislike): ${blockedArtists.map(a => a.name).join(', ')} (Russian)`,
+            source: BlockingPolicy.strongestSource(blockedArtists),
+            reason: allBlocked ? 'All artists are blocked by policy' : `Partial match (Force Dislike): ${blockedArtists.map(a => a.name).join(', ')} (blocked)`,
             step: 'ARTIST',
-            details: { blocked: blockedArtists, safe: safeArtists, unknown: unknownArtists, ...songDetails }
+            details: { blocked: blockedArtists, safe: safeArtists, unknown: unknownArtists, review: reviewArtists, ...songDetails }
         };
     }
 
@@ -119,6 +134,16 @@ class Evaluator {
         };
     }
 
+    // Known artists, but some verdicts are unsure -> play until the user reviews them
+    if (reviewArtists.length > 0) {
+        return {
+            shouldBlock: false,
+            reason: `Awaiting review: ${reviewArtists.map(a => a.name).join(', ')}`,
+            step: 'REVIEW',
+            details: { review: reviewArtists, ...songDetails }
+        };
+    }
+
     // All artists are known and Safe
     return {
         shouldBlock: false,
@@ -0,0 +1,217 @@
+// Feed Module
+// Subscriptions to shared blocklist feeds (URL or local file), scheduled refresh via chrome.alarms
+// and merging of feed artists into the local artist list
+// Dependencies: StorageManager (storage.js), SettingsManager (settings.js), DatabaseTransfer (database-transfer.js)
+
+const FEED_FORMAT = 'youtube-music-extension-blocklist';
+const FEED_SCHEMA_VERSION = 1;
+const FEED_ALARM = 'feed-refresh';
+
+/**
+ * Feed file:
+ * {
+ *   format: 'youtube-music-extension-blocklist',
+ *   version: 1,                 // Schema version
+ *   name: string,
+ *   revision: string | number,  // Bumped by the maintainer on every change
+ *   artists: [{ name, aliases?, channelIds?, country?, verdict: 'block' | 'allow' }]
+ * }
+ */
+class FeedManager {
+  /**
+   * Parses and validates a feed file.
+   *
+   * @param {string} text
+   * @returns {{name: string, revision: string|number|null, artists: Object[], errors: string[]}}
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== FEED_FORMAT) {
+      throw new Error('Not a blocklist feed');
+    }
+    if (data.version > FEED_SCHEMA_VERSION) {
+      throw new Error(`Feed version ${data.version} is newer than supported (${FEED_SCHEMA_VERSION})`);
+    }
+    if (!Array.isArray(data.artists)) {
+      throw new Error('Feed has no artist list');
+    }
+
+    const errors = [];
+    const artists = [];
+    data.artists.forEach((raw, i) => {
+      const artist = DatabaseTransfer.validateArtist({ ...raw, line: `artists[${i}]` }, errors);
+      if (!artist) return;
+
+      const channelIds = Array.isArray(raw.channelIds)
+        ? raw.channelIds.filter(id => typeof id === 'string' && /^UC[\w-]{21,}$/.test(id))
+        : [];
+      if (channelIds.length > 0) artist.channelIds = channelIds;
+      delete artist.comment;
+      artists.push(artist);
+    });
+
+    return {
+      name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Unnamed feed',
+      revision: data.revision ?? null,
+      artists,
+      errors
+    };
+  }
+
+  /**
+   * Subscribes to a feed served over HTTP(S) and applies it right away.
+   *
+   * @param {string} url
+   * @returns {Promise<Object>} The subscription
+   */
+  static async subscribeUrl(url) {
+    if ((await StorageManager.getFeeds()).some(feed => feed.url === url)) {
+      throw new Error('Already subscribed to this feed');
+    }
+
+    // Only a feed that downloads and parses is kept as a subscription
+    const text = await this.download(url);
+    const parsed = this.parse(text);
+    const feed = { id: crypto.randomUUID(), name: parsed.name, url, revision: null, artistCount: 0, lastChecked: null, lastUpdated: null, lastError: null };
+    let duplicate = false;
+    await StorageManager.updateFeeds(feeds => {
+      // Checked again: a second subscription may have finished during the download
+      duplicate = feeds.some(f => f.url === url);
+      return duplicate ? null : [...feeds, feed];
+    });
+    if (duplicate) throw new Error('Already subscribed to this feed');
+
+    return this.applyContent(feed.id, text);
+  }
+
+  /**
+   * Subscribes to (or replaces) a feed loaded from a local file.
+   * File feeds are not refreshed by the schedule; loading the file again updates them.
+   *
+   * @param {string} fileName
+   * @param {string} text
+   * @returns {Promise<Object>} The subscription
+   */
+  static async subscribeFile(fileName, text) {
+    const parsed = this.parse(text);
+    const feed = { id: crypto.randomUUID(), name: parsed.name, url: null, fileName, revision: null, artistCount: 0, lastChecked: null, lastUpdated: null, lastError: null };
+    let feedId = feed.id;
+
+    await StorageManager.updateFeeds(feeds => {
+      const existing = feeds.find(f => !f.url && f.name === parsed.name);
+      if (existing) {
+        feedId = existing.id;
+        return null;
+      }
+      return [...feeds, feed];
+    });
+    return this.applyContent(feedId, text);
+  }
+
+  static async unsubscribe(feedId) {
+    await StorageManager.updateFeeds(feeds => feeds.filter(feed => feed.id !== feedId));
+    const removed = await StorageManager.removeFeedArtists(feedId);
+    console.log(`Unsubscribed feed ${feedId}, removed ${removed} artists.`);
+  }
+
+  static async download(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Parses feed content and merges it if its revision differs from the applied one.
+   *
+   * @param {string} feedId
+   * @param {string} text
+   * @returns {Promise<Object>} The updated subscription
+   */
+  static async applyContent(feedId, text) {
+    const parsed = this.parse(text);
+    let changes = {
+      name: parsed.name,
+      lastChecked: Date.now(),
+      lastError: parsed.errors.length > 0 ? `${parsed.errors.length} invalid artist(s) skipped` : null
+    };
+
+    const feeds = await StorageManager.getFeeds();
+    const feed = feeds.find(f => f.id === feedId);
+    if (!feed) throw new Error('Feed subscription not found');
+
+    if (feed.revision === null || parsed.revision === null || feed.revision !== parsed.revision) {
+      const result = await StorageManager.applyFeedArtists({ id: feedId, name: parsed.name }, parsed.artists);
+      console.log(`Feed "${parsed.name}" revision ${parsed.revision} applied:`, result);
+      changes = { ...changes, revision: parsed.revision, artistCount: parsed.artists.length, lastUpdated: Date.now() };
+    } else {
+      console.log(`Feed "${parsed.name}" unchanged (revision ${parsed.revision}).`);
+    }
+
+    return this.updateFeed(feedId, changes);
+  }
+
+  static async updateFeed(feedId, changes) {
+    let updated = null;
+    await StorageManager.updateFeeds(feeds => {
+      const index = feeds.findIndex(feed => feed.id === feedId);
+      if (index === -1) return null;
+      feeds[index] = { ...feeds[index], ...changes };
+      updated = feeds[index];
+      return feeds;
+    });
+    return updated;
+  }
+
+  /**
+   * Downloads one URL feed and applies it. Errors are stored on the subscription.
+   * @param {string} feedId
+   */
+  static async refresh(feedId) {
+    const feeds = await StorageManager.getFeeds();
+    const feed = feeds.find(f => f.id === feedId);
+    if (!feed || !feed.url) return feed || null;
+
+    try {
+      const text = await this.download(feed.url);
+      return await this.applyContent(feedId, text);
+    } catch (error) {
+      console.error(`Feed refresh failed (${feed.url}):`, error);
+      return this.updateFeed(feedId, { lastChecked: Date.now(), lastError: error.message });
+    }
+  }
+
+  /**
+   * Refreshes all URL feeds, one after another.
+   */
+  static async refreshAll() {
+    const feeds = await StorageManager.getFeeds();
+    for (const feed of feeds) {
+      if (feed.url) await this.refresh(feed.id);
+    }
+  }
+
+  /**
+   * (Re)creates the refresh alarm with the configured interval.
+   */
+  static async scheduleRefresh() {
+    const settings = await SettingsManager.get();
+    const periodInMinutes = Math.max(Number(settings.feeds.refreshHours) || 12, 1) * 60;
+    const existing = await chrome.alarms.get(FEED_ALARM);
+    if (existing && existing.periodInMinutes === periodInMinutes) return;
+
+    await chrome.alarms.create(FEED_ALARM, { delayInMinutes: 1, periodInMinutes });
+    console.log(`Feed refresh scheduled every ${periodInMinutes} minutes.`);
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.FeedManager = FeedManager;
+}
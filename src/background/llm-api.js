@@ -0,0 +1,257 @@
+// LLM API Module
+// Handles asynchronous artist search using the configured LLM provider
+// Dependencies: LLMProviders (llm-providers.js), BlockingPolicy (policy.js), LLMUsage (llm-usage.js), NormalizationUtils (utils/normalization.js)
+
+class LLMAPI {
+  /**
+   * Whether the active LLM provider is configured.
+   * @returns {Promise<boolean>}
+   */
+  static async isConfigured() {
+    const provider = await LLMProviders.getActive();
+    return provider.isConfigured();
+  }
+
+  /**
+   * Parses a JSON object from model output.
+   * Local models without JSON mode often wrap the object in a Markdown code fence or prose.
+   *
+   * @param {string} content
+   * @returns {Object}
+   */
+  static parseJsonContent(content) {
+    try {
+      return JSON.parse(content);
+    } catch (e) {
+      const start = content.indexOf('{');
+      const end = content.lastIndexOf('}');
+      if (start === -1 || end <= start) throw e;
+      return JSON.parse(content.substring(start, end + 1));
+    }
+  }
+
+  /**
+   * Brings the confidence to a number between 0 and 1 (null if missing) and the rationale to a string,
+   * and notes which provider and model answered. Models answer with "0.8" or 80 now and then.
+   *
+   * @param {Object} answer - Parsed model answer
+   * @param {{provider: string, model: string|null}} source
+   * @returns {Object}
+   */
+  static normalizeAnswer(answer, source) {
+    let confidence = typeof answer.confidence === 'string' ? parseFloat(answer.confidence) : answer.confidence;
+    if (typeof confidence !== 'number' || isNaN(confidence)) {
+      confidence = null;
+    } else if (confidence > 1) {
+      confidence = Math.min(confidence / 100, 1);
+    }
+
+    return {
+      ...answer,
+      confidence: confidence === null ? null : Math.max(confidence, 0),
+      rationale: typeof answer.rationale === 'string' ? answer.rationale.trim() : '',
+      provider: source.provider,
+      model: source.model
+    };
+  }
+
+  /**
+   * Searches for an artist's details using the active LLM provider.
+   *
+   * @param {string} artistName
+   * @param {Object} [extraContext] - Supplementary data from YouTube API
+   * @param {string} [songTitle]
+   * @param {{priority?: number, key?: string}} [requestOptions] - Scheduling (RequestScheduler.fetch)
+   * @returns {Promise<{canonicalName: string, country: string, isBlocked: boolean,
+   *   confidence: number|null, rationale: string, provider: string, model: string|null} | null>}
+   */
+  static async searchArtist(artistName, extraContext = null, songTitle = null, requestOptions = {}) {
+    if (!artistName) return null;
+
+    const provider = await LLMProviders.getActive();
+    if (!provider.isConfigured()) {
+      console.warn(`LLM provider "${provider.id}" not configured. Skipping artist search.`);
+      return null;
+    }
+
+    try {
+      let youtubeContext = {};
+      
+      // If rawData is present (legacy or full object), we try to use the processed part if available.
+      // However, the new flow encourages passing the processed object directly or in a specific field.
+      // Current YouTubeAPI returns { ...processedDetails, rawData: ... }
+      
+      if (extraContext) {
+          // Remove rawData from the context we send to the LLM to save tokens
+          // We assume extraContext is the object returned by YouTubeAPI.getArtistDetails
+          const { rawData, ...cleanContext } = extraContext;
+          youtubeContext = cleanContext;
+      }
+
+      let prompt;
+      const hasData = Object.keys(youtubeContext).length > 0;
+      const policy = BlockingPolicy.describeForPrompt(await BlockingPolicy.get());
+      const songContext = songTitle ? `Song Title: "${songTitle}"` : '';
+      const songInstruction = songTitle ? `
+3. Analyze the song title "${songTitle}". If the title is strictly in Ukrainian (contains unique Ukrainian words/characters and no Russian ones) or the song is known to be a Ukrainian patriotic/folk song, identify it as Ukrainian.
+` : '';
+
+      if (hasData) {
+        const contextStr = JSON.stringify(youtubeContext, null, 2);
+        prompt = `
+Analyze the provided YouTube Channel Data for the artist "${artistName}". ${songContext}
+
+Input Data:
+${contextStr}
+
+Blocking Policy:
+- Blocked countries: ${policy.blocked}
+- Allowed countries: ${policy.allowed}
+- Channel signals: ${policy.signals}
+
+Task:
+Identify the *best match* for the music artist "${artistName}".
+1. Analyze the provided Input Data (Channel Title, Description, Keywords) as primary evidence.
+2. If the Input Data is generic, incomplete, or ambiguous, SUPPLEMENT it with your INTERNAL KNOWLEDGE about the artist.
+${songInstruction}
+
+Determine if THIS artist is from, or associated with, one of the blocked countries.
+Also determine if the Song Title indicates a Ukrainian song (if provided).
+
+Return a SINGLE valid JSON object with:
+- "canonicalName": string (The name of the identified artist)
+- "country": ISO 3166-1 alpha-2 code (e.g., "RU", "UA", "US")
+- "isBlocked": boolean
+- "isSongUkrainian": boolean (True ONLY if the song title is clearly Ukrainian or known Ukrainian song. False otherwise or if ambiguous/Russian.)
+- "confidence": number from 0 to 1 (How sure you are of "isBlocked"; below 0.5 if the evidence is thin or contradictory)
+- "rationale": string (One or two sentences naming the evidence behind "isBlocked")
+
+Strict Rules for "isBlocked" = true:
+Mark as TRUE if ANY of the following are found in the data OR known from your internal knowledge:
+1.  "country" in the input is one of the blocked countries.
+2.  "matchedSignals" in the input is not empty.
+3.  Links to sites, phone numbers or place names of a blocked country in "officialLinks", "description" or "keywords".
+4.  You know the artist is from a blocked country (born in/citizen of it, based in it, or supports its war of aggression).
+5.  The channel description or keywords explicitly name music of a blocked country (e.g. "Russian songs" / русские песни, "Russian hits", "Chanson" / Шансон) as the PRIMARY content.
+6.  The artist/channel is a curator or aggregator of content from a blocked country (e.g., "RusLyrics", "Soyuz Music").
+
+Contextual Nuances:
+- Language != Nationality. Singing in a language of a blocked country does NOT automatically make an artist blocked. Many Ukrainian artists (e.g., NK, KRBK, dim.slavyanin) sing in Russian or have Slavic names but are Ukrainian.
+- However, if a channel is dedicated to *curating* songs of a blocked country or carries the country in its name AND provides such content, it is considered associated with that country.
+- Artists from the allowed countries are NOT blocked unless they are based in or openly support a blocked country. Explicitly check scene membership (e.g. "Ukrainian Phonk", "Ukrainian Rap", "Ukrainian Hip-Hop").
+- "dim.slavyanin" is a Ukrainian artist.
+- "Topic" channels may have unreliable region codes. Prioritize description content and links.
+- If the artist is clearly from an allowed country and has NO indicators of a blocked country, return "isBlocked": false.
+- If "isSongUkrainian" is true, it strongly suggests the artist might be Ukrainian (or at least the content is safe), but verify artist origin if possible.
+
+If multiple candidates exist (unlikely with this specific input), select the most relevant one.
+`;
+      } else {
+        // Fallback Prompt: No YouTube Data available, rely on internal knowledge
+        prompt = `
+Identify the music artist "${artistName}" using your internal knowledge base. ${songContext}
+
+Blocking Policy:
+- Blocked countries: ${policy.blocked}
+- Allowed countries: ${policy.allowed}
+
+Task:
+Determine if the artist is from, or associated with, one of the blocked countries.
+${songInstruction}
+
+Return a SINGLE valid JSON object with:
+- "canonicalName": string (Artist's name)
+- "country": ISO 3166-1 alpha-2 code (e.g., "RU", "UA", "US")
+- "isBlocked": boolean
+- "isSongUkrainian": boolean (True ONLY if the song title is clearly Ukrainian or known Ukrainian song)
+- "confidence": number from 0 to 1 (How sure you are of "isBlocked"; below 0.5 if you barely know the artist)
+- "rationale": string (One or two sentences naming what you know about the artist's origin)
+
+Determine "isBlocked":
+- TRUE if the artist is from a blocked country (born in/citizen of it, based in it, or supports its war of aggression).
+- TRUE if the "artist" is a known channel/brand dedicated to music of a blocked country (e.g., "RusLyrics", "Soyuz Music").
+- FALSE if the artist is from an allowed country or any other country (unless supporting a blocked country's war of aggression).
+
+CRITICAL DISTINCTIONS:
+- Language != Nationality. Many Ukrainians (e.g., KRBK, dim.slavyanin, NK) sing in Russian. They are NOT Russian. Mark them as UA/false.
+- Explicitly check if the artist is part of the "Ukrainian Phonk", "Ukrainian Rap", or "Ukrainian Hip-Hop" scene. If so, they are NOT blocked.
+- Check the artist's career base and origin and report it as "country".
+- If unknown, return null country and false.
+`;
+      }
+
+      const completion = await provider.complete([
+        { role: "user", content: prompt }
+      ], {
+        ...requestOptions,
+        // Hard daily spend cap, checked when the queued request is about to be sent
+        onAttempt: () => LLMUsage.assertUnderCap()
+      });
+
+      await LLMUsage.record({
+        artist: artistName,
+        provider: provider.id,
+        model: completion.model,
+        configuredModel: provider.config.model,
+        usage: completion.usage
+      });
+
+      if (completion.content) {
+        const content = completion.content;
+        const answerSource = { provider: provider.id, model: completion.model || provider.config.model || null };
+        try {
+          const parsed = this.parseJsonContent(content);
+          
+          // Handle case where the model returns an analysis array (multiple candidates)
+          if (parsed.analysis && Array.isArray(parsed.analysis)) {
+             console.log('LLM returned multiple analysis items. Selecting best match for:', artistName);
+             
+             // Channel names are often stylized (bold or full-width letters, emoji), so both sides are folded
+             const fold = (name) => NormalizationUtils.foldUnicode(name || '').replace(/\s+/g, ' ').trim();
+             const nameOf = (item) => fold(item.canonicalName);
+             const normalizedTarget = fold(artistName);
+             const candidates = parsed.analysis;
+             
+             // 1. Exact Match
+             const exactMatch = candidates.find(item => 
+                 nameOf(item) === normalizedTarget
+             );
+             if (exactMatch) return this.normalizeAnswer(exactMatch, answerSource);
+             
+             // 2. Topic Channel Match
+             const topicMatch = candidates.find(item => 
+                 nameOf(item) === `${normalizedTarget} - topic`
+             );
+             if (topicMatch) return this.normalizeAnswer(topicMatch, answerSource);
+             
+             // 3. Starts With Match (e.g., "Artist (Real Name)")
+             const startsWithMatch = candidates.find(item => 
+                 nameOf(item).startsWith(normalizedTarget)
+             );
+             if (startsWithMatch) return this.normalizeAnswer(startsWithMatch, answerSource);
+             
+             // 4. Fallback: Return the first item (usually the most relevant search result)
+             if (candidates.length > 0) {
+                 return this.normalizeAnswer(candidates[0], answerSource);
+             }
+          }
+          
+          return this.normalizeAnswer(parsed, answerSource);
+        } catch (e) {
+          console.error(`Failed to parse JSON response from ${provider.id}:`, content);
+          return null;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error(`LLM search failed (${provider.id}):`, error);
+      throw error;
+    }
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.LLMAPI = LLMAPI;
+}
@@ -0,0 +1,230 @@
+// LLM Provider Module
+// Chat-completion backends used for artist identification
+// Dependencies: SettingsManager (settings.js), RequestScheduler (request-scheduler.js)
+
+const MISTRAL_API_BASE_URL = 'https://api.mistral.ai/v1';
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {string} [baseUrl] - API root (e.g. "http://localhost:11434/v1")
+ * @property {string} [apiKey]
+ * @property {string} model
+ * @property {number|null} [temperature] - null uses the server default
+ * @property {number} [timeoutMs]
+ * @property {boolean} [jsonMode] - Request a JSON object response
+ */
+
+/**
+ * @typedef {Object} CompletionResult
+ * @property {string} content - Raw message content of the first choice
+ * @property {Object|null} usage - Token usage block as returned by the server
+ * @property {string} model - Model that produced the answer
+ */
+
+/**
+ * Base class. Implementations translate a chat request into one HTTP call.
+ */
+class LLMProvider {
+  /**
+   * @param {ProviderConfig} config
+   */
+  constructor(config) {
+    this.config = config || {};
+  }
+
+  /** Settings/registry identifier of the provider. */
+  get id() {
+    throw new Error('LLMProvider.id not implemented');
+  }
+
+  /** Whether the config carries everything needed to make a call. */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Sends a chat completion request.
+   *
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {{priority?: number, key?: string}} [requestOptions] - Scheduling (RequestScheduler.fetch)
+   * @returns {Promise<CompletionResult>}
+   */
+  async complete(messages, requestOptions = {}) {
+    throw new Error('LLMProvider.complete not implemented');
+  }
+
+  /**
+   * Checks that the endpoint is reachable and the credentials are accepted.
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  async testConnection() {
+    throw new Error('LLMProvider.testConnection not implemented');
+  }
+}
+
+/**
+ * Generic OpenAI-compatible chat-completions provider.
+ * Works with hosted services and local servers (Ollama, llama.cpp, LM Studio).
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  get id() {
+    return 'openaiCompatible';
+  }
+
+  get baseUrl() {
+    return (this.config.baseUrl || '').trim().replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return !!this.baseUrl && !!this.config.model;
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildBody(messages) {
+    const body = {
+      model: this.config.model,
+      messages
+    };
+    if (typeof this.config.temperature === 'number') {
+      body.temperature = this.config.temperature;
+    }
+    if (this.config.jsonMode !== false) {
+      body.response_format = { type: 'json_object' };
+    }
+    return body;
+  }
+
+  /**
+   * fetch() through the shared request scheduler, with the provider's timeout applied.
+   *
+   * @param {string} url
+   * @param {RequestInit} [options]
+   * @param {{priority?: number, key?: string, retries?: number}} [requestOptions]
+   * @returns {Promise<Response>}
+   */
+  request(url, options = {}, requestOptions = {}) {
+    return RequestScheduler.fetch('llm', url, options, {
+      timeoutMs: this.config.timeoutMs || 30000,
+      label: this.id,
+      ...requestOptions
+    });
+  }
+
+  async complete(messages, requestOptions = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.id} provider is not configured`);
+    }
+
+    const response = await this.request(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify(this.buildBody(messages))
+    }, requestOptions);
+
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const choice = data.choices && data.choices.length > 0 ? data.choices[0] : null;
+
+    return {
+      content: choice && choice.message ? choice.message.content : '',
+      usage: data.usage || null,
+      model: data.model || this.config.model
+    };
+  }
+
+  async testConnection() {
+    if (!this.isConfigured()) {
+      return { valid: false, error: 'Base URL and model are required' };
+    }
+
+    try {
+      const response = await this.request(`${this.baseUrl}/models`, {
+        headers: this.buildHeaders()
+      }, { retries: 0 });
+      if (response.ok) return { valid: true };
+      return { valid: false, error: `HTTP ${response.status} ${response.statusText}` };
+    } catch (error) {
+      return { valid: false, error: error.toString() };
+    }
+  }
+}
+
+/**
+ * Mistral AI (hosted). OpenAI-compatible with a fixed base URL and a required key.
+ */
+class MistralProvider extends OpenAICompatibleProvider {
+  get id() {
+    return 'mistral';
+  }
+
+  get baseUrl() {
+    return MISTRAL_API_BASE_URL;
+  }
+
+  isConfigured() {
+    return !!this.config.apiKey && !!this.config.model;
+  }
+
+  async testConnection() {
+    if (!this.config.apiKey) {
+      return { valid: false, error: 'No key provided' };
+    }
+    return super.testConnection();
+  }
+}
+
+const PROVIDER_CLASSES = {
+  mistral: MistralProvider,
+  openaiCompatible: OpenAICompatibleProvider
+};
+
+class LLMProviders {
+  /**
+   * Lists the available provider IDs.
+   * @returns {string[]}
+   */
+  static list() {
+    return Object.keys(PROVIDER_CLASSES);
+  }
+
+  /**
+   * Creates a provider instance.
+   *
+   * @param {string} id - 'mistral' or 'openaiCompatible'
+   * @param {ProviderConfig} config
+   * @returns {LLMProvider}
+   */
+  static create(id, config) {
+    const ProviderClass = PROVIDER_CLASSES[id];
+    if (!ProviderClass) {
+      throw new Error(`Unknown LLM provider: ${id}`);
+    }
+    return new ProviderClass(config);
+  }
+
+  /**
+   * Creates the provider selected in settings.
+   * @returns {Promise<LLMProvider>}
+   */
+  static async getActive() {
+    const settings = await SettingsManager.get();
+    const id = PROVIDER_CLASSES[settings.llmProvider] ? settings.llmProvider : 'mistral';
+    return this.create(id, settings[id]);
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.LLMProvider = LLMProvider;
+  self.LLMProviders = LLMProviders;
+}
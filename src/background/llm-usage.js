@@ -0,0 +1,119 @@
+// LLM Usage Module
+// Token and cost ledger of LLM lookups, with per-day and per-month totals and a daily spend cap.
+// Costs are estimates from the price table in settings; local servers usually count as free.
+// Dependencies: SettingsManager (settings.js), StorageManager (storage.js)
+
+const LLM_USAGE_DAYS_KEPT = 62;
+const LLM_USAGE_RECENT_KEPT = 200;
+
+class LLMUsage {
+  /**
+   * Local calendar day and month of a point in time.
+   * @param {number} [time]
+   * @returns {{day: string, month: string}} YYYY-MM-DD and YYYY-MM
+   */
+  static periodOf(time = Date.now()) {
+    const date = new Date(time);
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    return { day: `${month}-${String(date.getDate()).padStart(2, '0')}`, month };
+  }
+
+  static emptyTotals() {
+    return { lookups: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+  }
+
+  /**
+   * Estimated cost of a call.
+   *
+   * @param {Array<{model: string, input: number, output: number}>} prices - USD per 1M tokens
+   * @param {string[]} models - Candidate model names (answering model first, then the configured one)
+   * @param {number} promptTokens
+   * @param {number} completionTokens
+   * @returns {number} USD
+   */
+  static estimateCost(prices, models, promptTokens, completionTokens) {
+    const price = models
+      .map(model => prices.find(entry => entry.model === model))
+      .find(Boolean);
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Books the token usage of a lookup.
+   *
+   * @param {{artist: string, provider: string, model: string, configuredModel?: string,
+   *   usage: {prompt_tokens?: number, completion_tokens?: number}|null}} call
+   */
+  static async record(call) {
+    const usage = call.usage || {};
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const settings = await SettingsManager.get();
+    const cost = this.estimateCost(
+      settings.llmUsage.prices,
+      [call.model, call.configuredModel].filter(Boolean),
+      promptTokens,
+      completionTokens
+    );
+
+    const timestamp = Date.now();
+    const { day, month } = this.periodOf(timestamp);
+    const add = (totals) => ({
+      lookups: totals.lookups + 1,
+      promptTokens: totals.promptTokens + promptTokens,
+      completionTokens: totals.completionTokens + completionTokens,
+      cost: totals.cost + cost
+    });
+
+    await StorageManager.updateLLMUsage(stored => {
+      const ledger = stored || { days: {}, months: {}, recent: [] };
+
+      const days = { ...ledger.days, [day]: add(ledger.days[day] || this.emptyTotals()) };
+      Object.keys(days).sort().slice(0, -LLM_USAGE_DAYS_KEPT).forEach(key => delete days[key]);
+
+      return {
+        days,
+        months: { ...ledger.months, [month]: add(ledger.months[month] || this.emptyTotals()) },
+        recent: [
+          { timestamp, artist: call.artist, provider: call.provider, model: call.model, promptTokens, completionTokens, cost },
+          ...ledger.recent
+        ].slice(0, LLM_USAGE_RECENT_KEPT)
+      };
+    });
+  }
+
+  /**
+   * Throws once today's estimated spend has reached the daily cap.
+   * Runs when a lookup starts and again right before each LLM request is sent, so queued requests stop too.
+   */
+  static async assertUnderCap() {
+    const usage = await this.getStatus();
+    if (usage.capReached) {
+      throw new Error(`Daily LLM spend cap reached ($${usage.today.cost.toFixed(2)} of $${usage.dailyCap.toFixed(2)})`);
+    }
+  }
+
+  /**
+   * Today's and this month's totals against the daily cap.
+   * @returns {Promise<{today: Object, month: Object, dailyCap: number, capReached: boolean}>}
+   */
+  static async getStatus() {
+    const [ledger, settings] = await Promise.all([StorageManager.getLLMUsage(), SettingsManager.get()]);
+    const { day, month } = this.periodOf();
+    const today = (ledger && ledger.days[day]) || this.emptyTotals();
+    const dailyCap = settings.llmUsage.dailyCap;
+
+    return {
+      today,
+      month: (ledger && ledger.months[month]) || this.emptyTotals(),
+      dailyCap,
+      capReached: dailyCap > 0 && today.cost >= dailyCap
+    };
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.LLMUsage = LLMUsage;
+}
@@ -16,31 +16,51 @@ class Logger {
   }
 
   /**
-   * Log a blocking decision
+   * Log a decision and persist it to the decision history.
+   * Persisting is not affected by `enabled`, which only silences the console,
+   * so the popup history stays complete.
+   * 
    * @param {string} title 
    * @param {string} artist 
    * @param {string} reason 
-   * @param {string} source 
+   * @param {string} step - Pipeline step that made the decision
+   * @param {Object} [result]
+   * @param {string} [result.blockMode] - 'STRICT' or 'SOFT'
+   * @param {string} [result.source] - Verdict source ('manual', 'feed', 'signal', 'ai', 'uncertain')
+   * @param {string} [result.action] - Configured enforcement action for that source
+   * @param {string} [result.outcome] - 'disliked', 'skipped', 'muted', 'notified', 'failed' or 'allowed'
+   * @returns {Promise<void>}
    */
-  static logDecision(title, artist, reason, source) {
-    if (!this.enabled) return;
-
+  static async logDecision(title, artist, reason, step, result = {}) {
     const logEntry = {
-      type: 'DECISION_BLOCKED',
+      id: crypto.randomUUID(),
       timestamp: new Date().toISOString(),
-      song: { title, artist },
-      reason: reason,
-      source: source
+      title,
+      artist,
+      step,
+      reason,
+      blockMode: result.blockMode || null,
+      source: result.source || null,
+      action: result.action || null,
+      outcome: result.outcome || null
     };
 
-    console.groupCollapsed(`[Block] ${artist} - ${title}`);
-    console.log('Reason:', reason);
-    console.log('Source:', source);
-    console.log('Timestamp:', logEntry.timestamp);
-    console.groupEnd();
+    if (this.enabled) {
+      console.groupCollapsed(`[Decision] ${artist} - ${title} (${logEntry.outcome || 'n/a'})`);
+      console.log('Reason:', reason);
+      console.log('Step:', step);
+      console.log('Block mode:', logEntry.blockMode);
+      console.log('Source / action:', logEntry.source, logEntry.action);
+      console.log('Timestamp:', logEntry.timestamp);
+      console.groupEnd();
+    }
 
-    // Optionally persist logs to storage if needed for UI history
-    // StorageManager.addLog(logEntry);
+    try {
+      await StorageManager.addLog(logEntry);
+      chrome.runtime.sendMessage({ type: 'DECISION_LOG_UPDATED' }).catch(() => {});
+    } catch (error) {
+      this.logError('Persisting decision log', error);
+    }
   }
 
   static logAction(action, details) {
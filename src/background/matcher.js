@@ -1,12 +1,14 @@
 // Song Matcher Module
-// Dependencies: StorageManager (storage.js), NormalizationUtils (utils/normalization.js)
+// Dependencies: StorageManager (storage.js), ArtistIndex (artist-index.js), SearchCache (search-cache.js), NormalizationUtils (utils/normalization.js), BlockingPolicy (policy.js)
 
 /**
  * Checks if a song matches the known song list.
+ * Songs store the artist line as shown in the player; older records
+ * referencing the artist list by `artistId` are matched through it.
  * 
  * @param {string} title - The song title to check
  * @param {string} artist - The artist name to check
- * @returns {Promise<{match: boolean, reason: string}>}
+ * @returns {Promise<{match: boolean, reason: string, song?: object}>}
  */
 async function checkSongMatch(title, artist) {
   if (!title || !artist) {
@@ -19,72 +21,29 @@ async function checkSongMatch(title, artist) {
     return { match: false, reason: 'Internal error: Dependencies missing' };
   }
 
-  const songs = await StorageManager.getSongs();
-  
-  if (!songs || songs.length === 0) {
-    return { match: false, reason: 'No known songs in storage' };
+  // Several songs can share a title, so the artist has to match as well
+  const titleMatches = await StorageManager.findSongsByTitle(title);
+
+  if (titleMatches.length === 0) {
+    return { match: false, reason: 'No match found for title' };
   }
 
-  const normalizedInputTitle = NormalizationUtils.normalizeTitle(title);
-  const normalizedInputArtist = NormalizationUtils.normalizeArtist(artist);
+  for (const song of titleMatches) {
+    let songArtist = song.artist;
 
-  // We need to check against known songs. 
-  // Ideally, known songs in storage should already be normalized or we normalize them on the fly.
-  // Assuming storage contains raw data, we normalize on the fly for comparison.
-  // Efficiency note: In a real app with thousands of songs, we'd want indexed normalized fields.
-  
-  const match = songs.find(song => {
-    const songTitle = NormalizationUtils.normalizeTitle(song.title);
-    
-    // Check Title Match first
-    if (songTitle !== normalizedInputTitle) {
-      return false;
+    if (songArtist === undefined && song.artistId) {
+      // Legacy record: resolve the artist name from the artist list
+      const artistObj = await ArtistIndex.get(song.artistId);
+      songArtist = artistObj ? artistObj.name : undefined;
+    }
+
+    // Same artist in either script or without diacritics counts as a match
+    if (songArtist !== undefined && NormalizationUtils.isSameArtist(songArtist, artist)) {
+      return { match: true, reason: 'Match found', song };
     }
-    
-    // If title matches, check Artist.
-    // The stored song might have an artistId, so we might need to look up the artist name.
-    // However, the schema in storage.js says:
-    // { id, artistId, title, ... }
-    // It doesn't explicitly have artist name in the song object, but usually for performance 
-    // we might store a denormalized name or look it up.
-    // Let's assume for now we need to fetch the artist list to compare, OR the song object 
-    // has an 'artistName' property or we rely on 'artistId' if we had the input artist's ID (which we don't).
-    
-    // Revised Schema assumption based on typical simple extensions:
-    // Let's check if we can get the artist name.
-    
-    // If the song object DOES NOT have the artist name directly, we are in trouble without looking it up.
-    // Let's fetch artists to be safe.
-    return true; // Provisional match on title, will verify artist below
-  });
-
-  if (!match) {
-    return { match: false, reason: 'No match found for title' };
-  }
-  
-  // If we found a title match, we need to verify the artist.
-  // Since we might have multiple songs with same title by different artists.
-  
-  const artists = await StorageManager.getArtists();
-  
-  // Let's refine the search to find *any* song that matches BOTH title and artist.
-  const exactMatch = songs.find(song => {
-    const songTitle = NormalizationUtils.normalizeTitle(song.title);
-    if (songTitle !== normalizedInputTitle) return false;
-    
-    // Find the artist object for this song
-    const artistObj = artists.find(a => a.id === song.artistId);
-    if (!artistObj) return false; // Should not happen if referential integrity exists
-    
-    const songArtist = NormalizationUtils.normalizeArtist(artistObj.name);
-    return songArtist === normalizedInputArtist;
-  });
-
-  if (exactMatch) {
-    return { match: true, reason: 'Match found' };
-  } else {
-    return { match: false, reason: 'Title found but artist mismatch' };
   }
+
+  return { match: false, reason: 'Title found but artist mismatch' };
 }
 
 /**
@@ -98,29 +57,13 @@ async function checkArtistMatch(artist) {
     return { match: false, reason: 'Invalid input: Artist missing' };
   }
 
-  if (typeof StorageManager === 'undefined' || typeof NormalizationUtils === 'undefined') {
+  if (typeof ArtistIndex === 'undefined' || typeof NormalizationUtils === 'undefined') {
     console.error('Dependencies missing');
     return { match: false, reason: 'Internal error: Dependencies missing' };
   }
 
-  const artists = await StorageManager.getArtists();
-  if (!artists || artists.length === 0) {
-    return { match: false, reason: 'No known artists in storage' };
-  }
-
-  const normalizedInputArtist = NormalizationUtils.normalizeArtist(artist);
-  
-  const match = artists.find(a => {
-    const storedArtist = NormalizationUtils.normalizeArtist(a.name);
-    if (storedArtist === normalizedInputArtist) return true;
-    
-    // Check aliases if present
-    if (a.aliases && Array.isArray(a.aliases)) {
-      return a.aliases.some(alias => NormalizationUtils.normalizeArtist(alias) === normalizedInputArtist);
-    }
-    
-    return false;
-  });
+  // Names and aliases are looked up in the in-memory index
+  const match = await ArtistIndex.find(artist);
 
   if (match) {
     return { match: true, reason: 'Artist match found', artist: match };
@@ -130,67 +73,40 @@ async function checkArtistMatch(artist) {
 }
 
 /**
- * Checks if an artist is marked as being from Russia.
+ * Checks if an artist is blocked by the configured policy.
  * Checks both the persistent artist list and the search cache.
  * 
  * @param {string} artistName
- * @returns {Promise<{isRussian: boolean, source: string}>}
+ * @returns {Promise<{blocked: boolean, source: string}>}
  */
-async function isArtistRussian(artistName) {
+async function isArtistBlocked(artistName) {
   if (!artistName) {
-    return { isRussian: false, source: 'Invalid input' };
+    return { blocked: false, source: 'Invalid input' };
   }
 
+  const policy = await BlockingPolicy.get();
+
   // 1. Check known artists (persistent storage)
   const artistMatch = await checkArtistMatch(artistName);
   
   if (artistMatch.match && artistMatch.artist) {
-    // Check country/origin field
-    // Assuming schema has 'country' or 'origin' or 'isRussian'
-    // Let's standardize on checking 'country' code being 'RU' or 'Russia'
-    const country = artistMatch.artist.country;
-    if (country === 'RU' || (country && country.toLowerCase() === 'russia') || artistMatch.artist.isRussian) {
-      return { isRussian: true, source: 'artist_list' };
-    }
-    // If matched but not Russian, we rely on that info.
-    return { isRussian: false, source: 'artist_list' };
+    // Stored verdict (manual or looked up) and country are resolved by the policy
+    const verdict = BlockingPolicy.getArtistVerdict(artistMatch.artist, policy);
+    return { blocked: verdict === VERDICTS.BLOCK, source: 'artist_list' };
   }
 
-  // 2. Check search cache
-  // The search cache stores results for queries.
-  // We'll check if we have a cached result for this artist name.
-  const cache = await StorageManager.getSearchCache();
-  const normalizedName = NormalizationUtils.normalizeArtist(artistName);
-  
-  // Try to find a cache entry that matches the artist name
-  // Note: Cache keys are usually the search query.
-  // We check if the normalized query matches our normalized artist name.
-  // OR we iterate values if the structure allows. 
-  // For O(1) lookup, we assume key is the query.
-  
-  // We iterate through cache keys to find a matching normalized query
-  // because the cache key might be "The Artist" and we normalized to "artist".
-  // Or we just check exact normalized key if we store normalized keys.
-  // Assuming keys are raw queries, we iterate.
-  
-  let cachedEntry = null;
-  for (const [query, data] of Object.entries(cache)) {
-    if (NormalizationUtils.normalizeArtist(query) === normalizedName) {
-      cachedEntry = data;
-      break;
-    }
-  }
+  // 2. Check search cache (keyed by normalized artist name)
+  const cachedEntry = await SearchCache.get(artistName);
 
-  if (cachedEntry && cachedEntry.results && cachedEntry.results.length > 0) {
+  if (cachedEntry && cachedEntry.state === 'resolved' && cachedEntry.data.results.length > 0) {
     // Check the first/best result
-    // Assuming result object has 'country' or 'origin'
-    const result = cachedEntry.results[0];
-    if (result && (result.country === 'RU' || (result.country && result.country.toLowerCase() === 'russia'))) {
-      return { isRussian: true, source: 'cache' };
+    const result = cachedEntry.data.results[0];
+    if (result && BlockingPolicy.isCountryBlocked(result.country, policy)) {
+      return { blocked: true, source: 'cache' };
     }
   }
 
-  return { isRussian: false, source: 'unknown' };
+  return { blocked: false, source: 'unknown' };
 }
 
 // Export for usage
@@ -198,6 +114,6 @@ if (typeof self !== 'undefined') {
   self.SongMatcher = {
     checkSongMatch,
     checkArtistMatch,
-    isArtistRussian
+    isArtistBlocked
   };
 }
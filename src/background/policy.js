@@ -0,0 +1,223 @@
+// Blocking Policy Module
+// Single source of truth for which countries and channel signals lead to a block.
+// Read by the evaluator, the matcher, the LLM prompt builder and the search pipeline.
+// Dependencies: SettingsManager (settings.js)
+
+const VERDICTS = {
+  BLOCK: 'block',
+  ALLOW: 'allow'
+};
+
+// Sources whose verdict was set by the user and is never overridden by the policy
+const MANUAL_SOURCES = ['user_block', 'user_allow'];
+
+// Where a verdict came from; each source has its own enforcement action (settings.enforcement)
+const VERDICT_SOURCES = {
+  MANUAL: 'manual',       // Blocked/allowed by the user
+  FEED: 'feed',           // Subscribed shared blocklist
+  SIGNAL: 'signal',       // Channel country or signal rules (no LLM call)
+  AI: 'ai',               // LLM lookup
+  UNCERTAIN: 'uncertain'  // Lookup still running
+};
+
+// Strongest first, used when several blocked artists share one song
+const SOURCE_PRECEDENCE = [VERDICT_SOURCES.MANUAL, VERDICT_SOURCES.FEED, VERDICT_SOURCES.SIGNAL, VERDICT_SOURCES.AI];
+
+// Free-text country names seen in legacy records and LLM answers
+const COUNTRY_NAME_TO_CODE = {
+  'russia': 'RU',
+  'russian federation': 'RU',
+  'ukraine': 'UA',
+  'belarus': 'BY'
+};
+
+class BlockingPolicy {
+  /**
+   * Returns the configured policy.
+   * @returns {Promise<{blockedCountries: string[], allowedCountries: string[], signalRules: Array}>}
+   */
+  static async get() {
+    const settings = await SettingsManager.get();
+    return settings.policy;
+  }
+
+  /**
+   * Normalizes a country value to an upper-case ISO 3166-1 alpha-2 code.
+   * Accepts codes in any case and the free-text names of COUNTRY_NAME_TO_CODE.
+   *
+   * @param {string} country
+   * @returns {string} Code, or '' if unknown
+   */
+  static normalizeCountry(country) {
+    if (!country || typeof country !== 'string') return '';
+    const value = country.trim();
+    if (/^[a-z]{2}$/i.test(value)) return value.toUpperCase();
+    return COUNTRY_NAME_TO_CODE[value.toLowerCase()] || '';
+  }
+
+  static isCountryBlocked(country, policy) {
+    const code = this.normalizeCountry(country);
+    return !!code && policy.blockedCountries.includes(code);
+  }
+
+  static isCountryAllowed(country, policy) {
+    const code = this.normalizeCountry(country);
+    return !!code && policy.allowedCountries.includes(code);
+  }
+
+  /**
+   * Resolves the effective verdict of a stored artist record.
+   * Order: manual verdict, blocked country, stored verdict, legacy `isRussian`, allow.
+   *
+   * @param {Object} artist - Artist record
+   * @param {Object} policy
+   * @returns {'block' | 'allow'}
+   */
+  static getArtistVerdict(artist, policy) {
+    if (MANUAL_SOURCES.includes(artist.addedBy) && artist.verdict) {
+      return artist.verdict;
+    }
+    if (this.isCountryBlocked(artist.country, policy)) {
+      return VERDICTS.BLOCK;
+    }
+    if (artist.verdict) {
+      return artist.verdict;
+    }
+    // Records written before verdicts existed
+    if (artist.isRussian === true || artist.isRussian === 'true') {
+      return VERDICTS.BLOCK;
+    }
+    return VERDICTS.ALLOW;
+  }
+
+  /**
+   * Whether a stored artist's LLM verdict waits for review (confidence below settings.review).
+   * Such verdicts are not enforced until the user confirms or flips them.
+   *
+   * @param {Object} artist - Artist record
+   * @returns {boolean}
+   */
+  static isAwaitingReview(artist) {
+    return !!artist.needsReview && !MANUAL_SOURCES.includes(artist.addedBy);
+  }
+
+  /**
+   * Returns the source of a stored artist's verdict.
+   * Records written before sources were tracked count as AI verdicts.
+   *
+   * @param {Object} artist - Artist record
+   * @returns {'manual' | 'feed' | 'signal' | 'ai'}
+   */
+  static getVerdictSource(artist) {
+    if (MANUAL_SOURCES.includes(artist.addedBy)) return VERDICT_SOURCES.MANUAL;
+    if (artist.addedBy === 'feed') return VERDICT_SOURCES.FEED;
+    return artist.verdictSource || VERDICT_SOURCES.AI;
+  }
+
+  /**
+   * Picks the strongest verdict source among several artists (manual > feed > signal > ai).
+   * @param {Object[]} artists - Artist records
+   * @returns {'manual' | 'feed' | 'signal' | 'ai'}
+   */
+  static strongestSource(artists) {
+    const sources = artists.map(artist => this.getVerdictSource(artist));
+    return SOURCE_PRECEDENCE.find(source => sources.includes(source)) || VERDICT_SOURCES.AI;
+  }
+
+  /**
+   * Converts an artist lookup result (LLM or channel signals) into a verdict.
+   *
+   * @param {{country?: string, isBlocked?: boolean}} result
+   * @param {Object} policy
+   * @returns {'block' | 'allow'}
+   */
+  static verdictFromLookup(result, policy) {
+    if (this.isCountryBlocked(result.country, policy) || result.isBlocked === true) {
+      return VERDICTS.BLOCK;
+    }
+    return VERDICTS.ALLOW;
+  }
+
+  /**
+   * Runs the enabled signal rules against free text (description, links).
+   *
+   * @param {string} text
+   * @param {Object} policy
+   * @returns {Array<{id: string, label: string}>} Matched rules
+   */
+  static matchSignals(text, policy) {
+    if (!text) return [];
+
+    const matched = [];
+    for (const rule of policy.signalRules) {
+      if (rule.enabled === false || !rule.pattern) continue;
+      try {
+        if (new RegExp(rule.pattern, 'i').test(text)) {
+          matched.push({ id: rule.id, label: rule.label });
+        }
+      } catch (e) {
+        console.warn(`Invalid signal rule pattern "${rule.id}":`, e.message);
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * Decides whether YouTube channel data alone is enough to block (no LLM call needed).
+   * Channels from an allowed country are never hard-blocked by signals.
+   *
+   * @param {Object} channel - Processed channel details from YouTubeAPI
+   * @param {Object} policy
+   * @returns {{block: boolean, reason: string}}
+   */
+  static evaluateChannel(channel, policy) {
+    if (!channel) return { block: false, reason: 'No channel data' };
+
+    if (this.isCountryBlocked(channel.country, policy)) {
+      return { block: true, reason: `Channel country ${this.normalizeCountry(channel.country)} is blocked` };
+    }
+    if (this.isCountryAllowed(channel.country, policy)) {
+      return { block: false, reason: `Channel country ${this.normalizeCountry(channel.country)} is allowed` };
+    }
+
+    const signals = channel.matchedSignals || [];
+    if (signals.length > 0) {
+      return { block: true, reason: `Signals: ${signals.map(s => s.label).join(', ')}` };
+    }
+    return { block: false, reason: 'No blocking signals' };
+  }
+
+  /**
+   * Formats a list of country codes for prompts and UI, e.g. "Russia (RU)".
+   * @param {string[]} codes
+   */
+  static describeCountries(codes) {
+    if (!codes || codes.length === 0) return 'none';
+    let names = null;
+    try {
+      names = new Intl.DisplayNames(['en'], { type: 'region' });
+    } catch (e) {
+      // Fall back to codes only
+    }
+    return codes.map(code => names ? `${names.of(code)} (${code})` : code).join(', ');
+  }
+
+  /**
+   * Policy facts to embed into the LLM prompt.
+   * @param {Object} policy
+   * @returns {{blocked: string, allowed: string, signals: string}}
+   */
+  static describeForPrompt(policy) {
+    const enabledRules = policy.signalRules.filter(rule => rule.enabled !== false);
+    return {
+      blocked: this.describeCountries(policy.blockedCountries),
+      allowed: this.describeCountries(policy.allowedCountries),
+      signals: enabledRules.length > 0 ? enabledRules.map(rule => rule.label).join(', ') : 'none'
+    };
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.BlockingPolicy = BlockingPolicy;
+}
@@ -0,0 +1,261 @@
+// Request Scheduler Module
+// Shared queue for outgoing API calls: per-provider concurrency limits, request timeouts,
+// and retries with exponential backoff on 429/5xx and network errors (Retry-After is respected).
+// Dependencies: none
+
+const REQUEST_PRIORITY = {
+  CURRENT: 0,   // Lookups for songs being played
+  PREFETCH: 1   // Lookups for songs further down the queue
+};
+
+/**
+ * Limits per provider. A 429 pauses all requests of the provider, not just the throttled one.
+ */
+const SCHEDULER_LIMITS = {
+  youtube: { concurrency: 2, timeoutMs: 15000 },
+  llm: { concurrency: 1, timeoutMs: 30000 }
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000; // Longer Retry-After values fail the request instead
+
+class RequestScheduler {
+  static providers = new Map(); // provider -> { active, queue, pausedUntil, timer, wakeAt }
+  static sequence = 0;
+
+  static getState(provider) {
+    if (!this.providers.has(provider)) {
+      this.providers.set(provider, { active: 0, queue: [], pausedUntil: 0, timer: null, wakeAt: 0 });
+    }
+    return this.providers.get(provider);
+  }
+
+  /**
+   * Queues a fetch() call.
+   *
+   * @param {string} provider - SCHEDULER_LIMITS key ('youtube', 'llm')
+   * @param {string} url
+   * @param {RequestInit} [init]
+   * @param {{priority?: number, key?: string, timeoutMs?: number, retries?: number, label?: string,
+   *   onAttempt?: function(number): Promise<void>}} [options]
+   *   `key` groups the requests of one lookup (see promote), `label` names the caller in errors,
+   *   `onAttempt` runs before every attempt including retries (e.g. to book API quota or check a spend cap);
+   *   if it throws, the request fails with its error without being sent
+   * @returns {Promise<Response>} Final response; 429/5xx responses come back once retries are used up
+   */
+  static fetch(provider, url, init = {}, options = {}) {
+    const limits = SCHEDULER_LIMITS[provider];
+    if (!limits) {
+      return Promise.reject(new Error(`Unknown request provider: ${provider}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.getState(provider).queue.push({
+        url,
+        init,
+        priority: typeof options.priority === 'number' ? options.priority : REQUEST_PRIORITY.CURRENT,
+        key: options.key || null,
+        timeoutMs: options.timeoutMs || limits.timeoutMs,
+        retries: typeof options.retries === 'number' ? options.retries : MAX_RETRIES,
+        label: options.label || provider,
+        onAttempt: options.onAttempt || null,
+        attempt: 0,
+        notBefore: 0,
+        sequence: this.sequence++,
+        resolve,
+        reject
+      });
+      this.pump(provider);
+    });
+  }
+
+  /**
+   * Raises the priority of queued requests, e.g. when a prefetched song starts playing.
+   *
+   * @param {string} key
+   * @param {number} priority
+   */
+  static promote(key, priority) {
+    if (!key) return;
+    for (const [provider, state] of this.providers) {
+      let changed = false;
+      state.queue.forEach(job => {
+        if (job.key === key && job.priority > priority) {
+          job.priority = priority;
+          changed = true;
+        }
+      });
+      if (changed) this.pump(provider);
+    }
+  }
+
+  /**
+   * Starts queued requests while the provider has free slots and is not paused.
+   * @param {string} provider
+   */
+  static pump(provider) {
+    const state = this.getState(provider);
+    const now = Date.now();
+
+    if (state.pausedUntil > now) {
+      this.wakeAt(provider, state.pausedUntil);
+      return;
+    }
+
+    while (state.active < SCHEDULER_LIMITS[provider].concurrency) {
+      const job = this.takeNext(state, now);
+      if (!job) break;
+
+      state.active++;
+      this.run(provider, job).finally(() => {
+        state.active--;
+        this.pump(provider);
+      });
+    }
+
+    // Requests waiting for their backoff to pass
+    const waiting = state.queue.filter(job => job.notBefore > now);
+    if (waiting.length > 0) {
+      this.wakeAt(provider, Math.min(...waiting.map(job => job.notBefore)));
+    }
+  }
+
+  /**
+   * Removes and returns the most urgent request that may run now (priority, then arrival).
+   */
+  static takeNext(state, now) {
+    let best = -1;
+    state.queue.forEach((job, index) => {
+      if (job.notBefore > now) return;
+      const current = state.queue[best];
+      if (!current || job.priority < current.priority ||
+          (job.priority === current.priority && job.sequence < current.sequence)) {
+        best = index;
+      }
+    });
+    return best === -1 ? null : state.queue.splice(best, 1)[0];
+  }
+
+  static wakeAt(provider, time) {
+    const state = this.getState(provider);
+    if (state.timer && state.wakeAt <= time) return;
+
+    clearTimeout(state.timer);
+    state.wakeAt = time;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      state.wakeAt = 0;
+      this.pump(provider);
+    }, Math.max(time - Date.now(), 0));
+  }
+
+  /**
+   * Sends a request and settles it, or puts it back in the queue for a retry.
+   */
+  static async run(provider, job) {
+    if (job.onAttempt) {
+      try {
+        await job.onAttempt(job.attempt);
+      } catch (error) {
+        job.reject(error);
+        return;
+      }
+    }
+
+    let response;
+    try {
+      response = await this.send(job);
+    } catch (error) {
+      if (!this.retry(provider, job, null, error)) job.reject(error);
+      return;
+    }
+
+    if (RETRYABLE_STATUSES.includes(response.status) && this.retry(provider, job, response)) return;
+    job.resolve(response);
+  }
+
+  /**
+   * fetch() with the request's timeout applied.
+   * @returns {Promise<Response>}
+   */
+  static async send(job) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), job.timeoutMs);
+
+    try {
+      return await fetch(job.url, { ...job.init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${job.label} request timed out after ${job.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Schedules another attempt of a failed request.
+   *
+   * @param {string} provider
+   * @param {Object} job
+   * @param {Response|null} response - Throttled/failed response, null for network errors and timeouts
+   * @param {Error} [error]
+   * @returns {boolean} Whether the request was queued again
+   */
+  static retry(provider, job, response, error) {
+    if (job.attempt >= job.retries) return false;
+
+    const retryAfter = response ? this.parseRetryAfter(response.headers.get('Retry-After')) : null;
+    const delay = retryAfter !== null ? retryAfter : this.backoff(job.attempt);
+    if (delay > MAX_RETRY_DELAY_MS) return false;
+
+    job.attempt++;
+    job.notBefore = Date.now() + delay;
+
+    const state = this.getState(provider);
+    if (response && response.status === 429) {
+      // The provider throttles this client as a whole, so hold back its other requests too
+      state.pausedUntil = Math.max(state.pausedUntil, job.notBefore);
+    }
+
+    const cause = response ? `HTTP ${response.status}` : (error && error.message) || 'network error';
+    console.warn(`${job.label} request failed (${cause}), retry ${job.attempt}/${job.retries} in ${delay}ms`);
+
+    state.queue.push(job);
+    return true;
+  }
+
+  /**
+   * Exponential backoff with jitter, so parallel requests do not retry in lockstep.
+   * @param {number} attempt - Retries made so far
+   * @returns {number} Delay in ms
+   */
+  static backoff(attempt) {
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Parses a Retry-After header (delay in seconds or an HTTP date).
+   * @param {string|null} value
+   * @returns {number|null} Delay in ms
+   */
+  static parseRetryAfter(value) {
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.RequestScheduler = RequestScheduler;
+}
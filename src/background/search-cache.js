@@ -1,114 +1,302 @@
 // Search Cache Module
 // Handles caching of search results with state management
-// Dependencies: StorageManager (storage.js)
+// Entries are keyed by normalized artist name, resolved lookups also by YouTube channel ID (SEARCH_CACHE_KEYS).
+// Entry shape: { query: key, name, channelId, state, data?: { results }, error?, timestamp, retries, retryAt?, lastAccess }
+// Dependencies: StorageManager (storage.js), SEARCH_CACHE_KEYS (database.js)
 
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours for resolved results
-const PENDING_TIMEOUT = 60 * 1000; // 60 seconds validity for pending state
+/**
+ * How long an entry counts, per state.
+ * A running lookup refreshes its pending entry (keepPending), so a pending entry older than its TTL
+ * belongs to a lookup that was lost (e.g. the worker stopped) and may be retried.
+ * A failed entry is dropped after its TTL, which also resets its retry counter.
+ */
+const SEARCH_CACHE_TTL = {
+  pending: 60 * 1000,                 // 60 seconds validity for pending state
+  resolved: 24 * 60 * 60 * 1000,      // 24 hours for resolved results
+  failed: 7 * 24 * 60 * 60 * 1000
+};
+
+const RETRY_BACKOFF_BASE = 60 * 1000;            // Wait after the first failure, doubled per failure
+const RETRY_BACKOFF_MAX = 24 * 60 * 60 * 1000;
+const SEARCH_CACHE_MAX_ENTRIES = 2000;           // Least recently used entries are evicted beyond this
+const ACCESS_WRITE_INTERVAL = 10 * 60 * 1000;    // lastAccess is written at most this often per entry
+const PENDING_REFRESH_INTERVAL = SEARCH_CACHE_TTL.pending / 3; // A running lookup refreshes its pending entry this often
 
 class SearchCache {
   /**
-   * Retrieves a cache entry for a query.
+   * Retrieves the cache entry of an artist.
+   * A resolved entry of the channel wins over the name entry, so spellings of one channel share a lookup.
    * Handles expiry of 'pending' state (treats as invalid/failed if timed out).
-   * 
-   * @param {string} query 
-   * @returns {Promise<{state: string, data?: any, error?: string, timestamp: number} | null>}
+   *
+   * @param {string} artist
+   * @param {string|null} [channelId]
+   * @returns {Promise<{state: string, data?: {results: Object[]}, error?: string, timestamp: number, retries: number, retryAt?: number} | null>}
+   */
+  static async get(artist, channelId = null) {
+    if (channelId) {
+      const byChannel = await this.getByKey(SEARCH_CACHE_KEYS.channel(channelId));
+      if (byChannel && byChannel.state === 'resolved') return byChannel;
+    }
+    if (!artist) return null;
+    return this.getByKey(SEARCH_CACHE_KEYS.artist(artist));
+  }
+
+  static async getByKey(key) {
+    const entry = await StorageManager.getSearchCacheEntry(key);
+    const effective = this.evaluate(entry);
+    if (effective) this.touch(key, entry);
+    return effective;
+  }
+
+  /**
+   * Applies the per-state TTLs to a stored entry.
+   *
+   * @param {Object|null} entry
+   * @param {number} [now]
+   * @returns {Object|null} The effective entry, or null if there is none or it expired
    */
-  static async get(query) {
-    if (!query) return null;
-    
-    // Use StorageManager to get the raw cache map
-    const cache = await StorageManager.getSearchCache();
-    const entry = cache[query];
-    
+  static evaluate(entry, now = Date.now()) {
     if (!entry) return null;
 
-    const now = Date.now();
+    const age = now - entry.timestamp;
 
     if (entry.state === 'pending') {
       // Check if pending state has timed out (deadlock prevention)
-      if (now - entry.timestamp > PENDING_TIMEOUT) {
-        // Automatically mark as failed in background or just return null/failed?
-        // Let's treat it as failed/stale so a new search can be triggered.
-        return { 
-          state: 'failed', 
-          error: 'Search timed out', 
-          timestamp: entry.timestamp 
+      if (age > SEARCH_CACHE_TTL.pending) {
+        // Treat it as failed/stale so a new search can be triggered right away.
+        return {
+          ...entry,
+          state: 'failed',
+          error: 'Search timed out',
+          retryAt: entry.timestamp + SEARCH_CACHE_TTL.pending
         };
       }
       return entry;
     }
 
-    if (entry.state === 'resolved') {
-      // Check TTL
-      if (now - entry.timestamp > CACHE_TTL) {
-        return null; // Expired
-      }
-      return entry;
+    const ttl = SEARCH_CACHE_TTL[entry.state];
+    if (ttl && age > ttl) {
+      return null; // Expired
     }
-
-    // Return 'failed' state entries so we don't retry immediately?
-    // Or retry after some time? For now return as is.
     return entry;
   }
 
   /**
-   * Sets the cache state to 'pending' for a query.
+   * Wait before the next lookup after `retries` failures in a row.
+   * @param {number} retries
+   * @returns {number} ms
+   */
+  static backoff(retries) {
+    return Math.min(RETRY_BACKOFF_BASE * 2 ** Math.max(retries - 1, 0), RETRY_BACKOFF_MAX);
+  }
+
+  /**
+   * Records a read for LRU eviction (throttled, so lookups do not turn into writes).
+   */
+  static touch(key, entry) {
+    const now = Date.now();
+    if (now - (entry.lastAccess || entry.timestamp) < ACCESS_WRITE_INTERVAL) return;
+
+    StorageManager.modifySearchCacheEntry(key, current => current ? { ...current, lastAccess: now } : null)
+      .catch(err => console.warn('Search cache: failed to record access:', err));
+  }
+
+  /**
+   * Sets the cache state to 'pending' for an artist.
    * Returns true if successfully set (i.e., not already pending or resolved).
-   * Returns false if a valid pending or resolved entry already exists (duplicate prevention).
-   * 
-   * @param {string} query 
+   * Returns false if a valid pending or resolved entry already exists (duplicate prevention),
+   * or if the last failure is still within its retry backoff.
+   * The check and the write are one queued step, so concurrent calls start a single search.
+   *
+   * @param {string} artist
    * @returns {Promise<boolean>}
    */
-  static async setPending(query) {
-    if (!query) return false;
-
-    // Check existing
-    const existing = await this.get(query);
-    
-    if (existing) {
-      if (existing.state === 'resolved') return false; // Already have data
-      if (existing.state === 'pending') return false; // Already working on it
-      // If 'failed', we allow retry (proceed to set pending)
-    }
+  static async setPending(artist) {
+    if (!artist) return false;
 
-    await StorageManager.updateSearchCacheEntry(query, {
-      state: 'pending',
-      timestamp: Date.now()
+    return StorageManager.modifySearchCacheEntry(SEARCH_CACHE_KEYS.artist(artist), (current) => {
+      const now = Date.now();
+      const existing = this.evaluate(current, now);
+
+      if (existing) {
+        if (existing.state === 'resolved') return null; // Already have data
+        if (existing.state === 'pending') return null; // Already working on it
+        if (existing.retryAt && existing.retryAt > now) return null; // Failed recently (backing off) or deferred
+        // If 'failed' and the backoff has passed, we allow retry (proceed to set pending)
+      }
+
+      return {
+        name: artist,
+        channelId: null,
+        state: 'pending',
+        timestamp: now,
+        retries: existing ? existing.retries || 0 : 0,
+        lastAccess: now
+      };
     });
+  }
 
-    return true;
+  /**
+   * Keeps the pending entry of a running lookup fresh, however long its requests wait in the
+   * scheduler queue or retry, so the pending timeout only frees entries of lost lookups.
+   *
+   * @param {string} artist
+   * @returns {function(): void} Stops refreshing; call when the lookup ends
+   */
+  static keepPending(artist) {
+    const timer = setInterval(() => {
+      StorageManager.modifySearchCacheEntry(SEARCH_CACHE_KEYS.artist(artist), current =>
+        current && current.state === 'pending' ? { ...current, timestamp: Date.now() } : null
+      ).catch(err => console.warn('Search cache: failed to refresh pending entry:', err));
+    }, PENDING_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
   }
 
   /**
    * Sets the cache state to 'resolved' with data.
-   * 
-   * @param {string} query 
-   * @param {any} data 
+   * With the channel the artist was identified by, the result is cached under the channel too.
+   *
+   * @param {string} artist
+   * @param {{results: Object[]}} data
+   * @param {string|null} [channelId]
    */
-  static async setResolved(query, data) {
-    if (!query) return;
+  static async setResolved(artist, data, channelId = null) {
+    if (!artist) return;
 
-    await StorageManager.updateSearchCacheEntry(query, {
+    const now = Date.now();
+    const entry = {
+      name: artist,
+      channelId,
       state: 'resolved',
       data: data,
-      timestamp: Date.now()
+      timestamp: now,
+      retries: 0,
+      lastAccess: now
+    };
+    await StorageManager.updateSearchCacheEntry(SEARCH_CACHE_KEYS.artist(artist), entry);
+    if (channelId) {
+      await StorageManager.updateSearchCacheEntry(SEARCH_CACHE_KEYS.channel(channelId), entry);
+    }
+    await this.enforceLimit();
+  }
+
+  /**
+   * Postpones the lookup of an artist until `retryAt` (YouTube quota budget spent).
+   * The entry reads as failed, but no new lookup starts before then.
+   *
+   * @param {string} artist
+   * @param {string} reason
+   * @param {number} retryAt - Timestamp
+   */
+  static async setDeferred(artist, reason, retryAt) {
+    if (!artist) return;
+
+    // Not a failure: the retry counter and its backoff stay as they are
+    await StorageManager.modifySearchCacheEntry(SEARCH_CACHE_KEYS.artist(artist), (current) => {
+      const now = Date.now();
+      return {
+        name: artist,
+        channelId: null,
+        state: 'failed',
+        error: reason,
+        timestamp: now,
+        retries: (current && current.retries) || 0,
+        retryAt,
+        lastAccess: now
+      };
     });
+    await this.enforceLimit();
   }
 
   /**
    * Sets the cache state to 'failed' with error reason.
-   * 
-   * @param {string} query 
-   * @param {string} error 
+   * Each failure in a row doubles the wait before the next lookup.
+   *
+   * @param {string} artist
+   * @param {string} error
    */
-  static async setFailed(query, error) {
-    if (!query) return;
+  static async setFailed(artist, error) {
+    if (!artist) return;
 
-    await StorageManager.updateSearchCacheEntry(query, {
-      state: 'failed',
-      error: error,
-      timestamp: Date.now()
+    await StorageManager.modifySearchCacheEntry(SEARCH_CACHE_KEYS.artist(artist), (current) => {
+      const now = Date.now();
+      const retries = ((current && current.retries) || 0) + 1;
+      return {
+        name: artist,
+        channelId: null,
+        state: 'failed',
+        error: error,
+        timestamp: now,
+        retries,
+        retryAt: now + this.backoff(retries),
+        lastAccess: now
+      };
     });
+    await this.enforceLimit();
+  }
+
+  /**
+   * Drops the entry of an artist, so the next lookup starts from scratch.
+   * @param {string} artist
+   */
+  static async remove(artist) {
+    if (!artist) return;
+    await StorageManager.deleteSearchCacheEntries([SEARCH_CACHE_KEYS.artist(artist)]);
+  }
+
+  /**
+   * Drops entries by cache key (cache inspector).
+   * @param {string[]} keys
+   */
+  static async removeKeys(keys) {
+    if (keys.length === 0) return;
+    await StorageManager.deleteSearchCacheEntries(keys);
+  }
+
+  /**
+   * All entries with their effective state, most recently used first.
+   * @returns {Promise<Object[]>}
+   */
+  static async list() {
+    const now = Date.now();
+    const entries = Object.values(await StorageManager.getSearchCache());
+    return entries
+      .map(entry => ({ ...(this.evaluate(entry, now) || { ...entry, state: 'expired' }), query: entry.query }))
+      .sort((a, b) => (b.lastAccess || b.timestamp) - (a.lastAccess || a.timestamp));
+  }
+
+  static async enforceLimit() {
+    if (await StorageManager.countSearchCache() > SEARCH_CACHE_MAX_ENTRIES) {
+      await this.prune();
+    }
+  }
+
+  /**
+   * Deletes expired entries, then evicts the least recently used ones beyond the size limit.
+   * Running lookups (pending) are never evicted.
+   *
+   * @returns {Promise<{expired: number, evicted: number}>}
+   */
+  static async prune() {
+    const now = Date.now();
+    const entries = Object.values(await StorageManager.getSearchCache());
+
+    const expired = entries.filter(entry => !this.evaluate(entry, now));
+    const live = entries.filter(entry => this.evaluate(entry, now));
+    const overflow = live.length - SEARCH_CACHE_MAX_ENTRIES;
+    const evicted = overflow > 0
+      ? live
+          .filter(entry => entry.state !== 'pending')
+          .sort((a, b) => (a.lastAccess || a.timestamp) - (b.lastAccess || b.timestamp))
+          .slice(0, overflow)
+      : [];
+
+    const queries = [...expired, ...evicted].map(entry => entry.query);
+    if (queries.length > 0) {
+      await StorageManager.deleteSearchCacheEntries(queries);
+      console.log(`Search cache: removed ${expired.length} expired and ${evicted.length} least recently used entries`);
+    }
+    return { expired: expired.length, evicted: evicted.length };
   }
 }
 
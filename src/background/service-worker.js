@@ -1,5 +1,5 @@
 // Background service worker
-importScripts('../utils/normalization.js', 'env.js', 'storage.js', 'logger.js', 'search-cache.js', 'youtube-api.js', 'mistral-api.js', 'matcher.js', 'evaluator.js');
+importScripts('../utils/normalization.js', 'settings.js', 'policy.js', 'database.js', 'storage.js', 'tab-state.js', 'artist-index.js', 'logger.js', 'search-cache.js', 'request-scheduler.js', 'youtube-quota.js', 'youtube-api.js', 'llm-providers.js', 'llm-usage.js', 'llm-api.js', 'matcher.js', 'evaluator.js', 'enforcement.js', 'database-transfer.js', 'feeds.js');
 
 console.log('YouTube Music Extension Service Worker loaded.');
 
@@ -7,7 +7,9 @@ console.log('YouTube Music Extension Service Worker loaded.');
 chrome.runtime.onInstalled.addListener(async () => {
   StorageManager.init().then(() => {
     console.log('Storage initialized.');
-  });
+    return SearchCache.prune();
+  }).catch(err => console.error('Storage initialization failed:', err));
+  FeedManager.scheduleRefresh().catch(err => console.error('Failed to schedule feed refresh:', err));
 
   // Inject content script into existing tabs
   try {
@@ -29,320 +31,1170 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
 });
 
+chrome.runtime.onStartup.addListener(() => {
+  SearchCache.prune().catch(err => console.error('Search cache cleanup failed:', err));
+  FeedManager.scheduleRefresh().catch(err => console.error('Failed to schedule feed refresh:', err));
+});
+
+// Scheduled refresh of shared blocklist feeds
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === FEED_ALARM) {
+    FeedManager.refreshAll().catch(err => console.error('Feed refresh failed:', err));
+  }
+});
+
 /**
  * Sends an enforcement command to a specific tab.
  * 
  * @param {number} tabId 
- * @param {string} command - 'SKIP_SONG', 'LIKE_SONG', 'DISLIKE_SONG'
+ * @param {string} command - 'SKIP_SONG', 'LIKE_SONG', 'DISLIKE_SONG', 'BLOCK_CURRENT_SONG', 'MUTE_SONG', 'SHOW_BANNER', 'HOLD_SONG', 'RELEASE_HOLD'
+ * @param {Object} [fields] - Extra message fields (e.g. banner `text`)
+ * @returns {Promise<string>} Outcome reported by the content script ('disliked', 'skipped', 'muted', 'notified', 'held', 'failed')
  */
-function sendEnforcementCommand(tabId, command) {
-    chrome.tabs.sendMessage(tabId, { type: command })
-        .then(() => console.log(`Command ${command} sent to tab ${tabId}`))
-        .catch(err => console.error(`Failed to send ${command} to tab ${tabId}:`, err));
+function sendEnforcementCommand(tabId, command, fields = {}) {
+    return chrome.tabs.sendMessage(tabId, { type: command, ...fields })
+        .then(response => {
+            console.log(`Command ${command} sent to tab ${tabId}`);
+            return (response && response.outcome) || 'failed';
+        })
+        .catch(err => {
+            console.error(`Failed to send ${command} to tab ${tabId}:`, err);
+            return 'failed';
+        });
 }
 
-let lastSkipTime = 0;
-const SKIP_COOLDOWN = 1000; // 1 second cooldown
+/**
+ * Carries out the action configured for the decision's verdict source and logs it.
+ * 
+ * @param {number} tabId 
+ * @param {{title: string, artist: string}} song 
+ * @param {{reason: string, step: string, blockMode?: string, source?: string}} decision 
+ * @returns {Promise<string>} Outcome
+ */
+async function enforceDecision(tabId, song, decision) {
+    const source = decision.source || VERDICT_SOURCES.AI;
+    const action = await Enforcement.getAction(source);
+    const command = Enforcement.getCommand(action);
+    const result = { blockMode: decision.blockMode || 'STRICT', source, action };
+
+    console.log(`Enforcing ${source} verdict with action "${action}":`, song.title);
+
+    if (!command) {
+        Logger.logDecision(song.title, song.artist, decision.reason, decision.step, { ...result, outcome: 'allowed' });
+        await releaseUncertainHold(tabId, song.title);
+        return 'allowed';
+    }
+
+    // A notify-only block lets the song play, so an uncertain mute must not outlive the verdict
+    if (action === ENFORCEMENT_ACTIONS.NOTIFY) {
+        await releaseUncertainHold(tabId, song.title);
+    } else {
+        await clearUncertainHold(tabId, song.title); // Content script lifts the hold by itself once the song changes
+    }
+
+    const outcome = await sendEnforcementCommand(tabId, command, {
+        text: Enforcement.getBannerText(source, action, song, decision.reason)
+    });
+    Logger.logDecision(song.title, song.artist, decision.reason, decision.step, { ...result, outcome });
+    return outcome;
+}
+
+// Fallback timers of songs held by the "uncertain" action while their artist lookup runs.
+// The hold itself is part of the tab state, so the timer can be re-armed after a worker restart.
+const holdTimers = new Map(); // tabId -> timeout
+
+function armHoldTimer(tabId, title, delayMs) {
+    clearTimeout(holdTimers.get(tabId));
+    holdTimers.set(tabId, setTimeout(() => applyHoldFallback(tabId, title, 'Lookup timed out'), Math.max(delayMs, 0)));
+}
+
+function clearHoldTimer(tabId) {
+    clearTimeout(holdTimers.get(tabId));
+    holdTimers.delete(tabId);
+}
+
+/**
+ * Applies the "uncertain" action to a song whose artists are being looked up.
+ * Mute/pause holds end with the verdict, or with the fallback action after `hold.maxMs`.
+ * 
+ * @param {number} tabId 
+ * @param {{title: string, artist: string}} song 
+ */
+async function holdUncertainSong(tabId, song) {
+    const action = await Enforcement.getAction(VERDICT_SOURCES.UNCERTAIN);
+    if (action === ENFORCEMENT_ACTIONS.NONE) return;
+
+    const text = Enforcement.getBannerText(VERDICT_SOURCES.UNCERTAIN, action, song);
+
+    if (!Enforcement.isHoldAction(action)) {
+        sendEnforcementCommand(tabId, Enforcement.getCommand(action), { text });
+        return;
+    }
+
+    const { maxMs } = await Enforcement.getHoldSettings();
+    await TabState.update(tabId, { hold: { title: song.title, artist: song.artist, deadline: Date.now() + maxMs } });
+    armHoldTimer(tabId, song.title, maxMs);
+
+    // The content script lets go by itself a little later, in case this worker is suspended
+    sendEnforcementCommand(tabId, 'HOLD_SONG', { mode: action, text, maxMs: maxMs + 5000 });
+}
+
+/**
+ * Forgets a tab's hold without touching playback.
+ * 
+ * @param {number} tabId 
+ * @param {string} [title] - Only forget the hold of this song
+ * @returns {Promise<Object|null>} The hold that was cleared
+ */
+async function clearUncertainHold(tabId, title) {
+    const { hold } = await TabState.get(tabId);
+    if (!hold || (title !== undefined && hold.title !== title)) return null;
+
+    clearHoldTimer(tabId);
+    await TabState.update(tabId, { hold: null });
+    return hold;
+}
+
+/**
+ * Lifts the "uncertain" action once a lookup for the song has ended without a block.
+ * @param {number} tabId 
+ * @param {string} title - Title of the song the lookup was for
+ */
+async function releaseUncertainHold(tabId, title) {
+    if (await clearUncertainHold(tabId, title)) {
+        sendEnforcementCommand(tabId, 'RELEASE_HOLD');
+    }
+}
+
+/**
+ * Ends a hold whose lookup timed out or failed with the configured fallback action.
+ * 
+ * @param {number} tabId 
+ * @param {string} title - Title of the song the lookup was for
+ * @param {string} reason 
+ */
+async function applyHoldFallback(tabId, title, reason) {
+    const { hold } = await TabState.get(tabId);
+    if (!hold || hold.title !== title) return;
+
+    const { artist } = hold;
+    const { fallback } = await Enforcement.getHoldSettings();
+    const fallbackDecision = { reason: `${reason}, fallback: ${fallback}`, step: 'HOLD_FALLBACK', blockMode: null, source: VERDICT_SOURCES.UNCERTAIN, action: fallback };
+    console.log(`Hold fallback for "${title}": ${fallback} (${reason})`);
+
+    if (fallback === HOLD_FALLBACKS.MUTE) {
+        // Stays muted until the song changes; a late "allow" verdict still lifts it
+        clearHoldTimer(tabId);
+        await TabState.update(tabId, { hold: { ...hold, deadline: null } });
+        const outcome = await sendEnforcementCommand(tabId, 'MUTE_SONG', {
+            text: `Could not check "${artist}", muted.`
+        });
+        Logger.logDecision(title, artist, fallbackDecision.reason, fallbackDecision.step, { ...fallbackDecision, outcome });
+        return;
+    }
+
+    await releaseUncertainHold(tabId, title);
+
+    if (fallback === HOLD_FALLBACKS.SKIP) {
+        const outcome = await sendEnforcementCommand(tabId, 'SKIP_SONG');
+        Logger.logDecision(title, artist, fallbackDecision.reason, fallbackDecision.step, { ...fallbackDecision, outcome });
+    }
+}
+
+/**
+ * Applies the fallback action to a song whose lookup failed.
+ * A held song gets it through applyHoldFallback. Once the daily LLM spend cap is reached, a song
+ * that is not held (uncertain action 'notify' or 'none') gets the fallback as well.
+ * 
+ * @param {number} tabId 
+ * @param {{title: string, artist: string}} song - Song the lookup was for
+ * @param {string} reason 
+ */
+async function applyLookupFallback(tabId, song, reason) {
+    const state = await TabState.get(tabId);
+    if (state.hold && state.hold.title === song.title) {
+        await applyHoldFallback(tabId, song.title, reason);
+        return;
+    }
+    if (!isSameTabSong(state.song, song) || !(await LLMUsage.getStatus()).capReached) return;
+
+    const { fallback } = await Enforcement.getHoldSettings();
+    if (fallback === HOLD_FALLBACKS.RESUME) return; // The song keeps playing
+
+    const fallbackDecision = { reason: `${reason}, LLM spend cap reached, fallback: ${fallback}`, step: 'HOLD_FALLBACK', blockMode: null, source: VERDICT_SOURCES.UNCERTAIN, action: fallback };
+    console.log(`Spend cap fallback for "${song.title}": ${fallback} (${reason})`);
+
+    const outcome = fallback === HOLD_FALLBACKS.SKIP
+        ? await sendEnforcementCommand(tabId, 'SKIP_SONG')
+        : await sendEnforcementCommand(tabId, 'MUTE_SONG', { text: `Could not check "${song.artist}" (LLM spend cap reached), muted.` });
+    Logger.logDecision(song.title, song.artist, fallbackDecision.reason, fallbackDecision.step, { ...fallbackDecision, outcome });
+}
 
-let currentSongState = {
-  title: '',
-  artist: '',
-  artwork: '',
-  status: 'unknown'
+// Flagged rows of the last scanned user-owned playlist, awaiting user confirmation
+let playlistReviewState = {
+  tabId: null,
+  playlistId: '',
+  playlistTitle: '',
+  items: []
 };
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'GET_CURRENT_STATE') {
-    if (!currentSongState.title) {
-        // If state is empty, try to fetch from active tab
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            const activeTab = tabs[0];
-            if (activeTab && activeTab.url && activeTab.url.includes('music.youtube.com')) {
-                chrome.tabs.sendMessage(activeTab.id, { type: 'GET_PLAYBACK_STATUS' });
-            }
+// Background tabs opened to undo a playlist removal; their playback is ignored
+const restoreTabIds = new Set();
+
+function broadcastPlaylistReview() {
+  chrome.runtime.sendMessage({ type: 'PLAYLIST_REVIEW_UPDATE', payload: playlistReviewState }).catch(() => {});
+}
+
+/**
+ * Removes the confirmed rows from the reviewed playlist, one at a time.
+ * Each successful removal is recorded so it can be undone.
+ * 
+ * @param {Array<{index: number, title: string, artist: string}>} items
+ * @returns {Promise<{removed: number, failed: number}>}
+ */
+async function removePlaylistItems(items) {
+  const { tabId, playlistId, playlistTitle } = playlistReviewState;
+  let removed = 0;
+  let failed = 0;
+
+  if (!tabId) {
+    return { removed, failed: items.length };
+  }
+
+  for (const item of items) {
+    const reviewed = playlistReviewState.items.find(i => i.title === item.title && i.artist === item.artist);
+    if (!reviewed) {
+      failed++;
+      continue;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'REMOVE_FROM_PLAYLIST',
+        index: reviewed.index,
+        title: reviewed.title,
+        artist: reviewed.artist,
+        playlistId
+      });
+
+      if (response && response.success) {
+        removed++;
+        await StorageManager.addPlaylistRemoval({
+          id: crypto.randomUUID(),
+          playlistId,
+          playlistTitle,
+          videoId: reviewed.videoId || '',
+          title: reviewed.title,
+          artist: reviewed.artist,
+          reason: reviewed.reason,
+          removedAt: Date.now()
         });
+        playlistReviewState.items = playlistReviewState.items.filter(i => i !== reviewed);
+        Logger.logAction('PLAYLIST_ITEM_REMOVED', { playlistTitle, title: reviewed.title, artist: reviewed.artist });
+      } else {
+        failed++;
+      }
+    } catch (err) {
+      console.error('Failed to send REMOVE_FROM_PLAYLIST:', err);
+      failed++;
     }
-    sendResponse(currentSongState);
-    return true; // Keep channel open
   }
 
-  if (message.type === 'SONG_CHANGED') {
-    const { title, artist, artwork } = message.payload;
-    console.log('Received song update:', message.payload);
+  broadcastPlaylistReview();
+  return { removed, failed };
+}
+
+/**
+ * Waits until a tab has finished loading.
+ * @param {number} tabId 
+ * @param {number} timeout 
+ */
+function waitForTabComplete(tabId, timeout = 20000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Tab load timed out'));
+    }, timeout);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    }
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Undoes a recorded playlist removal by opening the track in a background tab
+ * and saving it back into the playlist.
+ * 
+ * @param {string} removalId 
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function undoPlaylistRemoval(removalId) {
+  const removals = await StorageManager.getPlaylistRemovals();
+  const removal = removals.find(r => r.id === removalId);
+
+  if (!removal || removal.restoredAt) {
+    return { success: false, error: 'Removal not found or already restored' };
+  }
+  if (!removal.videoId || !removal.playlistTitle) {
+    return { success: false, error: 'Removal record is missing the video or playlist' };
+  }
+
+  const tab = await chrome.tabs.create({
+    url: `https://music.youtube.com/watch?v=${encodeURIComponent(removal.videoId)}`,
+    active: false
+  });
+  restoreTabIds.add(tab.id);
+
+  try {
+    await waitForTabComplete(tab.id);
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'RESTORE_TO_PLAYLIST',
+      playlistTitle: removal.playlistTitle
+    });
+
+    if (response && response.success) {
+      await StorageManager.updatePlaylistRemoval(removal.id, { restoredAt: Date.now() });
+      Logger.logAction('PLAYLIST_ITEM_RESTORED', { playlistTitle: removal.playlistTitle, title: removal.title });
+      return { success: true };
+    }
+    return { success: false, error: 'Could not save the track back to the playlist' };
+  } catch (err) {
+    console.error('Failed to undo playlist removal:', err);
+    return { success: false, error: err.toString() };
+  } finally {
+    restoreTabIds.delete(tab.id);
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+const SKIP_COOLDOWN = 1000; // 1 second cooldown
+const QUEUE_PREFETCH_LIMIT = 3; // Upcoming queue songs whose unknown artists are looked up ahead
+
+/**
+ * Sends a tab's song state to the popup.
+ * @param {string} type - 'SONG_CHANGED' or 'STATE_UPDATE'
+ * @param {Object} state - Tab state (TabState)
+ */
+function broadcastState(type, state) {
+    chrome.runtime.sendMessage({ type, payload: { ...state.song, tabId: state.tabId } }).catch(() => {});
+}
+
+/**
+ * Determines which lookup providers can be used: configured and enabled in the pipeline settings.
+ * @returns {Promise<{youtube: boolean, llm: boolean}>}
+ */
+async function getLookupProviders() {
+    const settings = await SettingsManager.get();
+    const [youtubeConfigured, llmConfigured] = await Promise.all([
+        YouTubeAPI.isConfigured(),
+        LLMAPI.isConfigured()
+    ]);
+    return {
+        youtube: youtubeConfigured && settings.pipeline.useYouTube,
+        llm: llmConfigured && settings.pipeline.useLLM
+    };
+}
+
+/**
+ * Whether a tab still plays the song a lookup was started for.
+ * @param {{title: string, artist: string}} song - The tab's song
+ * @param {{title: string, artist: string}} searchSong
+ */
+function isSameTabSong(song, searchSong) {
+    return !!song.title && song.title === searchSong.title && song.artist === searchSong.artist;
+}
+
+/**
+ * Re-evaluates the song a tab is playing after new artist data came in,
+ * then enforces a block or lifts the "uncertain" hold.
+ * Results for a song the tab no longer plays are dropped.
+ * 
+ * @param {number} tabId 
+ * @param {{title: string, artist: string}} searchSong - Song the lookup was for
+ * @param {Object} [songDetails] - Extra evaluation details for that song
+ * @returns {Promise<Object|null>} New decision, null if the tab has moved on to another song
+ */
+async function reevaluateTabSong(tabId, searchSong, songDetails = {}) {
+    const { song } = await TabState.get(tabId);
+    if (!isSameTabSong(song, searchSong)) {
+        console.log(`Track changed, dropping lookup result for "${searchSong.title}"`);
+        return null;
+    }
+
+    // Note: We re-evaluate using the ORIGINAL full artist string of the tab's song
+    // This ensures we check all artists again, including the one just added.
+    const newDecision = await Evaluator.evaluateSong(song.title, song.artist, songDetails);
+    console.log('Re-evaluation decision:', newDecision);
+
+    // The track may have changed while the song was evaluated
+    if (!isSameTabSong((await TabState.get(tabId)).song, searchSong)) {
+        console.log(`Track changed, dropping re-evaluation of "${searchSong.title}"`);
+        return null;
+    }
+
+    let status = 'safe';
+    if (newDecision.shouldBlock) {
+        status = 'blocked';
+    } else if (newDecision.step === 'PENDING_SEARCH') {
+        // Other artists of the song are still being looked up
+        status = 'pending';
+    } else if (newDecision.step === 'REVIEW') {
+        status = 'review';
+    }
+
+    const changes = { song: { status, why: explainDecision(newDecision) } };
+    if (newDecision.step !== 'PENDING_SEARCH') changes.search = null;
+    broadcastState('STATE_UPDATE', await TabState.update(tabId, changes));
+
+    if (newDecision.shouldBlock) {
+        enforceDecision(tabId, { title: song.title, artist: song.artist }, newDecision);
+    } else if (newDecision.step !== 'PENDING_SEARCH') {
+        releaseUncertainHold(tabId, song.title);
+    }
+    return newDecision;
+}
+
+/**
+ * Looks up one artist (YouTube channel data, then the LLM), caches the outcome
+ * and stores the artist. The search cache entry must already be set to pending.
+ * 
+ * @param {string} artistToSearch 
+ * @param {{channelId: string|null, songTitle: string, priority: number, providers: Object, policy: Object}} context 
+ * @returns {Promise<Object|null>} Lookup result, null if nothing was found
+ */
+async function lookupArtist(artistToSearch, { channelId, songTitle, priority, providers, policy }) {
+    const requestOptions = { priority, key: artistToSearch };
+    const stopKeepingPending = SearchCache.keepPending(artistToSearch);
+
+    try {
+        if (providers.llm) {
+            // Once the LLM spend cap is reached the lookup stops here, before any YouTube quota is spent
+            await LLMUsage.assertUnderCap();
+        }
+
+        let useYouTube = providers.youtube;
+        let quotaReservation = null;
+        if (useYouTube) {
+            // Stay within the daily YouTube quota budget (settings.youtube); the units are set aside until the calls are made
+            const quota = await YouTubeQuota.reserve(YouTubeQuota.lookupCost(channelId));
+            quotaReservation = quota.reservation;
+            if (quota.mode === QUOTA_MODES.DEFERRED) {
+                const message = `YouTube quota budget reached (${quota.remaining} units left), lookup deferred until the daily reset`;
+                throw Object.assign(new Error(message), { retryAt: quota.resetsAt });
+            }
+            if (quota.mode === QUOTA_MODES.LLM_ONLY) {
+                console.log(`YouTube quota budget reached (${quota.remaining} units left), LLM-only lookup for:`, artistToSearch);
+                useYouTube = false;
+            }
+        }
+
+        let ytDetails = null;
+        if (useYouTube) {
+            try {
+                ytDetails = await YouTubeAPI.getArtistDetails(artistToSearch, channelId, { ...requestOptions, quotaReservation });
+            } finally {
+                YouTubeQuota.release(quotaReservation).catch(err => console.warn('Failed to release YouTube quota reservation:', err));
+            }
+        }
+        console.log('YouTube API Details:', ytDetails);
+
+        let result;
+
+        // CHECK FOR HARD BLOCK CONDITIONS (blocked country or policy signal rules)
+        const channelVerdict = BlockingPolicy.evaluateChannel(ytDetails, policy);
+        if (channelVerdict.block) {
+            console.log(`Hard Block triggered by YouTube API signals for: ${artistToSearch} (${channelVerdict.reason})`);
+            result = {
+                canonicalName: ytDetails.title || artistToSearch,
+                country: ytDetails.country || null,
+                isBlocked: true,
+                verdictSource: VERDICT_SOURCES.SIGNAL,
+                evidence: collectEvidence(ytDetails, { provider: 'youtube', model: null, reason: channelVerdict.reason })
+            };
+        } else if (providers.llm) {
+            // Pass enhanced context to the LLM
+            result = await LLMAPI.searchArtist(artistToSearch, ytDetails, songTitle, requestOptions);
+            if (result) {
+                result.evidence = collectEvidence(ytDetails, { provider: result.provider, model: result.model, reason: result.rationale });
+            }
+        } else {
+            console.log('LLM lookup disabled or not configured. No verdict for:', artistToSearch);
+            result = null;
+        }
+
+        if (!result || !result.canonicalName) {
+            console.log('Search returned no results for:', artistToSearch);
+            await SearchCache.setFailed(artistToSearch, 'No results found');
+            return null;
+        }
+
+        console.log('Search success:', result);
+        await storeLookupResult(artistToSearch, result, ytDetails ? ytDetails.channelId : null, policy);
+        return result;
+    } catch (error) {
+        if (error.retryAt) {
+            // Postponed, not failed: looked up again once the quota resets
+            console.log(`Lookup of ${artistToSearch} deferred:`, error.message);
+            await SearchCache.setDeferred(artistToSearch, error.message, error.retryAt);
+        } else {
+            console.error('Search failed for:', artistToSearch, error);
+            await SearchCache.setFailed(artistToSearch, error.toString());
+        }
+        throw error;
+    } finally {
+        stopKeepingPending();
+    }
+}
+
+/**
+ * What a lookup verdict rests on, stored with the artist for the popup's "Why?" view.
+ * 
+ * @param {Object|null} ytDetails - Processed channel details (YouTubeAPI.getArtistDetails)
+ * @param {{provider: string, model: string|null, reason: string}} verdict - Who decided ('youtube' for channel signals alone) and why
+ * @returns {Object} Artist `evidence` field
+ */
+function collectEvidence(ytDetails, verdict) {
+    return {
+        resolvedAt: Date.now(),
+        provider: verdict.provider,
+        model: verdict.model,
+        reason: verdict.reason || '',
+        channel: ytDetails ? {
+            id: ytDetails.channelId,
+            title: ytDetails.title,
+            country: ytDetails.country || null,
+            signals: ytDetails.matchedSignals || [],
+            descriptionExcerpt: (ytDetails.description || '').substring(0, 300)
+        } : null
+    };
+}
+
+/**
+ * The decision behind a tab's song status, for the popup's "Why?" view.
+ * 
+ * @param {Object} decision - Evaluator result
+ * @returns {{step: string, reason: string, source: string|null, artists: Object[]}}
+ */
+function explainDecision(decision) {
+    const details = decision.details || {};
+    const artists = decision.shouldBlock ? details.blocked : details.review;
+    return {
+        step: decision.step,
+        reason: decision.reason,
+        source: decision.source || null,
+        artists: (artists || []).map(artist => ({
+            name: artist.name,
+            verdict: artist.verdict,
+            addedBy: artist.addedBy,
+            feedName: artist.feedName,
+            country: artist.country,
+            confidence: artist.confidence,
+            evidence: artist.evidence || null
+        }))
+    };
+}
+
+/**
+ * Caches a lookup result and stores the artist, with the searched name as alias.
+ * LLM verdicts below settings.review.minConfidence are stored for review, not enforced.
+ * 
+ * @param {string} artistToSearch 
+ * @param {Object} result - Lookup result (canonicalName, country, isBlocked, ...)
+ * @param {string|null} channelId - Channel the artist was identified by
+ * @param {Object} policy 
+ */
+async function storeLookupResult(artistToSearch, result, channelId, policy) {
+    // 1. Update Cache
+    await SearchCache.setResolved(artistToSearch, { results: [result] }, channelId);
+
+    // 2. Update Artist List if valid info found
+    const settings = await SettingsManager.get();
+    const verdictSource = result.verdictSource || VERDICT_SOURCES.AI;
+    const confidence = typeof result.confidence === 'number' ? result.confidence : null;
+    // Unsure LLM verdicts wait in the popup's review queue instead of being enforced
+    const minConfidence = settings.review.minConfidence;
+    const needsReview = verdictSource === VERDICT_SOURCES.AI && minConfidence > 0 &&
+        (confidence === null || confidence < minConfidence);
+
+    const newArtist = {
+        id: crypto.randomUUID(),
+        name: result.canonicalName,
+        country: result.country, // Might be null or ISO code
+        verdict: BlockingPolicy.verdictFromLookup(result, policy),
+        verdictSource,
+        confidence,
+        rationale: result.rationale || '',
+        needsReview,
+        evidence: result.evidence || null,
+        aliases: [artistToSearch], // Add search query as alias to ensure future matches
+        lastPlayed: Date.now(),
+        addedBy: 'search',
+        comment: 'from search'
+    };
+
+    await StorageManager.addArtist(newArtist);
+    console.log('Artist added to persistent list:', newArtist);
+}
+
+/**
+ * Looks up unknown artists of an upcoming queue song at low priority,
+ * so the verdict is ready when it starts playing.
+ * 
+ * @param {Object} decision - PENDING_SEARCH evaluation result
+ * @param {{title: string, artist: string}} song 
+ */
+async function prefetchUnknownArtists(decision, song) {
+    const providers = await getLookupProviders();
+    if (!providers.youtube && !providers.llm) return;
+
+    const policy = await BlockingPolicy.get();
+    const artistsToSearch = decision.artistsToSearch || [song.artist];
+
+    for (const artistToSearch of artistsToSearch) {
+        if (!(await SearchCache.setPending(artistToSearch))) continue;
+
+        console.log('Prefetch lookup queued for:', artistToSearch);
+        lookupArtist(artistToSearch, {
+            channelId: null,
+            songTitle: song.title,
+            priority: REQUEST_PRIORITY.PREFETCH,
+            providers,
+            policy
+        })
+            .then(result => settleWaitingTabs(artistToSearch, result))
+            .catch(() => settleWaitingTabs(artistToSearch, null));
+    }
+}
+
+/**
+ * Runs the lookup of a search cache entry again (cache inspector), ignoring its cached state.
+ * 
+ * @param {string} artist - Searched name of the entry
+ * @returns {Promise<{success: boolean, found?: boolean, error?: string}>}
+ */
+async function rerunLookup(artist) {
+    const providers = await getLookupProviders();
+    if (!providers.youtube && !providers.llm) {
+        return { success: false, error: 'No lookup provider configured' };
+    }
+
+    await SearchCache.remove(artist);
+    if (!(await SearchCache.setPending(artist))) {
+        return { success: false, error: 'A lookup for this artist is already running' };
+    }
+
+    const policy = await BlockingPolicy.get();
+    try {
+        const result = await lookupArtist(artist, {
+            channelId: null,
+            songTitle: null,
+            priority: REQUEST_PRIORITY.CURRENT,
+            providers,
+            policy
+        });
+        settleWaitingTabs(artist, result);
+        return { success: true, found: !!result };
+    } catch (error) {
+        settleWaitingTabs(artist, null);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Re-evaluates tabs whose song started playing while a prefetch lookup of one of its artists ran.
+ * 
+ * @param {string} artistToSearch 
+ * @param {Object|null} result - Lookup result, null if the lookup failed
+ */
+async function settleWaitingTabs(artistToSearch, result) {
+    for (const { tabId, song, search } of await TabState.list()) {
+        if (song.status !== 'pending' || !search || !search.artists.includes(artistToSearch)) continue;
+
+        if (result) {
+            reevaluateTabSong(tabId, song);
+        } else {
+            applyLookupFallback(tabId, song, 'Lookup failed');
+        }
+    }
+}
+
+/**
+ * Looks up unknown artists of a tab's song (YouTube channel data + LLM),
+ * stores the results and re-evaluates the song once an artist is resolved.
+ * In local-database-only mode (no provider configured) nothing is looked up.
+ * The lookup is recorded in the tab state so it can be resumed after a worker restart.
+ * 
+ * @param {Object} decision - PENDING_SEARCH evaluation result
+ * @param {string} artist - Full artist string of the song
+ * @param {number} tabId - Tab playing the song, receives the "uncertain" action
+ * @param {{hold?: boolean}} [options] - `hold: false` keeps an existing hold as it is
+ */
+async function searchUnknownArtists(decision, artist, tabId, options = {}) {
+    const providers = await getLookupProviders();
+    if (!providers.youtube && !providers.llm) {
+        console.log('No lookup provider configured. Running in local-database-only mode.');
+        broadcastState('STATE_UPDATE', await TabState.update(tabId, { song: { status: 'unknown' }, search: null }));
+        return;
+    }
+
+    const { song } = await TabState.get(tabId);
+    const searchTitle = song.title; // Capture title for context validity check
+    const searchSong = { title: song.title, artist: song.artist };
+
+    if (options.hold !== false) {
+        holdUncertainSong(tabId, { title: searchTitle, artist });
+    }
+
+    const policy = await BlockingPolicy.get();
+
+    // Trigger search logic
+    const artistsToSearch = decision.artistsToSearch || [artist];
+    const songChannelId = (decision.details && decision.details.channelId) ? decision.details.channelId : null;
+
+    await TabState.update(tabId, {
+        search: { title: searchTitle, artist: song.artist, artists: artistsToSearch, channelId: songChannelId }
+    });
     
-    // Update local state
-    currentSongState = { ...currentSongState, title, artist, artwork, status: 'pending' };
+    // Loop through each unknown artist
+    artistsToSearch.forEach(artistToSearch => {
+        // 1. Check if artist is already in artist list (double check to be safe, though evaluator did it)
+        SongMatcher.checkArtistMatch(artistToSearch).then(async artistMatch => {
+          if (artistMatch.match) {
+             console.log('Artist found in list, no search needed (race condition resolved):', artistToSearch);
+             return;
+          }
+
+          // We extract channel ID if passed from content script via Evaluator details.
+          let channelId = songChannelId;
+
+          // Safety Check: Only use channelId if artistToSearch is the PRIMARY artist.
+          // If we have a collaboration (e.g. "Artist A & Artist B"), the channelId likely belongs to Artist A.
+          // If we search for Artist B with Artist A's channel ID, we get wrong info.
+          if (channelId) {
+              const fullArtistString = song.artist || '';
+              const splitArtists = NormalizationUtils.splitArtists(fullArtistString);
+              
+              // If artistToSearch is NOT the first artist in the list, ignore the channelId.
+              if (splitArtists.length > 0) {
+                  // Compare normalized versions
+                  const primaryArtist = splitArtists[0];
+                  const currentSearch = NormalizationUtils.normalizeArtist(artistToSearch);
+                  
+                  // Simple containment or equality check
+                  // Note: normalizeArtist is already applied in splitArtists map, so primaryArtist is normalized.
+                  if (currentSearch !== primaryArtist) {
+                      console.log(`Skipping channelId for secondary artist search: ${artistToSearch} (Primary: ${primaryArtist})`);
+                      channelId = null;
+                  }
+              }
+          }
+
+          // 2. Another spelling on the same channel may have been looked up already
+          const reused = await reuseChannelLookup(artistToSearch, channelId, policy);
+          if (reused) {
+              reevaluateTabSong(tabId, searchSong, { isKnownUkrainian: reused.isSongUkrainian });
+              return;
+          }
+
+          // 3. Attempt to set pending in cache.
+          SearchCache.setPending(artistToSearch).then(started => {
+            if (started) {
+                console.log('Search initiated for:', artistToSearch);
+
+                lookupArtist(artistToSearch, {
+                    channelId,
+                    songTitle: searchTitle,
+                    priority: REQUEST_PRIORITY.CURRENT,
+                    providers,
+                    policy
+                })
+                    .then(result => {
+                        if (result) {
+                            // Re-evaluate the tab's song now that we have new data
+                            reevaluateTabSong(tabId, searchSong, { isKnownUkrainian: result.isSongUkrainian }).then(decision => {
+                                // The tab moved on; a song started meanwhile may be waiting for this artist
+                                if (!decision) settleWaitingTabs(artistToSearch, result);
+                            });
+                        } else {
+                            applyLookupFallback(tabId, searchSong, 'Lookup found no results');
+                        }
+                    })
+                    .catch(error => applyLookupFallback(tabId, searchSong,
+                        error.retryAt ? 'Lookup deferred until the YouTube quota resets' : `Lookup failed (${error.message})`));
+            } else {
+                console.log('Search skipped: already pending, resolved, or failed for:', artistToSearch);
+                // A prefetch lookup for this artist may still be queued; the song is playing now
+                RequestScheduler.promote(artistToSearch, REQUEST_PRIORITY.CURRENT);
+                // A running search re-evaluates the songs waiting for it when it ends; otherwise nothing will
+                SearchCache.get(artistToSearch).then(entry => {
+                    if (entry && entry.state === 'failed') {
+                        applyLookupFallback(tabId, searchSong, 'Lookup failed earlier');
+                    } else if (!entry || entry.state !== 'pending') {
+                        releaseUncertainHold(tabId, searchTitle);
+                    }
+                });
+            }
+          });
+        });
+    });
+}
+
+/**
+ * Reuses the cached lookup of a channel for another spelling of its artist name
+ * (e.g. a transliterated name on the same channel), so no new lookup is needed.
+ * 
+ * @param {string} artistToSearch 
+ * @param {string|null} channelId 
+ * @param {Object} policy 
+ * @returns {Promise<Object|null>} The reused result
+ */
+async function reuseChannelLookup(artistToSearch, channelId, policy) {
+    if (!channelId) return null;
+
+    const entry = await SearchCache.get(null, channelId);
+    if (!entry || entry.state !== 'resolved' || !entry.data.results.length) return null;
+
+    const result = entry.data.results[0];
+    console.log(`Reusing the lookup of channel ${channelId} (${entry.name}) for:`, artistToSearch);
+    await storeLookupResult(artistToSearch, result, channelId, policy);
+    return result;
+}
+
+/**
+ * Picks up where a stopped worker left off: re-arms hold timers and restarts
+ * artist lookups that were running for the songs the tabs are still playing.
+ */
+async function restoreTabStates() {
+    const workerStartedAt = Date.now();
+    const openTabs = await chrome.tabs.query({ url: '*://music.youtube.com/*' });
+    const openTabIds = new Set(openTabs.map(tab => tab.id));
+
+    for (const state of await TabState.list()) {
+        const { tabId, song, hold, search } = state;
+
+        if (!openTabIds.has(tabId)) {
+            await TabState.remove(tabId);
+            continue;
+        }
+
+        if (hold && hold.title !== song.title) {
+            await clearUncertainHold(tabId); // Content script lifted it when the song changed
+        } else if (hold && hold.deadline) {
+            armHoldTimer(tabId, hold.title, hold.deadline - Date.now());
+        }
+
+        if (!search || song.status !== 'pending' || search.title !== song.title) continue;
+
+        console.log(`Resuming artist lookup for "${song.title}" in tab ${tabId}`);
+
+        // Lookups of the stopped worker will never finish; free their entries for a new attempt
+        for (const name of search.artists) {
+            const entry = await SearchCache.get(name);
+            if (entry && entry.state === 'pending' && entry.timestamp < workerStartedAt) {
+                await SearchCache.remove(name);
+            }
+        }
+
+        const decision = await reevaluateTabSong(tabId, song, { channelId: search.channelId });
+        if (decision && decision.step === 'PENDING_SEARCH') {
+            searchUnknownArtists(decision, song.artist, tabId, { hold: false });
+        }
+    }
+}
+
+restoreTabStates().catch(err => console.error('Failed to restore tab states:', err));
+
+/**
+ * Handles a song reported by a YouTube Music tab: evaluates it, enforces a block
+ * and starts lookups for unknown artists.
+ * 
+ * @param {number} tabId 
+ * @param {Object} payload - Song data from the content script
+ */
+async function handleSongChanged(tabId, payload) {
+    const { title, artist, artwork } = payload;
+    const previous = await TabState.get(tabId);
+
+    // Update the tab's state
+    let state = await TabState.update(tabId, {
+        song: { title, artist, artwork, status: 'pending', songVerdict: null, why: null },
+        search: null
+    });
+
+    // The content script lifts a hold by itself when the song changes
+    if (previous.hold && previous.hold.title !== title) {
+        await clearUncertainHold(tabId);
+    }
     
     // Broadcast initial update
-    chrome.runtime.sendMessage({ type: 'SONG_CHANGED', payload: currentSongState }).catch(() => {});
+    broadcastState('SONG_CHANGED', state);
 
     // Evaluate the song
-    Evaluator.evaluateSong(title, artist, message.payload).then(decision => {
-      console.log('Evaluation decision:', decision);
+    const decision = await Evaluator.evaluateSong(title, artist, payload);
+    console.log('Evaluation decision:', decision);
       
-      // Update status based on decision
-      if (decision.shouldBlock) {
-        currentSongState.status = 'blocked';
-        Logger.logDecision(title, artist, decision.reason, decision.step);
-      } else if (decision.step === 'PENDING_SEARCH') {
-        currentSongState.status = 'pending';
-      } else {
-        currentSongState.status = 'safe';
+    // Update status based on decision
+    const songVerdict = (decision.details && decision.details.songVerdict) || null;
+    let status;
+    if (decision.shouldBlock) {
+        status = 'blocked';
+    } else if (decision.step === 'PENDING_SEARCH') {
+        status = 'pending';
+    } else if (decision.step === 'REVIEW') {
+        // Unsure LLM verdict: played until reviewed, but visible in the history
+        status = 'review';
+        Logger.logDecision(title, artist, decision.reason, decision.step, { source: VERDICT_SOURCES.AI, outcome: 'allowed' });
+    } else {
+        status = 'safe';
         // Optional: log safe decisions if verbose mode is on
         // Logger.logDecision(title, artist, 'Allowed', decision.step);
         
         // Explicitly log allowance for Ukrainian language check as requested
         if (decision.step === 'LANGUAGE') {
-            Logger.logDecision(title, artist, 'Allowed (Ukrainian Language)', decision.step);
+            Logger.logDecision(title, artist, 'Allowed (Ukrainian Language)', decision.step, { outcome: 'allowed' });
             console.log(`Allowed song "${title}" by "${artist}" because title is Ukrainian.`);
         }
-      }
-      
-      // Broadcast evaluated state
-      chrome.runtime.sendMessage({ type: 'STATE_UPDATE', payload: currentSongState }).catch(() => {});
-
-      // If blocking is required, send command to content script
-      if (decision.shouldBlock) {
-          console.log('Blocking song:', title, 'by', artist);
-          Logger.logAction('BLOCK_TRIGGERED', { title, artist, method: 'SKIP_SONG' });
-          if (sender.tab && sender.tab.id) {
-              const now = Date.now();
-              const timeSinceLastSkip = now - lastSkipTime;
-              
-              if (timeSinceLastSkip > SKIP_COOLDOWN) {
-                  lastSkipTime = now;
-                  
-                  // Check block mode
-                  const mode = decision.blockMode || 'STRICT'; // Default to strict if undefined
-                  
-                  if (mode === 'STRICT') {
-                      // Strict blocking actions: Dislike only (as requested)
-                      console.log('Strict block (Blocked Artist Found): Disliking.');
-                      sendEnforcementCommand(sender.tab.id, 'DISLIKE_SONG');
-                  } else {
-                      console.log('Soft block (partial match): Skipping without dislike.');
-                      sendEnforcementCommand(sender.tab.id, 'SKIP_SONG');
-                  }
-              } else {
-                  console.warn('Skip skipped due to cooldown. Queuing retry.');
-                  // If we are blocked but in cooldown, we MUST try again shortly
-                  // otherwise the song continues playing.
-                  setTimeout(() => {
-                     // Re-verify current state matches the one we wanted to block?
-                     // Or just blindly send SKIP if still blocked?
-                     // Safer to just send BLOCK command again, content script handles checks.
-                     // But let's check if the song hasn't changed in the meantime?
-                     // Actually, if we just send the command, the content script can decide.
-                     // But better to check `currentSongState`
-                     if (currentSongState.title === title && currentSongState.artist === artist) {
-                         console.log('Retrying block after cooldown...');
-                         lastSkipTime = Date.now();
-                         sendEnforcementCommand(sender.tab.id, 'BLOCK_CURRENT_SONG');
-                     }
-                  }, SKIP_COOLDOWN - timeSinceLastSkip + 100);
-              }
-          }
-      }
 
-      if (decision.step === 'PENDING_SEARCH') {
-        // Trigger search logic
-        const artistsToSearch = decision.artistsToSearch || [artist];
-        
-        // Loop through each unknown artist
-        artistsToSearch.forEach(artistToSearch => {
-            const searchTitle = currentSongState.title; // Capture title for context validity check
-            // 1. Check if artist is already in artist list (double check to be safe, though evaluator did it)
-            SongMatcher.checkArtistMatch(artistToSearch).then(artistMatch => {
-              if (artistMatch.match) {
-                 console.log('Artist found in list, no search needed (race condition resolved):', artistToSearch);
-                 return;
-              }
-    
-              // 2. Attempt to set pending in cache.
-              SearchCache.setPending(artistToSearch).then(started => {
-                if (started) {
-                    console.log('Search initiated for:', artistToSearch);
-                    
-                    // NEW: Pre-process with YouTube API
-                    // We extract channel ID if passed from content script via Evaluator details.
-                    
-                    let channelId = (decision.details && decision.details.channelId) ? decision.details.channelId : null;
-
-                    // Safety Check: Only use channelId if artistToSearch is the PRIMARY artist.
-                    // If we have a collaboration (e.g. "Artist A & Artist B"), the channelId likely belongs to Artist A.
-                    // If we search for Artist B with Artist A's channel ID, we get wrong info.
-                    if (channelId) {
-                        const fullArtistString = currentSongState.artist || '';
-                        const splitArtists = NormalizationUtils.splitArtists(fullArtistString);
-                        
-                        // If artistToSearch is NOT the first artist in the list, ignore the channelId.
-                        if (splitArtists.length > 0) {
-                            // Compare normalized versions
-                            const primaryArtist = splitArtists[0];
-                            const currentSearch = NormalizationUtils.normalizeArtist(artistToSearch);
-                            
-                            // Simple containment or equality check
-                            // Note: normalizeArtist is already applied in splitArtists map, so primaryArtist is normalized.
-                            if (currentSearch !== primaryArtist) {
-                                console.log(`Skipping channelId for secondary artist search: ${artistToSearch} (Primary: ${primaryArtist})`);
-                                channelId = null;
-                            }
-                        }
-                    }
+        // Song whitelist entries override artist verdicts, so make them visible in the history
+        if (decision.step === 'SONG') {
+            Logger.logDecision(title, artist, decision.reason, decision.step, { source: VERDICT_SOURCES.MANUAL, outcome: 'allowed' });
+        }
+    }
 
-                    YouTubeAPI.getArtistDetails(artistToSearch, channelId)
-                        .then(ytDetails => {
-                            console.log('YouTube API Details:', ytDetails);
-
-                            // CHECK FOR HARD BLOCK CONDITIONS
-                            if (ytDetails && (ytDetails.hasVkLink || ytDetails.hasYandexLink || ytDetails.hasRussianPhone)) {
-                                console.log('Hard Block triggered by YouTube API signals for:', artistToSearch);
-                                return {
-                                    canonicalName: ytDetails.title || artistToSearch,
-                                    country: 'RU',
-                                    isRussian: true
-                                };
-                            }
-                            
-                            // Pass enhanced context to Mistral
-                            return MistralAPI.searchArtist(artistToSearch, ytDetails, searchTitle);
-                        })
-                        .then(result => {
-                            if (result && result.canonicalName) {
-                                console.log('Search success:', result);
-                                
-                                // 1. Update Cache
-                                SearchCache.setResolved(artistToSearch, { results: [result] });
-                                
-                                // 2. Update Artist List if valid info found
-                                const newArtist = {
-                                    id: crypto.randomUUID(),
-                                    name: result.canonicalName,
-                                    country: result.country, // Might be null or ISO code
-                                    isRussian: result.isRussian,
-                                    aliases: [artistToSearch], // Add search query as alias to ensure future matches
-                                    lastPlayed: Date.now(),
-                                    addedBy: 'search',
-                                    comment: 'from search'
-                                };
-    
-                                StorageManager.addArtist(newArtist).then(() => {
-                                    console.log('Artist added to persistent list:', newArtist);
-                                    
-                                    // Re-evaluate current song now that we have new data
-                                    // Note: We re-evaluate using the ORIGINAL full artist string from currentSongState
-                                    // This ensures we check all artists again, including the one just added.
-                                    const isSameSong = currentSongState.title === searchTitle;
-                                    Evaluator.evaluateSong(currentSongState.title, currentSongState.artist, isSameSong ? { isKnownUkrainian: result.isSongUkrainian } : {}).then(newDecision => {
-                                        console.log('Re-evaluation decision:', newDecision);
-                                        
-                                        if (newDecision.shouldBlock) {
-                                            currentSongState.status = 'blocked';
-                                            Logger.logDecision(currentSongState.title, currentSongState.artist, newDecision.reason, newDecision.step);
-                                        } else {
-                                            // Only set to safe if NOT pending other searches?
-                                            // If newDecision says PENDING_SEARCH (for other artists), we stay pending.
-                                            // If newDecision says SAFE, we are safe.
-                                            if (newDecision.step === 'PENDING_SEARCH') {
-                                                currentSongState.status = 'pending';
-                                            } else {
-                                                currentSongState.status = 'safe';
-                                            }
-                                        }
-                                        
-                                        // Broadcast updated state
-                                        chrome.runtime.sendMessage({ type: 'STATE_UPDATE', payload: currentSongState }).catch(() => {});
-                                        
-                                        // Handle blocking if needed
-                                        if (newDecision.shouldBlock) {
-                                             // Find active tab to send command
-                                             chrome.tabs.query({ url: "*://music.youtube.com/*" }, (tabs) => {
-                                                if (tabs && tabs.length > 0) {
-                                                    const activeTab = tabs.find(t => t.active) || tabs[0];
-                                                    
-                                                    const mode = newDecision.blockMode || 'STRICT';
-                                                if (mode === 'STRICT') {
-                                                    console.log('Strict block (Blocked Artist Found): Disliking.');
-                                                    sendEnforcementCommand(activeTab.id, 'DISLIKE_SONG');
-                                                } else {
-                                                    sendEnforcementCommand(activeTab.id, 'SKIP_SONG');
-                                                }
-                                                }
-                                             });
-                                        }
-                                    });
-                                });
-    
-                            } else {
-                                console.log('Search returned no results for:', artistToSearch);
-                                SearchCache.setFailed(artistToSearch, 'No results found');
-                            }
-                        })
-                        .catch(error => {
-                            console.error('Search failed for:', artistToSearch, error);
-                            SearchCache.setFailed(artistToSearch, error.toString());
-                        });
-                } else {
-                    console.log('Search skipped: already pending, resolved, or failed for:', artistToSearch);
+    // Broadcast evaluated state
+    state = await TabState.update(tabId, { song: { status, songVerdict, why: explainDecision(decision) } });
+    broadcastState('STATE_UPDATE', state);
+
+    // If blocking is required, send command to content script
+    if (decision.shouldBlock) {
+        console.log('Blocking song:', title, 'by', artist);
+        Logger.logAction('BLOCK_TRIGGERED', { title, artist, method: 'SKIP_SONG' });
+
+        const now = Date.now();
+        const timeSinceLastSkip = now - state.lastSkipTime;
+        
+        if (timeSinceLastSkip > SKIP_COOLDOWN) {
+            await TabState.update(tabId, { lastSkipTime: now });
+            
+            // Action depends on where the verdict came from (settings.enforcement)
+            enforceDecision(tabId, { title, artist }, decision);
+        } else {
+            console.warn('Skip skipped due to cooldown. Queuing retry.');
+            // If we are blocked but in cooldown, we MUST try again shortly
+            // otherwise the song continues playing.
+            setTimeout(async () => {
+                // Only if the tab is still playing the song we wanted to block
+                const { song } = await TabState.get(tabId);
+                if (song.title === title && song.artist === artist) {
+                    console.log('Retrying block after cooldown...');
+                    await TabState.update(tabId, { lastSkipTime: Date.now() });
+                    enforceDecision(tabId, { title, artist }, decision);
                 }
-              });
-            });
+            }, SKIP_COOLDOWN - timeSinceLastSkip + 100);
+        }
+    }
+
+    if (decision.step === 'PENDING_SEARCH') {
+        searchUnknownArtists(decision, artist, tabId);
+    }
+}
+
+/**
+ * Applies edits from the popup's artist detail view. Aliases that were removed lose their
+ * search cache entries too, so a wrong lookup result is not reused for them.
+ * 
+ * @param {string} id 
+ * @param {{aliases?: string[], country?: string, comment?: string}} changes 
+ * @returns {Promise<{success: boolean, artist?: Object, error?: string}>}
+ */
+async function editArtist(id, changes) {
+    const artist = await ArtistIndex.get(id);
+    if (!artist) return { success: false, error: 'Artist not found' };
+
+    const update = {};
+    if (Array.isArray(changes.aliases)) {
+        // Drop blanks, duplicates and spellings of the name itself
+        const keys = new Set([ArtistIndex.keyOf(artist.name)]);
+        update.aliases = changes.aliases.map(alias => String(alias).trim()).filter(alias => {
+            const key = ArtistIndex.keyOf(alias);
+            if (!key || keys.has(key)) return false;
+            keys.add(key);
+            return true;
         });
-      }
-    });
+    }
+    if (changes.country !== undefined) {
+        const country = BlockingPolicy.normalizeCountry(changes.country);
+        if (changes.country && !country) {
+            return { success: false, error: `Unknown country: ${changes.country}` };
+        }
+        update.country = country || null;
+    }
+    if (changes.comment !== undefined) {
+        update.comment = String(changes.comment).trim();
+    }
+
+    const updated = await StorageManager.updateArtist(id, update);
+    if (!updated) return { success: false, error: 'Artist not found' };
+
+    const removedAliases = (artist.aliases || []).filter(alias => !updated.aliases.includes(alias));
+    for (const alias of removedAliases) {
+        await SearchCache.remove(alias);
+    }
+    return { success: true, artist: updated };
+}
+
+/**
+ * Deletes an artist and the search cache entries of its name and aliases,
+ * so the next time it plays it is looked up from scratch.
+ * 
+ * @param {string} id 
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteArtist(id) {
+    const artist = await StorageManager.deleteArtist(id);
+    if (!artist) return { success: false, error: 'Artist not found' };
+
+    for (const name of [artist.name, ...(artist.aliases || [])]) {
+        await SearchCache.remove(name);
+    }
+    console.log('Artist deleted via popup:', artist.name);
+    return { success: true };
+}
+
+/**
+ * Tabs whose current song matches, for verdicts set from the popup.
+ * 
+ * @param {{title?: string, artist: string}} song - Without a title, any song of the artist
+ * @returns {Promise<Object[]>} Matching tab states
+ */
+async function findTabsPlaying(song) {
+    const states = await TabState.list();
+    return states.filter(state =>
+        state.song.artist === song.artist && (song.title === undefined || state.song.title === song.title)
+    );
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    clearHoldTimer(tabId);
+    TabState.remove(tabId).catch(err => console.error('Failed to remove tab state:', err));
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Ignore playback reports from tabs opened only to restore a playlist item
+  if (sender.tab && restoreTabIds.has(sender.tab.id)) {
+    return;
+  }
+
+  if (message.type === 'GET_CURRENT_STATE') {
+    // The popup asks for its window's active tab; outside YouTube Music show the last tab that played
+    const tabId = message.payload && message.payload.tabId;
+    (async () => {
+        const state = tabId ? await TabState.get(tabId) : TabState.createState(null);
+        if (state.song.title) return state;
+
+        if (tabId) {
+            // State is empty, try to fetch it from the tab
+            chrome.tabs.sendMessage(tabId, { type: 'GET_PLAYBACK_STATUS' }).catch(() => {});
+        }
+        return (await TabState.latest()) || state;
+    })().then(state => sendResponse({ ...state.song, tabId: state.tabId }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'SONG_CHANGED') {
+    console.log('Received song update:', message.payload);
+    if (sender.tab && sender.tab.id) {
+        handleSongChanged(sender.tab.id, message.payload)
+            .catch(err => console.error('Failed to handle song change:', err));
+    }
   }
   
   if (message.type === 'BLOCK_ARTIST') {
-    const { artist, title } = message.payload || currentSongState;
+    const { artist } = message.payload || {};
     if (artist) {
         const newArtist = {
             id: crypto.randomUUID(),
             name: artist,
-            isRussian: true, // Explicitly block
+            verdict: VERDICTS.BLOCK, // Explicitly block
             lastPlayed: Date.now(),
             addedBy: 'user_block',
             comment: 'Blocked via popup'
         };
         
-        StorageManager.addArtist(newArtist).then(() => {
+        StorageManager.addArtist(newArtist).then(() => findTabsPlaying({ artist })).then(async tabs => {
             console.log('Artist manually blocked:', artist);
             
-            // Update local state if it matches current song
-            if (currentSongState.artist === artist) {
-                currentSongState.status = 'blocked';
-                chrome.runtime.sendMessage({ type: 'STATE_UPDATE', payload: currentSongState }).catch(() => {});
-
-                // Enforce block only if it matches current song
-                chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-                    const activeTab = tabs[0];
-                    if (activeTab && activeTab.url && activeTab.url.includes('music.youtube.com')) {
-                        sendEnforcementCommand(activeTab.id, 'DISLIKE_SONG');
-                    }
-                });
+            // Enforce block on the tabs playing the artist
+            const manualDecision = { reason: 'Artist blocked via popup', step: 'MANUAL', blockMode: 'STRICT', source: VERDICT_SOURCES.MANUAL };
+            for (const { tabId, song } of tabs) {
+                broadcastState('STATE_UPDATE', await TabState.update(tabId, { song: { status: 'blocked', why: explainDecision(manualDecision) } }));
+                enforceDecision(tabId, { title: song.title, artist }, manualDecision);
+            }
+        });
+    }
+  }
+
+  if (message.type === 'BLOCK_SONG' || message.type === 'ALLOW_SONG') {
+    const { title, artist } = message.payload || {};
+    const verdict = message.type === 'BLOCK_SONG' ? VERDICTS.BLOCK : VERDICTS.ALLOW;
+    if (title && artist) {
+        findTabsPlaying({ title, artist }).then(tabs => {
+            const song = {
+                id: crypto.randomUUID(),
+                title,
+                artist,
+                verdict,
+                artwork: tabs.length > 0 ? tabs[0].song.artwork : '',
+                addedAt: Date.now(),
+                lastPlayed: Date.now()
+            };
+
+            return StorageManager.addSong(song).then(() => tabs);
+        }).then(async tabs => {
+            console.log(`Song ${verdict === VERDICTS.BLOCK ? 'blocked' : 'allowed'} via popup:`, title, '-', artist);
+
+            const manualDecision = { reason: 'Song blocked via popup', step: 'SONG', blockMode: 'STRICT', source: VERDICT_SOURCES.MANUAL };
+            for (const { tabId } of tabs) {
+                const status = verdict === VERDICTS.BLOCK ? 'blocked' : 'allowed';
+                const why = explainDecision({ step: 'SONG', reason: `Song ${status} via popup`, source: VERDICT_SOURCES.MANUAL });
+                broadcastState('STATE_UPDATE', await TabState.update(tabId, { song: { songVerdict: verdict, status, why } }));
+
+                if (verdict === VERDICTS.ALLOW) {
+                    releaseUncertainHold(tabId, title);
+                } else {
+                    enforceDecision(tabId, { title, artist }, manualDecision);
+                }
             }
         });
     }
   }
 
   if (message.type === 'ALLOW_ARTIST') {
-    const { artist } = message.payload || currentSongState;
+    const { artist } = message.payload || {};
     if (artist) {
         const newArtist = {
             id: crypto.randomUUID(),
             name: artist,
-            isRussian: false, // Explicitly allow
+            verdict: VERDICTS.ALLOW, // Explicitly allow
             lastPlayed: Date.now(),
             addedBy: 'user_allow',
             comment: 'Allowed via popup'
         };
         
-        StorageManager.addArtist(newArtist).then(() => {
+        StorageManager.addArtist(newArtist).then(() => findTabsPlaying({ artist })).then(async tabs => {
             console.log('Artist manually allowed:', artist);
             
-            // Update local state
-            if (currentSongState.artist === artist) {
-                currentSongState.status = 'allowed'; // Use 'allowed' or 'safe'
-                chrome.runtime.sendMessage({ type: 'STATE_UPDATE', payload: currentSongState }).catch(() => {});
+            // Update the tabs playing the artist
+            for (const { tabId, song } of tabs) {
+                releaseUncertainHold(tabId, song.title);
+                const why = explainDecision({ step: 'MANUAL', reason: 'Artist allowed via popup', source: VERDICT_SOURCES.MANUAL });
+                broadcastState('STATE_UPDATE', await TabState.update(tabId, { song: { status: 'allowed', why } }));
             }
         });
     }
@@ -358,17 +1210,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true; // Keep channel open
   }
 
+  if (message.type === 'UPDATE_ARTIST') {
+    const { id, changes } = message.payload || {};
+    editArtist(id, changes || {})
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'DELETE_ARTIST') {
+    deleteArtist(message.payload && message.payload.id)
+        .then(result => sendResponse(result))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'MERGE_ARTISTS') {
+    const { keepId, mergeId } = message.payload || {};
+    StorageManager.mergeArtists(keepId, mergeId)
+        .then(artist => sendResponse(artist ? { success: true, artist } : { success: false, error: 'Artist not found' }))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
   if (message.type === 'SKIP_SONG') {
-    if (sender.tab && sender.tab.id) {
-        // From popup via message passing (usually popup sends to runtime, which is here)
-        // If message comes from popup, sender.tab might be undefined or the popup itself.
-        // We need to find the active YTM tab.
-        // But wait, sender logic:
-        // If popup sends message, 'sender' is the extension.
-        // We need to query for the active YTM tab.
+    // Popup initiated action, for the tab it shows
+    const tabId = message.payload && message.payload.tabId;
+    if (tabId) {
+        sendEnforcementCommand(tabId, 'SKIP_SONG');
+        return;
     }
-    
-    // Popup initiated action
+
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
         const activeTab = tabs[0];
         if (activeTab && activeTab.url && activeTab.url.includes('music.youtube.com')) {
@@ -386,38 +1258,223 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.type === 'QUEUE_UPDATED') {
     const queue = message.payload;
-    if (queue && queue.length > 0) {
-      // Process queue items at low priority (sequentially to avoid flooding)
-      // Only process first few items to stay performant
-      queue.forEach(item => {
-        Evaluator.evaluateSong(item.title, item.artist).then(decision => {
-          if (decision.shouldBlock) {
-             console.log('Detected blocked song in queue:', item.title, 'by', item.artist);
-             if (sender.tab && sender.tab.id) {
-               // Send removal command with index
-               // We need to pass the index or id back to content script
-               chrome.tabs.sendMessage(sender.tab.id, { 
-                   type: 'REMOVE_FROM_QUEUE', 
-                   index: item.index 
-               });
-             }
-          }
+    SettingsManager.get().then(settings => {
+      if (!settings.pipeline.checkQueue) return;
+      if (queue && queue.length > 0) {
+        // Process queue items at low priority (sequentially to avoid flooding)
+        // Only process first few items to stay performant
+        queue.forEach((item, position) => {
+          Evaluator.evaluateSong(item.title, item.artist).then(decision => {
+            if (decision.step === 'PENDING_SEARCH' && position < QUEUE_PREFETCH_LIMIT) {
+               prefetchUnknownArtists(decision, item);
+            }
+            if (decision.shouldBlock) {
+               console.log('Detected blocked song in queue:', item.title, 'by', item.artist);
+               if (sender.tab && sender.tab.id) {
+                 // Send removal command with index.
+                 // Title/artist let the content script verify the item didn't move.
+                 chrome.tabs.sendMessage(sender.tab.id, { 
+                     type: 'REMOVE_FROM_QUEUE', 
+                     index: item.index,
+                     title: item.title,
+                     artist: item.artist
+                 }).then(response => {
+                     if (response && response.success) {
+                         Logger.logAction('QUEUE_ITEM_REMOVED', { title: item.title, artist: item.artist });
+                     } else {
+                         console.warn('Failed to remove queue item:', item.title, 'by', item.artist);
+                     }
+                 }).catch(err => console.error('Failed to send REMOVE_FROM_QUEUE:', err));
+               }
+            }
+          });
         });
+      }
+    });
+  }
+
+  if (message.type === 'PLAYLIST_UPDATED') {
+    const rows = message.payload || [];
+    const playlist = message.playlist || {};
+
+    SettingsManager.get().then(settings => {
+      if (!settings.pipeline.checkPlaylists) return [];
+      return Promise.all(rows.map(row =>
+        Evaluator.evaluateSong(row.title, row.artist).then(decision => ({ row, decision }))
+      ));
+    }).then(results => {
+      const flagged = results
+        .filter(({ decision }) => decision.shouldBlock)
+        .map(({ row, decision }) => ({ ...row, reason: decision.reason }));
+
+      if (flagged.length > 0) {
+        console.log(`Flagged ${flagged.length} playlist rows for review in "${playlist.title}"`);
+      }
+
+      playlistReviewState = {
+        tabId: sender.tab ? sender.tab.id : null,
+        playlistId: playlist.id || '',
+        playlistTitle: playlist.title || '',
+        items: flagged
+      };
+      broadcastPlaylistReview();
+    });
+  }
+
+  if (message.type === 'GET_PLAYLIST_REVIEW') {
+    StorageManager.getPlaylistRemovals().then(removals => {
+      sendResponse({
+        review: playlistReviewState,
+        removals: removals.filter(r => !r.restoredAt)
       });
+    });
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'REMOVE_PLAYLIST_ITEMS') {
+    const items = (message.payload && message.payload.items) || [];
+    removePlaylistItems(items).then(result => sendResponse(result));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'UNDO_PLAYLIST_REMOVAL') {
+    undoPlaylistRemoval(message.payload && message.payload.id).then(result => sendResponse(result));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'GET_SEARCH_CACHE') {
+    SearchCache.list().then(entries => sendResponse({ entries }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'PURGE_SEARCH_CACHE_ENTRY') {
+    const { key } = message.payload || {};
+    SearchCache.removeKeys(key ? [key] : [])
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'RERUN_SEARCH') {
+    const { artist } = message.payload || {};
+    if (!artist) {
+        sendResponse({ success: false, error: 'No artist' });
+        return;
+    }
+    rerunLookup(artist).then(result => sendResponse(result));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'GET_PROVIDER_STATUS') {
+    Promise.all([YouTubeAPI.isConfigured(), LLMAPI.isConfigured()]).then(async ([youtube, llm]) => {
+      const youtubeQuota = youtube ? await YouTubeQuota.getStatus() : null;
+      const llmUsage = llm ? await LLMUsage.getStatus() : null;
+      sendResponse({ youtube, llm, localOnly: !youtube && !llm, youtubeQuota, llmUsage });
+    });
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'TEST_API_KEY') {
+    const { apiKey } = message.payload || {};
+    YouTubeAPI.testKey(apiKey).then(result => sendResponse(result));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'TEST_LLM_PROVIDER') {
+    const { providerId, config } = message.payload || {};
+    try {
+      LLMProviders.create(providerId, config).testConnection().then(result => sendResponse(result));
+    } catch (error) {
+      sendResponse({ valid: false, error: error.message });
     }
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'GET_DECISION_LOG') {
+    StorageManager.getLogs().then(logs => sendResponse({ logs }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'EXPORT_DATABASE') {
+    DatabaseTransfer.export(message.payload.format)
+        .then(file => sendResponse({ success: true, ...file }))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'PREVIEW_IMPORT') {
+    const { text, format } = message.payload;
+    const parsed = DatabaseTransfer.parse(text, format);
+    DatabaseTransfer.preview(parsed)
+        .then(preview => sendResponse({ success: true, preview, errors: parsed.errors }))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'APPLY_IMPORT') {
+    // The file is parsed again so only validated records are written
+    const { text, format } = message.payload;
+    const parsed = DatabaseTransfer.parse(text, format);
+    DatabaseTransfer.apply(parsed)
+        .then(result => {
+            console.log('Database import applied:', result);
+            sendResponse({ success: true, result, errors: parsed.errors });
+        })
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'GET_FEEDS') {
+    StorageManager.getFeeds().then(feeds => sendResponse({ feeds }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'SUBSCRIBE_FEED') {
+    // Either { url } for a hosted feed or { fileName, text } for a local file
+    const { url, fileName, text } = message.payload;
+    const subscribe = url ? FeedManager.subscribeUrl(url) : FeedManager.subscribeFile(fileName, text);
+    subscribe
+        .then(feed => sendResponse({ success: true, feed }))
+        .catch(err => sendResponse({ success: false, error: err.message || err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'UNSUBSCRIBE_FEED') {
+    FeedManager.unsubscribe(message.payload.id)
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'REFRESH_FEEDS') {
+    // Without an id all URL feeds are refreshed
+    const { id } = message.payload || {};
+    (id ? FeedManager.refresh(id) : FeedManager.refreshAll())
+        .then(() => StorageManager.getFeeds())
+        .then(feeds => sendResponse({ success: true, feeds }))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'SCHEDULE_FEED_REFRESH') {
+    FeedManager.scheduleRefresh()
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.toString() }));
+    return true; // Keep channel open
   }
 
   if (message.type === 'CLEAR_STORAGE') {
     StorageManager.clearAll().then(() => {
         console.log('Storage cleared by user request.');
-        // Optionally reset internal state or reload
-        currentSongState = {
-            title: '',
-            artist: '',
-            artwork: '',
-            status: 'unknown'
-        };
-        chrome.runtime.sendMessage({ type: 'STATE_UPDATE', payload: currentSongState }).catch(() => {});
+        // Verdicts are gone, so the songs the tabs are playing are unknown again
+        TabState.list().then(states => Promise.all(states.map(async ({ tabId }) => {
+            clearHoldTimer(tabId);
+            broadcastState('STATE_UPDATE', await TabState.update(tabId, {
+                song: { ...EMPTY_SONG_STATE }, hold: null, search: null
+            }));
+        }))).catch(err => console.error('Failed to reset tab states:', err));
+        // Subscriptions survive the reset; bring their artists back
+        FeedManager.refreshAll().catch(err => console.error('Feed refresh failed:', err));
         sendResponse({ success: true });
     });
     return true; // Keep channel open
@@ -0,0 +1,177 @@
+// Settings Module
+// User configuration (API keys, LLM providers, pipeline switches, enforcement actions, blocking policy) persisted in chrome.storage.local
+// Shared by the service worker and the options page
+
+const SETTINGS_KEY = 'settings';
+
+/**
+ * Settings Schema
+ * {
+ *   youtube: {
+ *     apiKey: string,
+ *     dailyBudget: number,        // Quota units per day the lookups may spend (Google's default allocation is 10000)
+ *     overBudget: 'llm' | 'defer' // Once the budget is spent: LLM-only lookups, or none until the daily reset
+ *   },
+ *   llmProvider: 'mistral' | 'openaiCompatible',
+ *   mistral: { apiKey, model, temperature, timeoutMs },
+ *   openaiCompatible: { baseUrl, apiKey, model, temperature, timeoutMs, jsonMode },
+ *   llmUsage: {
+ *     dailyCap: number,           // Estimated USD per day; once reached unknown artists get the hold fallback. 0: no cap
+ *     prices: Array<{ model, input, output }>  // USD per 1M prompt/completion tokens; unlisted models count as free
+ *   },
+ *   pipeline: {
+ *     useYouTube: boolean,     // Fetch channel details for unknown artists
+ *     useLLM: boolean,         // Ask the LLM to identify unknown artists
+ *     checkQueue: boolean,     // Evaluate and remove blocked tracks from Up Next
+ *     checkPlaylists: boolean  // Flag blocked rows in user-owned playlists
+ *   },
+ *   enforcement: {                // Action per verdict source: 'dislike' | 'skip' | 'mute' | 'notify' | 'none'
+ *     manual, feed, signal, ai,   // Blocked artists (user, shared blocklist, channel signals, LLM)
+ *     uncertain                   // Unknown artist while its lookup runs; also 'pause'
+ *   },
+ *   hold: {                       // Applies when the uncertain action is 'mute' or 'pause'
+ *     maxMs: number,              // Longest wait for a verdict (5000–60000)
+ *     fallback: 'resume' | 'skip' | 'mute'  // When the lookup times out or fails
+ *   },
+ *   review: {
+ *     minConfidence: number       // LLM verdicts below this confidence (0–1) wait for review instead of being enforced. 0: never
+ *   },
+ *   feeds: {
+ *     refreshHours: number        // Interval of the scheduled refresh of URL feeds
+ *   },
+ *   policy: {
+ *     blockedCountries: string[],  // ISO 3166-1 alpha-2 codes
+ *     allowedCountries: string[],  // Channels from these countries are never blocked by signals
+ *     signalRules: Array<{ id, label, pattern (case-insensitive RegExp source), enabled }>
+ *   }
+ * }
+ */
+const DEFAULT_SETTINGS = {
+  youtube: {
+    apiKey: '',
+    dailyBudget: 10000,
+    overBudget: 'llm'
+  },
+  llmProvider: 'mistral',
+  mistral: {
+    apiKey: '',
+    model: 'mistral-large-latest',
+    temperature: null, // null: provider default
+    timeoutMs: 30000
+  },
+  openaiCompatible: {
+    baseUrl: 'http://localhost:11434/v1', // Ollama; llama.cpp server uses http://localhost:8080/v1
+    apiKey: '',
+    model: '',
+    temperature: null,
+    timeoutMs: 60000,
+    jsonMode: true
+  },
+  llmUsage: {
+    dailyCap: 0,
+    prices: [
+      { model: 'mistral-large-latest', input: 2, output: 6 },
+      { model: 'mistral-medium-latest', input: 0.4, output: 2 },
+      { model: 'mistral-small-latest', input: 0.1, output: 0.3 },
+      { model: 'open-mistral-nemo', input: 0.15, output: 0.15 }
+    ]
+  },
+  pipeline: {
+    useYouTube: true,
+    useLLM: true,
+    checkQueue: true,
+    checkPlaylists: true
+  },
+  enforcement: {
+    manual: 'dislike',
+    feed: 'dislike',
+    signal: 'dislike',
+    ai: 'dislike',
+    uncertain: 'none' // Hold mode (mute/pause) is opt-in; by default the song plays while its lookup runs
+  },
+  hold: {
+    maxMs: 20000,
+    fallback: 'resume'
+  },
+  review: {
+    minConfidence: 0.7
+  },
+  feeds: {
+    refreshHours: 12
+  },
+  policy: {
+    blockedCountries: ['RU'],
+    allowedCountries: ['UA'],
+    signalRules: [
+      { id: 'vk_link', label: 'VK link', pattern: 'vk\\.(com|ru)', enabled: true },
+      { id: 'yandex_link', label: 'Yandex / Dzen link', pattern: 'yandex|dzen\\.ru', enabled: true },
+      { id: 'ru_phone', label: '+7 phone number', pattern: '\\+7[\\s-]?\\(?\\d{3}\\)?[\\s-]?\\d{3}[\\s-]?\\d{2}[\\s-]?\\d{2}', enabled: true }
+    ]
+  }
+};
+
+/**
+ * Recursively fills missing values of `target` from `defaults`.
+ * Arrays and primitives are taken from `target` as-is.
+ */
+function mergeWithDefaults(defaults, target) {
+  if (target === undefined || target === null) {
+    return structuredClone(defaults);
+  }
+  if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults)) {
+    return target;
+  }
+
+  const merged = { ...target };
+  for (const key of Object.keys(defaults)) {
+    merged[key] = mergeWithDefaults(defaults[key], target[key]);
+  }
+  return merged;
+}
+
+/**
+ * Applies a partial update onto settings (nested objects are merged, not replaced).
+ */
+function applyChanges(settings, changes) {
+  const result = { ...settings };
+  for (const [key, value] of Object.entries(changes || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && settings[key] && typeof settings[key] === 'object'
+      ? applyChanges(settings[key], value)
+      : value;
+  }
+  return result;
+}
+
+class SettingsManager {
+  /**
+   * Returns the stored settings with defaults filled in.
+   * @returns {Promise<typeof DEFAULT_SETTINGS>}
+   */
+  static async get() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return mergeWithDefaults(DEFAULT_SETTINGS, result[SETTINGS_KEY]);
+  }
+
+  /**
+   * Merges a partial change into the stored settings.
+   *
+   * @param {Object} changes - e.g. { youtube: { apiKey: '...' } }
+   * @returns {Promise<typeof DEFAULT_SETTINGS>} The updated settings
+   */
+  static async update(changes) {
+    const current = await this.get();
+    const updated = applyChanges(current, changes);
+    await chrome.storage.local.set({ [SETTINGS_KEY]: updated });
+    return updated;
+  }
+
+  static getDefaults() {
+    return structuredClone(DEFAULT_SETTINGS);
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.SettingsManager = SettingsManager;
+}
@@ -1,46 +1,169 @@
 // Storage Management Module
+// Artists, songs and the search cache live in IndexedDB (database.js), one record per entry.
+// Small lists (playlist removals, feeds, decision log) stay in chrome.storage.local.
+// Dependencies: Database (database.js), ArtistIndex (artist-index.js), NormalizationUtils (utils/normalization.js), MANUAL_SOURCES (policy.js)
 
 /**
  * Storage Schema Definitions
  * 
- * Artist List: Array of artist objects
+ * Artists (IndexedDB store 'artists', keyPath id)
  * {
- *   id: string (uuid or normalized name),
+ *   id: string (uuid; normalized name for records migrated without an ID),
  *   name: string,
+ *   nameKey: string (normalized name, indexed),
+ *   country: string | null (ISO 3166-1 alpha-2),
+ *   verdict: 'block' | 'allow' (resolved against the policy by BlockingPolicy.getArtistVerdict),
+ *   addedBy: 'search' | 'user_block' | 'user_allow' | 'import' | 'feed',
+ *   verdictSource?: 'signal' | 'ai' (for addedBy 'search'),
+ *   confidence?: number | null (0–1, LLM verdicts), rationale?: string (LLM's reasoning),
+ *   needsReview?: boolean (LLM verdict below settings.review.minConfidence, not enforced until confirmed),
+ *   evidence?: {                 (what a lookup verdict rests on)
+ *     resolvedAt: timestamp,
+ *     provider: string ('youtube' for channel signals alone, else the LLM provider ID), model: string | null,
+ *     reason: string (matched signals or the model's rationale),
+ *     channel: { id, title, country, signals: Array<{id, label}>, descriptionExcerpt } | null
+ *   },
+ *   feedId?: string, feedName?: string (for addedBy 'feed'),
+ *   channelIds?: string[],
  *   lastPlayed: timestamp
  * }
  * 
- * Song List: Array of song objects
+ * Songs (IndexedDB store 'songs', keyPath id)
  * {
  *   id: string (uuid),
- *   artistId: string,
+ *   titleKey: string, artistKey: string (normalized title and artist line, indexed),
+ *   artistId?: string (legacy reference into the artist list),
+ *   artist: string (artist line as shown in the player),
  *   title: string,
+ *   verdict: 'allow' | 'block' (set by the user, overrides artist verdicts),
  *   artwork: string,
+ *   addedAt: timestamp,
  *   lastPlayed: timestamp,
  *   playCount: number
  * }
  * 
- * Search Cache: Key-value store for search results
+ * Search Cache (IndexedDB store 'search_cache', keyPath query)
  * {
- *   [query: string]: {
- *     results: any[],
- *     timestamp: number
- *   }
+ *   query: string (SEARCH_CACHE_KEYS: 'artist:<normalized name>' or 'channel:<channel ID>'),
+ *   name: string (artist name as searched),
+ *   channelId: string | null (channel the result was identified by),
+ *   state: 'pending' | 'resolved' | 'failed',
+ *   data?: { results: Object[] } (resolved: lookup results, best first),
+ *   error?: string,
+ *   timestamp: number,
+ *   retries: number (failures in a row),
+ *   retryAt?: timestamp (failed: no new lookup before),
+ *   lastAccess: timestamp (for LRU eviction)
  * }
+ * 
+ * Playlist Removals: Array of removal records (newest first), kept for undo
+ * {
+ *   id: string (uuid),
+ *   playlistId: string,
+ *   playlistTitle: string,
+ *   videoId: string,
+ *   title: string,
+ *   artist: string,
+ *   reason: string,
+ *   removedAt: timestamp,
+ *   restoredAt?: timestamp
+ * }
+ * 
+ * Feed Subscriptions: Array of shared blocklist feeds
+ * {
+ *   id: string (uuid),
+ *   name: string,
+ *   url: string | null (null for feeds loaded from a local file),
+ *   revision: string | number | null (last applied feed revision),
+ *   artistCount: number,
+ *   lastChecked: timestamp,
+ *   lastUpdated: timestamp,
+ *   lastError: string | null
+ * }
+ * 
+ * Decision Log: Array of decision entries (newest first), capped and rotating
+ * {
+ *   id: string (uuid),
+ *   timestamp: ISO string,
+ *   title: string,
+ *   artist: string,
+ *   step: string,
+ *   reason: string,
+ *   blockMode: string | null,
+ *   source: 'manual' | 'feed' | 'signal' | 'ai' | 'uncertain' | null,
+ *   action: 'dislike' | 'skip' | 'mute' | 'notify' | null,
+ *   outcome: 'disliked' | 'skipped' | 'muted' | 'notified' | 'failed' | 'allowed' | null
+ * }
+ * 
+ * YouTube Quota: Ledger of the YouTube Data API units spent on the current quota day
+ * {
+ *   day: string (YYYY-MM-DD, Pacific time, when Google resets the quota),
+ *   used: number,
+ *   calls: { [endpoint]: number },
+ *   reservations: { [id]: { units, expiresAt } } (units set aside by running lookups, not yet spent),
+ *   exhaustedAt: timestamp | null (the API answered quotaExceeded)
+ * }
+ * 
+ * LLM Usage: Token and cost ledger of LLM lookups
+ * {
+ *   days: { [YYYY-MM-DD]: Totals } (local time, last 62 days),
+ *   months: { [YYYY-MM]: Totals },
+ *   recent: Array of lookups (newest first, capped)
+ *     { timestamp, artist, provider, model, promptTokens, completionTokens, cost }
+ * }
+ * Totals: { lookups, promptTokens, completionTokens, cost (USD, estimated from settings.llmUsage.prices) }
  */
 
 const STORAGE_KEYS = {
+  // Legacy chrome.storage.local blobs, moved to IndexedDB by migrateFromChromeStorage
   ARTISTS: 'artists',
   SONGS: 'songs',
-  SEARCH_CACHE: 'search_cache'
+  SEARCH_CACHE: 'search_cache',
+  PLAYLIST_REMOVALS: 'playlist_removals',
+  DECISION_LOG: 'decision_log',
+  FEEDS: 'feeds',
+  YOUTUBE_QUOTA: 'youtube_quota',
+  LLM_USAGE: 'llm_usage'
 };
 
 const DEFAULTS = {
-  [STORAGE_KEYS.ARTISTS]: [],
-  [STORAGE_KEYS.SONGS]: [],
-  [STORAGE_KEYS.SEARCH_CACHE]: {}
+  [STORAGE_KEYS.PLAYLIST_REMOVALS]: [],
+  [STORAGE_KEYS.DECISION_LOG]: [],
+  [STORAGE_KEYS.FEEDS]: []
 };
 
+const CHROME_STORAGE_IMPORT = 'chromeStorageImport'; // Meta record of the one-off migration
+
+const MAX_PLAYLIST_REMOVALS = 200;
+const MAX_LOG_ENTRIES = 500; // Oldest entries are dropped beyond this
+
+/**
+ * Runs read-modify-write tasks one after another per key, so concurrent callers
+ * (parallel lookups, popup clicks) cannot overwrite each other's changes.
+ * A failed task does not block the ones queued after it.
+ */
+class WriteQueue {
+  static tails = new Map(); // key -> Promise of the last queued task
+
+  /**
+   * @param {string} key - Resource the task writes (e.g. a store name)
+   * @param {function(): Promise<T>} task
+   * @returns {Promise<T>}
+   * @template T
+   */
+  static run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {});
+
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    return result;
+  }
+}
+
 class StorageManager {
   /**
    * Initialize storage with default values if not present
@@ -59,108 +182,612 @@ class StorageManager {
       await chrome.storage.local.set(updates);
       console.log('Storage initialized with defaults:', updates);
     }
+
+    await this.migrateFromChromeStorage();
+  }
+
+  /**
+   * Moves the artist, song and search cache blobs of older versions from chrome.storage.local
+   * into IndexedDB (once). The blobs are removed only after all records are written, so an
+   * interrupted migration runs again on the next start.
+   */
+  static async migrateFromChromeStorage() {
+    if (await Database.get(DB_STORES.META, CHROME_STORAGE_IMPORT)) return;
+
+    const legacyKeys = [STORAGE_KEYS.ARTISTS, STORAGE_KEYS.SONGS, STORAGE_KEYS.SEARCH_CACHE];
+    const legacy = await chrome.storage.local.get(legacyKeys);
+    const artists = (legacy[STORAGE_KEYS.ARTISTS] || []).map(artist => this.upgradeLegacyArtist(artist));
+    const songs = (legacy[STORAGE_KEYS.SONGS] || []).map(song => ({ ...song, id: song.id || crypto.randomUUID() }));
+    const rekeyed = new Map();
+    Object.entries(legacy[STORAGE_KEYS.SEARCH_CACHE] || {}).forEach(([query, entry]) => {
+      const upgraded = upgradeSearchCacheEntry({ ...entry, query });
+      const existing = rekeyed.get(upgraded.query);
+      rekeyed.set(upgraded.query, existing ? preferSearchCacheEntry(existing, upgraded) : upgraded);
+    });
+    const cache = [...rekeyed.values()];
+
+    await Database.write(DB_STORES.ARTISTS, { put: artists });
+    await Database.write(DB_STORES.SONGS, { put: songs });
+    await Database.write(DB_STORES.SEARCH_CACHE, { put: cache });
+    await Database.put(DB_STORES.META, {
+      key: CHROME_STORAGE_IMPORT,
+      migratedAt: Date.now(),
+      counts: { artists: artists.length, songs: songs.length, searchCache: cache.length }
+    });
+    await chrome.storage.local.remove(legacyKeys);
+
+    ArtistIndex.invalidate();
+    console.log(`Migrated ${artists.length} artists, ${songs.length} songs and ${cache.length} cache entries to IndexedDB.`);
+  }
+
+  /**
+   * Brings an artist record of an older version up to date: a stable ID, and the
+   * `verdict` field for records written before the blocking policy existed (`isRussian` flag).
+   *
+   * @param {Object} artist
+   * @returns {Object}
+   */
+  static upgradeLegacyArtist(artist) {
+    const upgraded = { ...artist };
+
+    if (!upgraded.id) {
+      upgraded.id = NormalizationUtils.normalizeArtist(upgraded.name) || crypto.randomUUID();
+    }
+
+    if (upgraded.isRussian !== undefined) {
+      if (!upgraded.verdict) {
+        upgraded.verdict = (upgraded.isRussian === true || upgraded.isRussian === 'true') ? 'block' : 'allow';
+      }
+      delete upgraded.isRussian;
+    }
+
+    return upgraded;
   }
 
   // --- Artist Helpers ---
 
   static async getArtists() {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.ARTISTS);
-    return result[STORAGE_KEYS.ARTISTS] || [];
+    return Database.getAll(DB_STORES.ARTISTS);
   }
 
-  static async saveArtists(artists) {
-    await chrome.storage.local.set({ [STORAGE_KEYS.ARTISTS]: artists });
+  /**
+   * Writes and deletes artist records and updates the in-memory index.
+   * @param {{put?: Object[], delete?: string[]}} changes
+   */
+  static async writeArtists(changes) {
+    await Database.write(DB_STORES.ARTISTS, changes);
+    ArtistIndex.apply(changes);
   }
 
   static async addArtist(artist) {
-    const artists = await this.getArtists();
-    
-    // Check if exists by canonical name
-    const existingIndex = artists.findIndex(a => 
-      NormalizationUtils.normalizeArtist(a.name) === NormalizationUtils.normalizeArtist(artist.name)
-    );
-    
-    if (existingIndex !== -1) {
-        // Update existing artist with new aliases if needed
-        const existingArtist = artists[existingIndex];
-        let updated = false;
-        
-        if (artist.aliases && Array.isArray(artist.aliases)) {
-            if (!existingArtist.aliases) {
-                existingArtist.aliases = [];
-            }
-            
-            artist.aliases.forEach(alias => {
-                if (!existingArtist.aliases.includes(alias)) {
-                    existingArtist.aliases.push(alias);
-                    updated = true;
-                }
-            });
+    return WriteQueue.run(DB_STORES.ARTISTS, async () => {
+      const known = await ArtistIndex.findByName(artist.name);
+
+      if (known) {
+          const existingArtist = structuredClone(known);
+
+          if (this.mergeArtist(existingArtist, artist)) {
+              console.log('Updating artist data:', existingArtist.name);
+              await this.writeArtists({ put: [existingArtist] });
+          } else {
+              console.log('Artist already exists and up to date:', artist.name);
+          }
+      } else {
+          await this.writeArtists({ put: [artist] });
+      }
+    });
+  }
+
+  /**
+   * Edits fields of an artist (popup detail view). Values are stored as given.
+   *
+   * @param {string} id
+   * @param {{aliases?: string[], country?: string|null, comment?: string}} changes
+   * @returns {Promise<Object|null>} Updated record, null if there is none with the ID
+   */
+  static async updateArtist(id, changes) {
+    return WriteQueue.run(DB_STORES.ARTISTS, async () => {
+      const stored = await ArtistIndex.get(id);
+      if (!stored) return null;
+
+      const artist = { ...structuredClone(stored), ...changes };
+      await this.writeArtists({ put: [artist] });
+      return artist;
+    });
+  }
+
+  /**
+   * Deletes an artist record.
+   *
+   * @param {string} id
+   * @returns {Promise<Object|null>} Deleted record, null if there is none with the ID
+   */
+  static async deleteArtist(id) {
+    return WriteQueue.run(DB_STORES.ARTISTS, async () => {
+      const artist = await ArtistIndex.get(id);
+      if (!artist) return null;
+
+      await this.detachSongs(artist);
+      await this.writeArtists({ delete: [id] });
+      return artist;
+    });
+  }
+
+  /**
+   * Merges two records of the same artist. The kept record keeps its name and verdict and
+   * takes over the other's name (as alias), aliases and channel IDs; the other one is deleted.
+   *
+   * @param {string} keepId
+   * @param {string} mergeId
+   * @returns {Promise<Object|null>} Merged record, null if either record is missing
+   */
+  static async mergeArtists(keepId, mergeId) {
+    return WriteQueue.run(DB_STORES.ARTISTS, async () => {
+      const keep = await ArtistIndex.get(keepId);
+      const duplicate = await ArtistIndex.get(mergeId);
+      if (!keep || !duplicate || keepId === mergeId) return null;
+
+      const merged = structuredClone(keep);
+      const keys = new Set([ArtistIndex.keyOf(merged.name), ...(merged.aliases || []).map(alias => ArtistIndex.keyOf(alias))]);
+      merged.aliases = [...(merged.aliases || [])];
+      for (const name of [duplicate.name, ...(duplicate.aliases || [])]) {
+        const key = ArtistIndex.keyOf(name);
+        if (key && !keys.has(key)) {
+          keys.add(key);
+          merged.aliases.push(name);
         }
-        
-        // Update isRussian if explicitly provided (allows toggling status via popup)
-        if (artist.isRussian !== undefined && existingArtist.isRussian !== artist.isRussian) {
-             existingArtist.isRussian = artist.isRussian;
-             updated = true;
+      }
+
+      this.mergeChannelIds(merged, duplicate.channelIds);
+      if (!merged.country && duplicate.country) merged.country = duplicate.country;
+      if ((duplicate.lastPlayed || 0) > (merged.lastPlayed || 0)) merged.lastPlayed = duplicate.lastPlayed;
+      if (duplicate.comment && duplicate.comment !== merged.comment) {
+        merged.comment = [merged.comment, duplicate.comment].filter(Boolean).join('\n');
+      }
+
+      await this.detachSongs(duplicate);
+      await this.writeArtists({ put: [merged], delete: [mergeId] });
+      return merged;
+    });
+  }
+
+  /**
+   * Songs of older versions reference their artist by ID. Before the record goes away
+   * they get its name as artist line, so they keep matching.
+   *
+   * @param {Object} artist
+   */
+  static async detachSongs(artist) {
+    await WriteQueue.run(DB_STORES.SONGS, async () => {
+      const songs = (await this.getSongs()).filter(song => song.artist === undefined && song.artistId === artist.id);
+      if (songs.length === 0) return;
+      await Database.write(DB_STORES.SONGS, {
+        put: songs.map(({ artistId, ...song }) => ({ ...song, artist: artist.name }))
+      });
+    });
+  }
+
+  /**
+   * Adds or merges many artists in a single transaction (bulk import).
+   *
+   * @param {Object[]} incoming - Artist records
+   * @returns {Promise<{added: number, updated: number, unchanged: number}>}
+   */
+  static async addArtists(incoming) {
+    return WriteQueue.run(DB_STORES.ARTISTS, async () => {
+      const result = { added: 0, updated: 0, unchanged: 0 };
+      const pending = new Map(); // Name key -> record to write; later duplicates merge into it
+
+      for (const artist of incoming) {
+        const key = ArtistIndex.keyOf(artist.name);
+        const existing = pending.get(key) || structuredClone(await ArtistIndex.findByName(artist.name));
+
+        if (!existing) {
+          pending.set(key, artist);
+          result.added++;
+        } else if (this.mergeArtist(existing, artist)) {
+          pending.set(key, existing);
+          result.updated++;
+        } else {
+          result.unchanged++;
         }
+      }
 
-        // Update lastPlayed
-        if (artist.lastPlayed && (!existingArtist.lastPlayed || artist.lastPlayed > existingArtist.lastPlayed)) {
-            existingArtist.lastPlayed = artist.lastPlayed;
-            updated = true;
+      await this.writeArtists({ put: [...pending.values()] });
+      return result;
+    });
+  }
+
+  /**
+   * Merges an incoming record into a stored artist (in place):
+   * new aliases are appended, verdict/review state/country/lastPlayed are taken over when provided.
+   * A lookup or feed record never replaces a verdict the user set; it only adds aliases, country and lastPlayed.
+   *
+   * @param {Object} existingArtist
+   * @param {Object} artist
+   * @returns {boolean} Whether anything changed
+   */
+  static mergeArtist(existingArtist, artist) {
+    let updated = false;
+
+    // Update existing artist with new aliases if needed
+    if (artist.aliases && Array.isArray(artist.aliases)) {
+        if (!existingArtist.aliases) {
+            existingArtist.aliases = [];
         }
         
-        if (updated) {
-            console.log('Updating artist data:', existingArtist.name);
-            artists[existingIndex] = existingArtist;
-            await this.saveArtists(artists);
-        } else {
-            console.log('Artist already exists and up to date:', artist.name);
+        artist.aliases.forEach(alias => {
+            if (!existingArtist.aliases.includes(alias)) {
+                existingArtist.aliases.push(alias);
+                updated = true;
+            }
+        });
+    }
+    
+    // Update verdict if explicitly provided (allows toggling status via popup).
+    // The source moves along so a manual verdict is not overridden by the policy.
+    // A lookup or feed result never replaces a verdict the user set.
+    const keepsManualVerdict = MANUAL_SOURCES.includes(existingArtist.addedBy) &&
+        (artist.addedBy === 'search' || artist.addedBy === 'feed');
+    const takesVerdict = artist.verdict !== undefined && !keepsManualVerdict;
+
+    if (takesVerdict && (existingArtist.verdict !== artist.verdict || existingArtist.addedBy !== artist.addedBy)) {
+         existingArtist.verdict = artist.verdict;
+         existingArtist.addedBy = artist.addedBy;
+         if (artist.verdictSource) existingArtist.verdictSource = artist.verdictSource;
+         delete existingArtist.isRussian;
+         updated = true;
+    }
+
+    // The review state goes along with the verdict; a manual verdict settles it
+    if (takesVerdict && !!existingArtist.needsReview !== !!artist.needsReview) {
+         existingArtist.needsReview = !!artist.needsReview;
+         updated = true;
+    }
+
+    ['confidence', 'rationale', 'evidence'].forEach(field => {
+        if (!keepsManualVerdict && artist[field] !== undefined && existingArtist[field] !== artist[field]) {
+            existingArtist[field] = artist[field];
+            updated = true;
         }
-    } else {
-        artists.push(artist);
-        await this.saveArtists(artists);
+    });
+
+    if (artist.country && existingArtist.country !== artist.country) {
+         existingArtist.country = artist.country;
+         updated = true;
     }
+
+    // Update lastPlayed
+    if (artist.lastPlayed && (!existingArtist.lastPlayed || artist.lastPlayed > existingArtist.lastPlayed)) {
+        existingArtist.lastPlayed = artist.lastPlayed;
+        updated = true;
+    }
+
+    return updated;
   }
 
   // --- Song Helpers ---
 
   static async getSongs() {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.SONGS);
-    return result[STORAGE_KEYS.SONGS] || [];
+    return Database.getAll(DB_STORES.SONGS);
   }
 
-  static async saveSongs(songs) {
-    await chrome.storage.local.set({ [STORAGE_KEYS.SONGS]: songs });
+  /**
+   * Songs with a title (normalized), from the title index.
+   * @param {string} title
+   * @returns {Promise<Object[]>}
+   */
+  static async findSongsByTitle(title) {
+    return Database.getAllByIndex(DB_STORES.SONGS, 'titleKey', NormalizationUtils.normalizeTitle(title));
   }
 
+  /**
+   * Finds a song by normalized title and artist line.
+   * @returns {Promise<Object|null>}
+   */
+  static async findSong(title, artist) {
+    const key = [NormalizationUtils.normalizeTitle(title), NormalizationUtils.normalizeArtist(artist)];
+    const songs = await Database.getAllByIndex(DB_STORES.SONGS, 'songKey', key);
+    return songs.find(song => song.artist !== undefined) || null;
+  }
+
+  /**
+   * Adds a song, or updates the verdict of the stored song with the same
+   * normalized title and artist.
+   *
+   * @param {Object} song
+   */
   static async addSong(song) {
-    const songs = await this.getSongs();
-    songs.push(song);
-    await this.saveSongs(songs);
+    await this.addSongs([song]);
+  }
+
+  /**
+   * Adds or updates many songs in a single transaction.
+   *
+   * @param {Object[]} incoming - Song records
+   * @returns {Promise<{added: number, updated: number, unchanged: number}>}
+   */
+  static async addSongs(incoming) {
+    return WriteQueue.run(DB_STORES.SONGS, async () => {
+      const result = { added: 0, updated: 0, unchanged: 0 };
+      const pending = new Map(); // Title + artist key -> record to write
+
+      for (const song of incoming) {
+        const key = `${NormalizationUtils.normalizeTitle(song.title)}\u0000${NormalizationUtils.normalizeArtist(song.artist)}`;
+        const existing = pending.get(key) || await this.findSong(song.title, song.artist);
+
+        if (!existing) {
+          pending.set(key, song);
+          result.added++;
+        } else if (existing.verdict !== song.verdict) {
+          pending.set(key, { ...existing, ...song, id: existing.id });
+          result.updated++;
+        } else {
+          result.unchanged++;
+        }
+      }
+
+      await Database.write(DB_STORES.SONGS, { put: [...pending.values()] });
+      return result;
+    });
+  }
+
+  // --- Playlist Removal Helpers ---
+
+  static async getPlaylistRemovals() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.PLAYLIST_REMOVALS);
+    return result[STORAGE_KEYS.PLAYLIST_REMOVALS] || [];
+  }
+
+  static async addPlaylistRemoval(removal) {
+    await this.updateList(STORAGE_KEYS.PLAYLIST_REMOVALS, removals => {
+      removals.unshift(removal);
+      return removals.slice(0, MAX_PLAYLIST_REMOVALS);
+    });
+  }
+
+  static async updatePlaylistRemoval(id, changes) {
+    await this.updateList(STORAGE_KEYS.PLAYLIST_REMOVALS, removals => {
+      const index = removals.findIndex(r => r.id === id);
+      if (index === -1) return null;
+      removals[index] = { ...removals[index], ...changes };
+      return removals;
+    });
+  }
+
+  /**
+   * Queued read-modify-write of a list kept in chrome.storage.local.
+   *
+   * @param {string} key - One of STORAGE_KEYS
+   * @param {function(Array): (Array|null)} mutate - Returns the new list, or null to leave it unchanged
+   * @returns {Promise<Array>} The list after the update
+   */
+  static async updateList(key, mutate) {
+    return WriteQueue.run(key, async () => {
+      const result = await chrome.storage.local.get(key);
+      const list = result[key] || [];
+      const updated = mutate(list);
+      if (!updated) return list;
+      await chrome.storage.local.set({ [key]: updated });
+      return updated;
+    });
+  }
+
+  // --- Feed Helpers ---
+
+  static async getFeeds() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.FEEDS);
+    return result[STORAGE_KEYS.FEEDS] || [];
+  }
+
+  /**
+   * Queued change of the subscription list.
+   * @param {function(Object[]): (Object[]|null)} mutate - Returns the new list, or null to leave it unchanged
+   * @returns {Promise<Object[]>}
+   */
+  static async updateFeeds(mutate) {
+    return this.updateList(STORAGE_KEYS.FEEDS, mutate);
+  }
+
+  /**
+   * Replaces the artists contributed by a feed with its current content (single write).
+   * Local records win: manual, imported and other feeds' artists only gain aliases and
+   * channel IDs. Lookup results ('search') are taken over by the feed.
+   * Artists the feed no longer lists are removed if the feed owned them.
+   *
+   * @param {{id: string, name: string}} feed
+   * @param {Object[]} incoming - Validated feed artists
+   * @returns {Promise<{added: number, updated: number, removed: number, overridden: number}>}
+   */
+  static async applyFeedArtists(feed, incoming) {
+    return WriteQueue.run(DB_STORES.ARTISTS, async () => {
+      const result = { added: 0, updated: 0, removed: 0, overridden: 0 };
+      const pending = new Map(); // Name key -> record to write
+      const listed = new Set();
+
+      for (const artist of incoming) {
+        const key = ArtistIndex.keyOf(artist.name);
+        const existing = pending.get(key) || structuredClone(await ArtistIndex.findByName(artist.name));
+
+        if (!existing) {
+          pending.set(key, { ...artist, addedBy: 'feed', feedId: feed.id, feedName: feed.name });
+          listed.add(artist.id);
+          result.added++;
+          continue;
+        }
+
+        const ownedByFeed = (existing.addedBy === 'feed' && existing.feedId === feed.id) || existing.addedBy === 'search';
+        let changed = this.mergeChannelIds(existing, artist.channelIds);
+
+        if (ownedByFeed) {
+          changed = this.mergeArtist(existing, { ...artist, addedBy: 'feed' }) || changed;
+          if (existing.feedId !== feed.id || existing.feedName !== feed.name) changed = true;
+          existing.feedId = feed.id;
+          existing.feedName = feed.name;
+          delete existing.verdictSource;
+        } else {
+          // Local override: keep the verdict, still learn the feed's aliases
+          changed = this.mergeArtist(existing, { aliases: artist.aliases }) || changed;
+          result.overridden++;
+        }
+
+        listed.add(existing.id);
+        if (changed) {
+          pending.set(key, existing);
+          result.updated++;
+        }
+      }
+
+      const owned = await Database.getAllByIndex(DB_STORES.ARTISTS, 'feedId', feed.id);
+      const stale = owned
+        .filter(artist => artist.addedBy === 'feed' && !listed.has(artist.id))
+        .map(artist => artist.id);
+      result.removed = stale.length;
+
+      await this.writeArtists({ put: [...pending.values()], delete: stale });
+      return result;
+    });
+  }
+
+  /**
+   * Removes all artists a feed contributed (unsubscribe).
+   * @param {string} feedId
+   * @returns {Promise<number>} Number of removed artists
+   */
+  static async removeFeedArtists(feedId) {
+    return WriteQueue.run(DB_STORES.ARTISTS, async () => {
+      const owned = await Database.getAllByIndex(DB_STORES.ARTISTS, 'feedId', feedId);
+      const ids = owned.filter(artist => artist.addedBy === 'feed').map(artist => artist.id);
+      await this.writeArtists({ delete: ids });
+      return ids.length;
+    });
+  }
+
+  static mergeChannelIds(existingArtist, channelIds) {
+    if (!channelIds || channelIds.length === 0) return false;
+    const merged = new Set([...(existingArtist.channelIds || []), ...channelIds]);
+    if (merged.size === (existingArtist.channelIds || []).length) return false;
+    existingArtist.channelIds = [...merged];
+    return true;
+  }
+
+  // --- Decision Log Helpers ---
+
+  static async getLogs() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DECISION_LOG);
+    return result[STORAGE_KEYS.DECISION_LOG] || [];
+  }
+
+  static async addLog(entry) {
+    await this.updateList(STORAGE_KEYS.DECISION_LOG, logs => {
+      logs.unshift(entry);
+      return logs.slice(0, MAX_LOG_ENTRIES);
+    });
+  }
+
+  static async clearLogs() {
+    await this.updateList(STORAGE_KEYS.DECISION_LOG, () => []);
   }
 
   static async clearAll() {
+    // Settings (API keys, pipeline switches) are configuration, not data: keep them.
+    // URL feed subscriptions are kept as well, with their revision reset so the next refresh re-applies them.
+    // File feeds cannot be re-downloaded and are dropped together with their artists.
+    // The usage ledgers track what the providers have already counted (and billed), so they survive too.
+    const preserved = await chrome.storage.local.get([SETTINGS_KEY, STORAGE_KEYS.YOUTUBE_QUOTA, STORAGE_KEYS.LLM_USAGE]);
+    const feeds = (await this.getFeeds())
+      .filter(feed => feed.url)
+      .map(feed => ({ ...feed, revision: null, artistCount: 0 }));
     await chrome.storage.local.clear();
+    await chrome.storage.local.set({ ...preserved, [STORAGE_KEYS.FEEDS]: feeds });
+    // The meta store is kept: the chrome.storage migration must not run again
+    await Database.clear([DB_STORES.ARTISTS, DB_STORES.SONGS, DB_STORES.SEARCH_CACHE]);
+    ArtistIndex.invalidate();
     await this.init(); // Re-initialize with defaults
     console.log('Storage cleared and re-initialized.');
   }
 
+  // --- Usage Ledger Helpers ---
+
+  /**
+   * Queued read-modify-write of a record kept in chrome.storage.local.
+   *
+   * @param {string} key - One of STORAGE_KEYS
+   * @param {function(Object|null): Object} mutate - Returns the new record
+   * @returns {Promise<Object>}
+   */
+  static async updateRecord(key, mutate) {
+    return WriteQueue.run(key, async () => {
+      const result = await chrome.storage.local.get(key);
+      const record = mutate(result[key] || null);
+      await chrome.storage.local.set({ [key]: record });
+      return record;
+    });
+  }
+
+  static async getYouTubeQuota() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.YOUTUBE_QUOTA);
+    return result[STORAGE_KEYS.YOUTUBE_QUOTA] || null;
+  }
+
+  static async updateYouTubeQuota(mutate) {
+    return this.updateRecord(STORAGE_KEYS.YOUTUBE_QUOTA, mutate);
+  }
+
+  static async getLLMUsage() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.LLM_USAGE);
+    return result[STORAGE_KEYS.LLM_USAGE] || null;
+  }
+
+  static async updateLLMUsage(mutate) {
+    return this.updateRecord(STORAGE_KEYS.LLM_USAGE, mutate);
+  }
+
   // --- Search Cache Helpers ---
 
+  /**
+   * All cache entries as a map keyed by query.
+   * @returns {Promise<Object<string, Object>>}
+   */
   static async getSearchCache() {
-    const result = await chrome.storage.local.get(STORAGE_KEYS.SEARCH_CACHE);
-    return result[STORAGE_KEYS.SEARCH_CACHE] || {};
+    const entries = await Database.getAll(DB_STORES.SEARCH_CACHE);
+    return Object.fromEntries(entries.map(entry => [entry.query, entry]));
+  }
+
+  static async getSearchCacheEntry(query) {
+    return Database.get(DB_STORES.SEARCH_CACHE, query);
   }
 
   static async updateSearchCacheEntry(query, entry) {
-    const cache = await this.getSearchCache();
-    cache[query] = entry;
-    await chrome.storage.local.set({ [STORAGE_KEYS.SEARCH_CACHE]: cache });
+    await WriteQueue.run(DB_STORES.SEARCH_CACHE, () => Database.put(DB_STORES.SEARCH_CACHE, { ...entry, query }));
+  }
+
+  static async deleteSearchCacheEntries(queries) {
+    await WriteQueue.run(DB_STORES.SEARCH_CACHE, () => Database.write(DB_STORES.SEARCH_CACHE, { delete: queries }));
+  }
+
+  static async countSearchCache() {
+    return Database.count(DB_STORES.SEARCH_CACHE);
+  }
+
+  /**
+   * Queued check-and-set of a cache entry.
+   *
+   * @param {string} query
+   * @param {function(Object|null): (Object|null)} update - Returns the new entry, or null to keep the current one
+   * @returns {Promise<boolean>} Whether the entry was written
+   */
+  static async modifySearchCacheEntry(query, update) {
+    return WriteQueue.run(DB_STORES.SEARCH_CACHE, async () => {
+      const entry = update(await Database.get(DB_STORES.SEARCH_CACHE, query));
+      if (!entry) return false;
+      await Database.put(DB_STORES.SEARCH_CACHE, { ...entry, query });
+      return true;
+    });
   }
   
   static async clearCache() {
-      await chrome.storage.local.set({ [STORAGE_KEYS.SEARCH_CACHE]: {} });
+      await Database.clear([DB_STORES.SEARCH_CACHE]);
   }
 }
 
@@ -0,0 +1,121 @@
+// Tab State Module
+// Song and enforcement state per YouTube Music tab, mirrored to chrome.storage.session so it
+// survives the service worker being stopped while idle (session storage is cleared with the browser).
+
+const TAB_STATE_PREFIX = 'tab_state_';
+
+/**
+ * Tab State Schema
+ * {
+ *   tabId: number,
+ *   song: {
+ *     title, artist, artwork,
+ *     status: 'unknown' | 'pending' | 'safe' | 'allowed' | 'blocked' | 'review',
+ *     songVerdict: 'allow' | 'block' | null, // The user set a verdict for this exact song
+ *     why: { step, reason, source, artists: Object[] } | null  // Decision behind the status (popup "Why?")
+ *   },
+ *   lastSkipTime: timestamp,                  // Enforcement cooldown
+ *   hold: { title, artist, deadline } | null, // Song held by the "uncertain" action
+ *   search: { title, artist, artists: string[], channelId } | null,  // Lookup in progress
+ *   updatedAt: timestamp
+ * }
+ */
+const EMPTY_SONG_STATE = {
+  title: '',
+  artist: '',
+  artwork: '',
+  status: 'unknown',
+  songVerdict: null,
+  why: null
+};
+
+class TabState {
+  static states = null;  // Map<tabId, state>
+  static loading = null;
+
+  static storageKey(tabId) {
+    return `${TAB_STATE_PREFIX}${tabId}`;
+  }
+
+  static createState(tabId) {
+    return { tabId, song: { ...EMPTY_SONG_STATE }, lastSkipTime: 0, hold: null, search: null, updatedAt: 0 };
+  }
+
+  /**
+   * Loads all tab states from session storage once per worker lifetime.
+   * @returns {Promise<void>}
+   */
+  static ready() {
+    if (this.states) return Promise.resolve();
+    if (!this.loading) {
+      this.loading = chrome.storage.session.get(null).then(stored => {
+        const states = new Map();
+        for (const [key, state] of Object.entries(stored)) {
+          if (key.startsWith(TAB_STATE_PREFIX)) states.set(state.tabId, state);
+        }
+        this.states = states;
+      }).finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @param {number} tabId
+   * @returns {Promise<Object>} A copy of the tab's state (empty state for unknown tabs)
+   */
+  static async get(tabId) {
+    await this.ready();
+    return structuredClone(this.states.get(tabId) || this.createState(tabId));
+  }
+
+  /**
+   * Merges changes into a tab's state and persists it. `song` is merged field by field.
+   *
+   * @param {number} tabId
+   * @param {Object} changes
+   * @returns {Promise<Object>} A copy of the updated state
+   */
+  static async update(tabId, changes) {
+    await this.ready();
+    const current = this.states.get(tabId) || this.createState(tabId);
+    const updated = {
+      ...current,
+      ...changes,
+      song: changes.song ? { ...current.song, ...changes.song } : current.song,
+      updatedAt: Date.now()
+    };
+
+    this.states.set(tabId, updated);
+    await chrome.storage.session.set({ [this.storageKey(tabId)]: updated });
+    return structuredClone(updated);
+  }
+
+  static async remove(tabId) {
+    await this.ready();
+    this.states.delete(tabId);
+    await chrome.storage.session.remove(this.storageKey(tabId));
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Copies of all tab states
+   */
+  static async list() {
+    await this.ready();
+    return [...this.states.values()].map(state => structuredClone(state));
+  }
+
+  /**
+   * State of the tab that reported a song most recently (for a popup opened outside YouTube Music).
+   * @returns {Promise<Object|null>}
+   */
+  static async latest() {
+    const states = (await this.list()).filter(state => state.song.title);
+    states.sort((a, b) => b.updatedAt - a.updatedAt);
+    return states[0] || null;
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.TabState = TabState;
+}
@@ -1,27 +1,108 @@
 // YouTube Data API Module
 // Handles interactions with YouTube Data API v3
+// Dependencies: SettingsManager (settings.js), BlockingPolicy (policy.js), RequestScheduler (request-scheduler.js), YouTubeQuota (youtube-quota.js)
 
 const YOUTUBE_API_BASE_URL = 'https://www.googleapis.com/youtube/v3';
 
 class YouTubeAPI {
+  /**
+   * Reads the YouTube Data API key from settings.
+   * @returns {Promise<string>}
+   */
+  static async getApiKey() {
+    const settings = await SettingsManager.get();
+    return (settings.youtube.apiKey || '').trim();
+  }
+
+  /**
+   * Whether a YouTube Data API key has been configured.
+   * @returns {Promise<boolean>}
+   */
+  static async isConfigured() {
+    return !!(await this.getApiKey());
+  }
+
+  /**
+   * Sends an API request through the scheduler. Every attempt, retries included, is booked in the
+   * quota ledger before it is sent (against the lookup's reservation, if any).
+   *
+   * @param {string} endpoint - YOUTUBE_QUOTA_COSTS key
+   * @param {string} url
+   * @param {{quotaReservation?: string|null}} [requestOptions] - Scheduling (RequestScheduler.fetch) and quota reservation
+   * @returns {Promise<Response>}
+   */
+  static async request(endpoint, url, requestOptions = {}) {
+    const { quotaReservation = null, ...options } = requestOptions;
+    const response = await RequestScheduler.fetch('youtube', url, {}, {
+      ...options,
+      onAttempt: () => YouTubeQuota.record(endpoint, quotaReservation)
+        .catch(err => console.warn('YouTube API: failed to book quota:', err))
+    });
+    await this.checkQuotaExceeded(response);
+    return response;
+  }
+
+  /**
+   * Notes when Google reports the quota as used up.
+   * @param {Response} response
+   */
+  static async checkQuotaExceeded(response) {
+    if (response.status !== 403) return;
+
+    const data = await response.clone().json().catch(() => ({}));
+    const errors = (data.error && data.error.errors) || [];
+    if (errors.some(error => error.reason === 'quotaExceeded' || error.reason === 'dailyLimitExceeded')) {
+      console.warn('YouTube API: daily quota exceeded');
+      await YouTubeQuota.markExhausted();
+    }
+  }
+
+  /**
+   * Validates an API key with a cheap request (channels.list, 1 quota unit).
+   *
+   * @param {string} apiKey
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  static async testKey(apiKey) {
+    if (!apiKey) return { valid: false, error: 'No key provided' };
+
+    const url = new URL(`${YOUTUBE_API_BASE_URL}/channels`);
+    url.searchParams.append('part', 'id');
+    url.searchParams.append('id', 'UC_x5XG1OV2P6uZZ5FSM9Ttw'); // Google for Developers
+    url.searchParams.append('key', apiKey);
+
+    try {
+      const response = await this.request('channels', url.toString(), { retries: 0 });
+      if (response.ok) return { valid: true };
+
+      const data = await response.json().catch(() => ({}));
+      const message = data.error && data.error.message ? data.error.message : `HTTP ${response.status}`;
+      return { valid: false, error: message };
+    } catch (error) {
+      return { valid: false, error: error.toString() };
+    }
+  }
+
   /**
    * Fetches artist details from YouTube Data API.
    * Uses channelId if available, otherwise searches by artist name.
    * 
    * @param {string} artistName
    * @param {string} [channelId]
+   * @param {{priority?: number, key?: string, quotaReservation?: string|null}} [requestOptions] - Scheduling (RequestScheduler.fetch)
+   *   and the YouTubeQuota reservation the calls are booked against
    * @returns {Promise<{
    *   channelId: string,
    *   title: string,
    *   description: string,
    *   customUrl: string,
    *   country: string,
-   *   hasVkLink: boolean,
+   *   matchedSignals: Array<{id: string, label: string}>,
    *   officialLinks: string[]
    * } | null>}
    */
-  static async getArtistDetails(artistName, channelId) {
-    if (!YOUTUBE_API_KEY || YOUTUBE_API_KEY === 'YOUR_YOUTUBE_DATA_API_KEY') {
+  static async getArtistDetails(artistName, channelId, requestOptions = {}) {
+    if (!(await this.isConfigured())) {
       console.warn('YouTube API Key not configured. Skipping YouTube data fetch.');
       return null;
     }
@@ -32,7 +113,7 @@ class YouTubeAPI {
 
       // 1. If no channel ID provided, search for the channel
       if (!targetChannelId) {
-        const searchResult = await this.searchChannel(artistName);
+        const searchResult = await this.searchChannel(artistName, requestOptions);
         targetChannelId = searchResult.channelId;
         searchItems = searchResult.items;
       }
@@ -43,16 +124,17 @@ class YouTubeAPI {
       }
 
       // 2. Fetch channel details
-      const channelResult = await this.fetchChannelDetailsRaw(targetChannelId);
+      const channelResult = await this.fetchChannelDetailsRaw(targetChannelId, requestOptions);
       
-      // Merge all raw items for Mistral
+      // Merge all raw items for the LLM
       const rawData = {
           searchItems: searchItems,
           channelItems: channelResult.items
       };
 
-      // Process for legacy hard-block logic (keep compatibility)
-      const processedDetails = this.processChannelData(channelResult.items);
+      // Process for hard-block logic (policy signal rules)
+      const policy = await BlockingPolicy.get();
+      const processedDetails = this.processChannelData(channelResult.items, policy);
 
       return {
           ...processedDetails,
@@ -61,7 +143,7 @@ class YouTubeAPI {
 
     } catch (error) {
       console.error('YouTube API Error:', error);
-      // Graceful degradation: return null so the flow continues with just Mistral
+      // Graceful degradation: return null so the flow continues with just the LLM
       return null;
     }
   }
@@ -69,17 +151,18 @@ class YouTubeAPI {
   /**
    * Searches for a channel by artist name.
    * @param {string} query 
+   * @param {Object} [requestOptions] - Scheduling (RequestScheduler.fetch)
    * @returns {Promise<{channelId: string|null, items: Array}>}
    */
-  static async searchChannel(query) {
+  static async searchChannel(query, requestOptions = {}) {
     const url = new URL(`${YOUTUBE_API_BASE_URL}/search`);
     url.searchParams.append('part', 'snippet');
     url.searchParams.append('q', query);
     url.searchParams.append('type', 'channel');
     url.searchParams.append('maxResults', '5');
-    url.searchParams.append('key', YOUTUBE_API_KEY);
+    url.searchParams.append('key', await this.getApiKey());
 
-    const response = await fetch(url.toString());
+    const response = await this.request('search', url.toString(), requestOptions);
     if (!response.ok) {
         throw new Error(`Search failed: ${response.status}`);
     }
@@ -118,15 +201,16 @@ class YouTubeAPI {
   /**
    * Fetches detailed channel info (Raw).
    * @param {string} channelId 
+   * @param {Object} [requestOptions] - Scheduling (RequestScheduler.fetch)
    * @returns {Promise<{items: Array}>}
    */
-  static async fetchChannelDetailsRaw(channelId) {
+  static async fetchChannelDetailsRaw(channelId, requestOptions = {}) {
     const url = new URL(`${YOUTUBE_API_BASE_URL}/channels`);
     url.searchParams.append('part', 'snippet,brandingSettings');
     url.searchParams.append('id', channelId);
-    url.searchParams.append('key', YOUTUBE_API_KEY);
+    url.searchParams.append('key', await this.getApiKey());
 
-    const response = await fetch(url.toString());
+    const response = await this.request('channels', url.toString(), requestOptions);
     if (!response.ok) {
         throw new Error(`Channel details failed: ${response.status}`);
     }
@@ -140,10 +224,17 @@ class YouTubeAPI {
   // Kept for backward compatibility but modified to use Raw
   static async fetchChannelDetails(channelId) {
       const result = await this.fetchChannelDetailsRaw(channelId);
-      return this.processChannelData(result.items);
+      return this.processChannelData(result.items, await BlockingPolicy.get());
   }
 
-  static processChannelData(items) {
+  /**
+   * Extracts the fields used for identification and runs the policy's signal rules
+   * against the description and links.
+   *
+   * @param {Array} items - channels.list items
+   * @param {Object} policy - Blocking policy
+   */
+  static processChannelData(items, policy) {
     if (!items || items.length === 0) {
         return null;
     }
@@ -158,22 +249,15 @@ class YouTubeAPI {
     // Extract keywords (often contains country or genre info)
     const keywords = branding.channel && branding.channel.keywords ? branding.channel.keywords : '';
 
-    // Check for VK links in description
-    const hasVkLink = description.includes('vk.com') || description.includes('vk.ru');
-    
-    // Check for Yandex links
-    const hasYandexLink = description.toLowerCase().includes('yandex') || description.toLowerCase().includes('dzen.ru');
-
-    // Check for Russian phone numbers (+7...)
-    const russianPhoneRegex = /\+7[\s-]?\(?\d{3}\)?[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2}/;
-    const hasRussianPhone = russianPhoneRegex.test(description);
-
     // Collect some official looking links if possible (simple regex from description)
     // We limit this to avoid massive arrays if description is spammy
     const urlRegex = /(https?:\/\/[^\s]+)/g;
     const allLinks = description.match(urlRegex) || [];
     const officialLinks = [...new Set(allLinks)].slice(0, 10); // Unique and max 10
 
+    // Policy signal rules (e.g. VK/Yandex links, +7 phone numbers)
+    const matchedSignals = BlockingPolicy.matchSignals(description, policy);
+
     return {
         channelId: item.id,
         title: snippet.title,
@@ -182,9 +266,7 @@ class YouTubeAPI {
         customUrl: snippet.customUrl,
         country: snippet.country, // ISO code if available
         isTopicChannel: snippet.title.includes('- Topic'),
-        hasVkLink: hasVkLink,
-        hasYandexLink: hasYandexLink,
-        hasRussianPhone: hasRussianPhone,
+        matchedSignals: matchedSignals,
         officialLinks: officialLinks
     };
   }
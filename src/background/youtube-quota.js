@@ -0,0 +1,208 @@
+// YouTube Quota Module
+// Ledger of the YouTube Data API quota spent per day, and the daily budget the lookups must stay in.
+// Google resets the quota at midnight Pacific time, so the ledger day follows that clock.
+// Dependencies: SettingsManager (settings.js), StorageManager (storage.js)
+
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const QUOTA_RESERVATION_TTL = 10 * 60 * 1000; // Reservations of lookups that never ended (stopped worker) lapse
+
+/**
+ * Cost in quota units per endpoint (https://developers.google.com/youtube/v3/determine_quota_cost).
+ * Invalid and failed requests are charged as well.
+ */
+const YOUTUBE_QUOTA_COSTS = {
+  search: 100,
+  channels: 1
+};
+
+const QUOTA_MODES = {
+  FULL: 'full',           // YouTube lookups as usual
+  LLM_ONLY: 'llm',        // Over budget: identify artists with the LLM alone
+  DEFERRED: 'defer'       // Over budget: postpone lookups until the quota resets
+};
+
+class YouTubeQuota {
+  /**
+   * Quota day of a point in time, as YYYY-MM-DD in Pacific time.
+   * @param {number} [time]
+   * @returns {string}
+   */
+  static quotaDay(time = Date.now()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: QUOTA_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(new Date(time));
+  }
+
+  /**
+   * Next Pacific-time midnight. Off by an hour on the days daylight saving time changes.
+   * @param {number} [time]
+   * @returns {number} Timestamp
+   */
+  static nextReset(time = Date.now()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: QUOTA_TIME_ZONE, hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23'
+    }).formatToParts(new Date(time));
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    const elapsed = ((part('hour') * 60 + part('minute')) * 60 + part('second')) * 1000 + time % 1000;
+    return time - elapsed + 24 * 60 * 60 * 1000;
+  }
+
+  static createLedger(day) {
+    return { day, used: 0, calls: {}, reservations: {}, exhaustedAt: null };
+  }
+
+  /**
+   * Reservations that have not lapsed.
+   * @param {Object} ledger
+   * @param {number} [now]
+   * @returns {Object<string, {units: number, expiresAt: number}>}
+   */
+  static liveReservations(ledger, now = Date.now()) {
+    return Object.fromEntries(
+      Object.entries(ledger.reservations || {}).filter(([, reservation]) => reservation.expiresAt > now)
+    );
+  }
+
+  /**
+   * Units left within a budget, after spent and reserved units.
+   * @param {Object} ledger
+   * @param {number} budget
+   * @returns {number}
+   */
+  static remainingOf(ledger, budget) {
+    if (ledger.exhaustedAt) return 0;
+    const reserved = Object.values(this.liveReservations(ledger)).reduce((sum, reservation) => sum + reservation.units, 0);
+    return Math.max(budget - ledger.used - reserved, 0);
+  }
+
+  /**
+   * Today's ledger (a fresh one once the quota day has changed).
+   * @returns {Promise<{day: string, used: number, calls: Object<string, number>,
+   *   reservations: Object<string, {units: number, expiresAt: number}>, exhaustedAt: number|null}>}
+   */
+  static async getLedger() {
+    const day = this.quotaDay();
+    const ledger = await StorageManager.getYouTubeQuota();
+    return ledger && ledger.day === day ? ledger : this.createLedger(day);
+  }
+
+  /**
+   * Books the cost of an API call attempt (Google charges failed and retried requests as well).
+   * @param {string} endpoint - YOUTUBE_QUOTA_COSTS key
+   * @param {string|null} [reservationId] - Reservation the call was planned under; its units are used up first
+   */
+  static async record(endpoint, reservationId = null) {
+    const cost = YOUTUBE_QUOTA_COSTS[endpoint] || 0;
+    const day = this.quotaDay();
+
+    await StorageManager.updateYouTubeQuota(stored => {
+      const ledger = stored && stored.day === day ? stored : this.createLedger(day);
+      const reservations = this.liveReservations(ledger);
+      if (reservationId && reservations[reservationId]) {
+        const reservation = reservations[reservationId];
+        reservations[reservationId] = { ...reservation, units: Math.max(reservation.units - cost, 0) };
+      }
+      return {
+        ...ledger,
+        used: ledger.used + cost,
+        calls: { ...ledger.calls, [endpoint]: (ledger.calls[endpoint] || 0) + 1 },
+        reservations
+      };
+    });
+  }
+
+  /**
+   * Sets the units of a lookup aside before its calls are sent, so concurrent lookups
+   * cannot plan with the same remaining budget.
+   *
+   * @param {number} cost - Units the lookup would spend
+   * @returns {Promise<{mode: string, remaining: number, reservation: string|null, resetsAt: number}>} QUOTA_MODES value;
+   *   `reservation` (FULL mode only) is passed to record() and freed with release() when the lookup ends
+   */
+  static async reserve(cost) {
+    const settings = await SettingsManager.get();
+    const day = this.quotaDay();
+    let decision;
+
+    await StorageManager.updateYouTubeQuota(stored => {
+      const ledger = stored && stored.day === day ? stored : this.createLedger(day);
+      const reservations = this.liveReservations(ledger);
+      const remaining = this.remainingOf({ ...ledger, reservations }, settings.youtube.dailyBudget);
+
+      if (remaining < cost) {
+        const mode = settings.youtube.overBudget === QUOTA_MODES.DEFERRED ? QUOTA_MODES.DEFERRED : QUOTA_MODES.LLM_ONLY;
+        decision = { mode, remaining, reservation: null, resetsAt: this.nextReset() };
+        return { ...ledger, reservations };
+      }
+
+      const id = crypto.randomUUID();
+      decision = { mode: QUOTA_MODES.FULL, remaining, reservation: id, resetsAt: this.nextReset() };
+      return { ...ledger, reservations: { ...reservations, [id]: { units: cost, expiresAt: Date.now() + QUOTA_RESERVATION_TTL } } };
+    });
+    return decision;
+  }
+
+  /**
+   * Frees what is left of a reservation once its lookup has made its calls.
+   * @param {string|null} reservationId
+   */
+  static async release(reservationId) {
+    if (!reservationId) return;
+    const day = this.quotaDay();
+
+    await StorageManager.updateYouTubeQuota(stored => {
+      const ledger = stored && stored.day === day ? stored : this.createLedger(day);
+      const reservations = this.liveReservations(ledger);
+      delete reservations[reservationId];
+      return { ...ledger, reservations };
+    });
+  }
+
+  /**
+   * Records that the API refused a call with quotaExceeded; no further calls are made today.
+   */
+  static async markExhausted() {
+    const day = this.quotaDay();
+    await StorageManager.updateYouTubeQuota(stored => ({
+      ...(stored && stored.day === day ? stored : this.createLedger(day)),
+      exhaustedAt: Date.now()
+    }));
+  }
+
+  /**
+   * Quota left within the configured daily budget, less the units reserved by running lookups.
+   * @returns {Promise<{day: string, used: number, budget: number, remaining: number,
+   *   calls: Object<string, number>, exhausted: boolean, overBudget: string, resetsAt: number}>}
+   */
+  static async getStatus() {
+    const [ledger, settings] = await Promise.all([this.getLedger(), SettingsManager.get()]);
+    const budget = settings.youtube.dailyBudget;
+    const exhausted = !!ledger.exhaustedAt;
+
+    return {
+      day: ledger.day,
+      used: ledger.used,
+      budget,
+      remaining: this.remainingOf(ledger, budget),
+      calls: ledger.calls,
+      exhausted,
+      overBudget: settings.youtube.overBudget,
+      resetsAt: this.nextReset()
+    };
+  }
+
+  /**
+   * Quota cost of an artist lookup (getArtistDetails).
+   * @param {string|null} channelId - Known channel: the search call is skipped
+   * @returns {number}
+   */
+  static lookupCost(channelId) {
+    return (channelId ? 0 : YOUTUBE_QUOTA_COSTS.search) + YOUTUBE_QUOTA_COSTS.channels;
+  }
+}
+
+// Export
+if (typeof self !== 'undefined') {
+  self.YouTubeQuota = YouTubeQuota;
+}
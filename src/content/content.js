@@ -2,6 +2,56 @@
 console.log('YouTube Music Extension Content Script loaded.');
 
 (function() {
+/**
+ * Reads title/artist from an Up Next queue item.
+ * @returns {{title: string, artist: string} | null}
+ */
+function readQueueItem(item) {
+  const titleEl = item.querySelector('.song-title');
+  const artistEl = item.querySelector('.byline');
+  if (!titleEl || !artistEl) return null;
+  return {
+    title: titleEl.textContent.trim(),
+    artist: artistEl.textContent.trim()
+  };
+}
+
+/**
+ * Reads title/artist/videoId from a playlist shelf row.
+ * The secondary column reads "Artist • Album", only the artist part is kept.
+ * @returns {{title: string, artist: string, videoId: string} | null}
+ */
+function readPlaylistRow(item) {
+  const titleEl = item.querySelector('.title');
+  const artistEl = item.querySelector('.secondary-flex-columns yt-formatted-string');
+  if (!titleEl || !artistEl) return null;
+
+  let artistText = artistEl.textContent;
+  if (artistText.includes('•')) {
+    artistText = artistText.split('•')[0].trim();
+  }
+
+  const link = item.querySelector('a[href*="watch?v="]');
+  const videoMatch = link ? (link.getAttribute('href') || '').match(/[?&]v=([\w-]+)/) : null;
+
+  return {
+    title: titleEl.textContent.trim(),
+    artist: artistText,
+    videoId: videoMatch ? videoMatch[1] : ''
+  };
+}
+
+/**
+ * Returns the playlist ID from the current URL ("list" parameter), if any.
+ */
+function getCurrentPlaylistId() {
+  try {
+    return new URL(window.location.href).searchParams.get('list') || '';
+  } catch (e) {
+    return '';
+  }
+}
+
 class PlayerController {
   constructor() {
     this.initListeners();
@@ -10,6 +60,19 @@ class PlayerController {
         title: '',
         startTime: 0
     };
+    // Menu interactions must not overlap: only one popup menu can be open at a time
+    this.menuActionChain = Promise.resolve();
+    // Mute or pause applied by the extension; lifted when the song changes or the verdict allows it
+    this.holdState = {
+        active: false,
+        mode: '',
+        title: '',
+        wasMuted: false,
+        wasPlaying: false,
+        watchId: null,
+        safetyTimer: null
+    };
+    this.bannerTimer = null;
   }
 
   initListeners() {
@@ -29,24 +92,48 @@ class PlayerController {
           this.likeSong();
           break;
         case 'DISLIKE_SONG':
-          this.handleDislikeCommand();
-          break;
+          this.handleDislikeCommand().then(outcome => sendResponse({ outcome }));
+          return true; // Keep channel open for async response
         case 'SKIP_SONG':
-          this.handleSkipCommand();
-          break;
+          this.handleSkipCommand().then(success => sendResponse({ outcome: success ? 'skipped' : 'failed' }));
+          return true; // Keep channel open for async response
         case 'BLOCK_CURRENT_SONG':
-          this.blockCurrentSong();
-          break;
+          this.blockCurrentSong().then(outcome => sendResponse({ outcome }));
+          return true; // Keep channel open for async response
         case 'REMOVE_FROM_QUEUE':
-          this.removeFromQueue(message.index);
-          break;
+          this.removeFromQueue(message.index, message.title, message.artist)
+              .then(success => sendResponse({ success }));
+          return true; // Keep channel open for async response
         case 'REMOVE_FROM_PLAYLIST':
-          this.removeFromPlaylist(message.index);
+          this.removeFromPlaylist(message.index, message.title, message.artist, message.playlistId)
+              .then(success => sendResponse({ success }));
+          return true; // Keep channel open for async response
+        case 'RESTORE_TO_PLAYLIST':
+          this.restoreToPlaylist(message.playlistTitle)
+              .then(success => sendResponse({ success }));
+          return true; // Keep channel open for async response
+        case 'MUTE_SONG':
+          sendResponse({ outcome: this.holdSong('mute', message.text) ? 'muted' : 'failed' });
+          break;
+        case 'HOLD_SONG':
+          sendResponse({ outcome: this.holdSong(message.mode, message.text, message.maxMs) ? 'held' : 'failed' });
+          break;
+        case 'RELEASE_HOLD':
+          this.releaseHold();
+          sendResponse({ outcome: 'allowed' });
+          break;
+        case 'SHOW_BANNER':
+          this.showBanner(message.text, 8000);
+          sendResponse({ outcome: 'notified' });
           break;
       }
     });
   }
 
+  /**
+   * Starts the dislike enforcement loop for the current song.
+   * @returns {Promise<string>} Outcome: 'disliked', 'skipped' (song changed first) or 'failed'
+   */
   async handleDislikeCommand() {
       const currentTitle = this.getCurrentTitle();
       console.log(`Starting robust dislike enforcement for: "${currentTitle}"`);
@@ -59,12 +146,12 @@ class PlayerController {
       };
 
       // Start the persistent loop
-      this.enforceDislikeLoop();
+      return this.enforceDislikeLoop();
   }
 
   async enforceDislikeLoop() {
-      // 1. Safety Check: Stop if enforcement was disabled
-      if (!this.enforcementState.active) return;
+      // 1. Safety Check: Stop if enforcement was disabled (superseded by a newer command)
+      if (!this.enforcementState.active) return 'failed';
 
       const currentTitle = this.getCurrentTitle();
       
@@ -72,7 +159,7 @@ class PlayerController {
       if (currentTitle !== this.enforcementState.title) {
           console.log('Song changed, stopping dislike enforcement.');
           this.enforcementState.active = false;
-          return;
+          return 'skipped';
       }
 
       // 3. Attempt Dislike (includes idempotency check)
@@ -82,7 +169,7 @@ class PlayerController {
       if (success) {
           console.log('Dislike enforcement successful. Stopping loop.');
           this.enforcementState.active = false;
-          return;
+          return 'disliked';
       }
 
       // 4. Timeout Check (Prevent infinite loops)
@@ -90,7 +177,7 @@ class PlayerController {
       if (elapsed > 60000) { // Stop after 60 seconds
           console.error('Dislike enforcement timed out (60s). Stopping retries.');
           this.enforcementState.active = false;
-          return;
+          return 'failed';
       }
 
       // 5. Retry with Backoff/Throttling
@@ -98,7 +185,8 @@ class PlayerController {
       const delay = 1500; // 1.5 seconds wait between attempts
       
       console.log(`Dislike not yet applied/verified. Retrying in ${delay}ms...`);
-      setTimeout(() => this.enforceDislikeLoop(), delay);
+      await new Promise(r => setTimeout(r, delay));
+      return this.enforceDislikeLoop();
   }
 
   async handleSkipCommand() {
@@ -254,16 +342,22 @@ class PlayerController {
              ariaLabel.includes('disliked');
   }
 
+  /**
+   * Dislike + Skip.
+   * @returns {Promise<string>} Outcome: 'disliked', 'skipped' or 'failed'
+   */
   async blockCurrentSong() {
-      if (this.isBlocking) return; // Prevent re-entry
+      if (this.isBlocking) return 'failed'; // Prevent re-entry
       this.isBlocking = true;
       console.log('Blocking current song: Dislike + Skip (Smart Mode)');
       
+      let skipped = false;
+      let dislikeOutcome = Promise.resolve('failed');
       try {
           const currentTitle = this.getCurrentTitle();
 
-          // Use the robust retry handler
-          await this.handleDislikeCommand();
+          // Use the robust retry handler (keeps running in the background, outcome collected below)
+          dislikeOutcome = this.handleDislikeCommand();
           
           // Wait to see if auto-skip happens (increased delay)
           await new Promise(r => setTimeout(r, 800));
@@ -272,11 +366,12 @@ class PlayerController {
           
           if (currentTitle === newTitle) {
                console.log('Song did not auto-skip. forcing skip.');
-               this.skipSong();
+               skipped = this.skipSong();
                // Add delay after skip to let UI settle
                await new Promise(r => setTimeout(r, 1000));
           } else {
                console.log('Song auto-skipped (or changed).');
+               skipped = true;
                // Still wait a bit to ensure we don't process the next one too fast
                await new Promise(r => setTimeout(r, 500));
           }
@@ -285,6 +380,141 @@ class PlayerController {
       } finally {
           this.isBlocking = false;
       }
+
+      const outcome = await dislikeOutcome;
+      if (outcome === 'disliked') return 'disliked';
+      return skipped ? 'skipped' : 'failed';
+  }
+
+  /**
+   * Mutes or pauses the player until the current song changes (or releaseHold is called)
+   * and keeps a banner visible for that time.
+   *
+   * @param {'mute' | 'pause'} mode
+   * @param {string} [text] - Banner text
+   * @param {number} [maxMs] - Release by itself after this long, in case the verdict never arrives
+   * @returns {boolean} Whether a <video> element was found
+   */
+  holdSong(mode, text, maxMs) {
+      const video = document.querySelector('video');
+      if (!video) {
+          console.warn('Video element not found. Cannot hold playback.');
+          return false;
+      }
+
+      const title = this.getCurrentTitle();
+      if (!this.holdState.active) {
+          this.holdState.wasMuted = video.muted;
+          this.holdState.wasPlaying = !video.paused;
+      } else if (this.holdState.mode === 'pause' && mode === 'mute') {
+          // Switching from a pause hold to a mute (e.g. fallback action): keep the song going silently
+          video.play().catch(() => {});
+      }
+
+      if (mode === 'pause') {
+          video.pause();
+      } else {
+          video.muted = true;
+      }
+      this.holdState.active = true;
+      this.holdState.mode = mode;
+      this.holdState.title = title;
+      if (text) this.showBanner(text);
+
+      // Lift the hold as soon as the next song starts
+      if (!this.holdState.watchId) {
+          this.holdState.watchId = setInterval(() => {
+              if (this.getCurrentTitle() !== this.holdState.title) {
+                  console.log('Song changed, lifting extension hold.');
+                  this.releaseHold(false);
+              }
+          }, 500);
+      }
+
+      clearTimeout(this.holdState.safetyTimer);
+      this.holdState.safetyTimer = maxMs
+          ? setTimeout(() => {
+              console.warn('No verdict received in time, lifting extension hold.');
+              this.releaseHold();
+          }, maxMs)
+          : null;
+
+      console.log(`Holding "${title}" via extension (${mode})`);
+      return true;
+  }
+
+  /**
+   * Restores the volume/playback state from before holdSong and hides the banner.
+   * No-op if the extension is not holding the song.
+   *
+   * @param {boolean} [resume=true] - Resume a paused song (false once the song has changed)
+   */
+  releaseHold(resume = true) {
+      clearInterval(this.holdState.watchId);
+      clearTimeout(this.holdState.safetyTimer);
+      if (this.holdState.active) {
+          const video = document.querySelector('video');
+          if (video) {
+              video.muted = this.holdState.wasMuted;
+              if (resume && this.holdState.mode === 'pause' && this.holdState.wasPlaying) {
+                  video.play().catch(err => console.warn('Failed to resume playback:', err));
+              }
+          }
+          console.log('Extension hold lifted');
+      }
+      this.holdState = {
+          active: false,
+          mode: '',
+          title: '',
+          wasMuted: false,
+          wasPlaying: false,
+          watchId: null,
+          safetyTimer: null
+      };
+      this.hideBanner();
+  }
+
+  /**
+   * Shows a banner above the player bar.
+   *
+   * @param {string} text
+   * @param {number} [duration] - Auto-hide after this many ms; stays until hideBanner if omitted
+   */
+  showBanner(text, duration) {
+      let banner = document.getElementById('ymx-banner');
+      if (!banner) {
+          banner = document.createElement('div');
+          banner.id = 'ymx-banner';
+          Object.assign(banner.style, {
+              position: 'fixed',
+              left: '50%',
+              bottom: '88px',
+              transform: 'translateX(-50%)',
+              zIndex: '10000',
+              maxWidth: '560px',
+              padding: '10px 16px',
+              borderRadius: '8px',
+              background: 'rgba(26, 26, 36, 0.95)',
+              border: '1px solid rgba(167, 139, 250, 0.4)',
+              color: '#fff',
+              font: '500 13px Roboto, Arial, sans-serif',
+              boxShadow: '0 4px 16px rgba(0, 0, 0, 0.5)',
+              pointerEvents: 'none'
+          });
+          document.body.appendChild(banner);
+      }
+      banner.textContent = text || '';
+
+      clearTimeout(this.bannerTimer);
+      if (duration) {
+          this.bannerTimer = setTimeout(() => this.hideBanner(), duration);
+      }
+  }
+
+  hideBanner() {
+      clearTimeout(this.bannerTimer);
+      const banner = document.getElementById('ymx-banner');
+      if (banner) banner.remove();
   }
 
   getCurrentTitle() {
@@ -317,12 +547,284 @@ class PlayerController {
     }
   }
 
-  removeFromQueue(index) {
-    console.log(`Requested removal of queue item at index ${index}`);
+  /**
+   * Removes a track from the Up Next queue via the item's context menu.
+   * The queue can reorder between the scan and this command, so the item at
+   * `index` is re-checked against the expected title/artist first.
+   *
+   * @param {number} index - Index reported by QueueMonitor
+   * @param {string} title - Expected title at that index
+   * @param {string} artist - Expected artist at that index
+   * @returns {Promise<boolean>} true if the item is confirmed gone
+   */
+  removeFromQueue(index, title, artist) {
+    return this.runMenuAction(() => this.performQueueRemoval(index, title, artist));
+  }
+
+  /**
+   * Queues a menu interaction behind any that are still running.
+   * @param {Function} action - Async function performing the interaction
+   * @returns {Promise<boolean>}
+   */
+  runMenuAction(action) {
+    const task = this.menuActionChain.then(action);
+    // Keep the chain alive even if this action fails
+    this.menuActionChain = task.catch(() => false);
+    return task;
+  }
+
+  async performQueueRemoval(index, title, artist) {
+    console.log(`Requested removal of queue item at index ${index}: "${title}" by "${artist}"`);
+
+    const item = this.findQueueItem(index, title, artist);
+    if (!item) {
+        console.warn('Queue item not found or no longer matches. Skipping removal.');
+        return false;
+    }
+
+    // The currently playing item is handled by the skip/dislike flow
+    if (item.hasAttribute('selected') || item.getAttribute('play-button-state') === 'playing') {
+        console.log('Queue item is currently playing. Leaving it to the player enforcement.');
+        return false;
+    }
+
+    const labels = ['remove from queue', 'удалить из очереди', 'видалити з черги'];
+    const matchingBefore = this.countListItems(this.getQueueItems(), readQueueItem, title, artist);
+    const clicked = await this.clickMenuItemFor(item, labels);
+    if (!clicked) {
+        return false;
+    }
+
+    // Confirm the item is gone: the clicked node detached, or one fewer copy of the
+    // track is queued (duplicates of the same track may remain in Up Next)
+    const removed = await this.waitFor(() => !item.isConnected ||
+        this.countListItems(this.getQueueItems(), readQueueItem, title, artist) < matchingBefore, 3000);
+    if (removed) {
+        console.log(`Removed "${title}" by "${artist}" from queue.`);
+    } else {
+        console.warn(`Queue item "${title}" is still present after removal attempt.`);
+    }
+    return removed;
+  }
+
+  getQueueItems() {
+    return Array.from(document.querySelectorAll('ytmusic-player-queue ytmusic-player-queue-item'));
+  }
+
+  getPlaylistRows() {
+    return Array.from(document.querySelectorAll('ytmusic-playlist-shelf-renderer ytmusic-responsive-list-item-renderer'));
+  }
+
+  findQueueItem(index, title, artist) {
+    return this.findListItem(this.getQueueItems(), readQueueItem, index, title, artist);
+  }
+
+  findPlaylistRow(index, title, artist) {
+    return this.findListItem(this.getPlaylistRows(), readPlaylistRow, index, title, artist);
+  }
+
+  /**
+   * Finds a list item matching the expected title/artist.
+   * Prefers the reported index; falls back to scanning the whole list if it reordered.
+   *
+   * @param {Element[]} items
+   * @param {Function} readItem - Extracts {title, artist} from an item
+   * @param {number} index - Expected index, or -1 to scan only
+   * @param {string} title
+   * @param {string} artist
+   * @returns {Element | null}
+   */
+  findListItem(items, readItem, index, title, artist) {
+    const matches = (item) => this.isListItemFor(item, readItem, title, artist);
+
+    if (index >= 0 && items[index] && matches(items[index])) {
+        return items[index];
+    }
+
+    const moved = items.find(matches);
+    if (moved && index >= 0) {
+        console.log(`List reordered: "${title}" moved from index ${index} to ${items.indexOf(moved)}.`);
+    }
+    return moved || null;
+  }
+
+  /**
+   * Whether a queue item or playlist row shows the given title/artist.
+   * @returns {boolean}
+   */
+  isListItemFor(item, readItem, title, artist) {
+    const data = readItem(item);
+    return !!data && data.title === title && data.artist === artist;
+  }
+
+  /**
+   * Counts the items showing the given title/artist; used to confirm a removal
+   * when the same track appears more than once.
+   * @returns {number}
+   */
+  countListItems(items, readItem, title, artist) {
+    return items.filter(item => this.isListItemFor(item, readItem, title, artist)).length;
+  }
+
+  /**
+   * Opens an item's "more actions" menu and clicks the entry matching one of the labels.
+   *
+   * @param {Element} item - List item element (queue or playlist row)
+   * @param {string[]} labels - Lowercase menu entry labels (all supported UI languages)
+   * @returns {Promise<boolean>}
+   */
+  async clickMenuItemFor(item, labels) {
+    const menuButton = item.querySelector(
+        'ytmusic-menu-renderer #button button, ytmusic-menu-renderer yt-button-shape button, ytmusic-menu-renderer tp-yt-paper-icon-button, ytmusic-menu-renderer button'
+    );
+    if (!menuButton) {
+        console.warn('Menu button not found on item.');
+        return false;
+    }
+
+    // Menu buttons are only rendered interactive on hover
+    item.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    menuButton.click();
+
+    const menuEntry = await this.waitFor(() => this.findVisibleMenuEntry(labels), 2000);
+    if (!menuEntry) {
+        console.warn(`Menu entry not found for labels: ${labels.join(', ')}`);
+        this.closeMenus();
+        return false;
+    }
+
+    menuEntry.click();
+    return true;
+  }
+
+  findVisibleMenuEntry(labels) {
+    const entries = document.querySelectorAll(
+        'ytmusic-menu-popup-renderer ytmusic-menu-service-item-renderer, ytmusic-menu-popup-renderer ytmusic-menu-navigation-item-renderer, ytmusic-menu-popup-renderer [role="menuitem"]'
+    );
+    for (const entry of entries) {
+        // Skip entries of menus that are closed but still in the DOM
+        if (entry.offsetParent === null) continue;
+        const text = entry.textContent.trim().toLowerCase();
+        if (labels.some(label => text.includes(label))) {
+            return entry;
+        }
+    }
+    return null;
+  }
+
+  closeMenus() {
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  }
+
+  /**
+   * Polls a condition until it returns a truthy value or the timeout elapses.
+   * @returns {Promise<any>} The truthy value, or null on timeout
+   */
+  async waitFor(condition, timeout = 2000, interval = 100) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const result = condition();
+        if (result) return result;
+        await new Promise(r => setTimeout(r, interval));
+    }
+    return null;
+  }
+
+  /**
+   * Removes a row from the open user-owned playlist via the row's context menu.
+   *
+   * @param {number} index - Index reported by PlaylistMonitor
+   * @param {string} title - Expected title at that index
+   * @param {string} artist - Expected artist at that index
+   * @param {string} playlistId - Playlist the row was reported from
+   * @returns {Promise<boolean>} true if the row is confirmed gone
+   */
+  removeFromPlaylist(index, title, artist, playlistId) {
+    return this.runMenuAction(() => this.performPlaylistRemoval(index, title, artist, playlistId));
   }
 
-  removeFromPlaylist(index) {
-    console.log(`Requested removal of playlist item at index ${index}`);
+  async performPlaylistRemoval(index, title, artist, playlistId) {
+    console.log(`Requested removal of playlist item at index ${index}: "${title}" by "${artist}"`);
+
+    if (playlistId && getCurrentPlaylistId() !== playlistId) {
+        console.warn('Playlist page changed since the scan. Skipping removal.');
+        return false;
+    }
+
+    const row = this.findPlaylistRow(index, title, artist);
+    if (!row) {
+        console.warn('Playlist row not found or no longer matches. Skipping removal.');
+        return false;
+    }
+
+    const labels = ['remove from playlist', 'удалить из плейлиста', 'видалити з плейлиста'];
+    const matchingBefore = this.countListItems(this.getPlaylistRows(), readPlaylistRow, title, artist);
+    const clicked = await this.clickMenuItemFor(row, labels);
+    if (!clicked) {
+        return false;
+    }
+
+    // A playlist may hold the same track more than once, so count the copies
+    const removed = await this.waitFor(() => !row.isConnected ||
+        this.countListItems(this.getPlaylistRows(), readPlaylistRow, title, artist) < matchingBefore, 3000);
+    if (removed) {
+        console.log(`Removed "${title}" by "${artist}" from playlist.`);
+    } else {
+        console.warn(`Playlist row "${title}" is still present after removal attempt.`);
+    }
+    return removed;
+  }
+
+  /**
+   * Saves the track open in this tab back into a playlist (undo of a removal).
+   * Expects the tab to have been opened on the track's watch page.
+   *
+   * @param {string} playlistTitle - Title of the playlist as shown in the "Save to playlist" dialog
+   * @returns {Promise<boolean>}
+   */
+  restoreToPlaylist(playlistTitle) {
+    return this.runMenuAction(async () => {
+        // Keep the restore tab silent
+        const video = await this.waitFor(() => document.querySelector('video'), 10000);
+        if (video) video.pause();
+
+        const playerBar = await this.waitFor(() => {
+            const bar = document.querySelector('ytmusic-player-bar');
+            return bar && bar.querySelector('ytmusic-menu-renderer') ? bar : null;
+        }, 10000);
+        if (!playerBar) {
+            console.warn('Player bar menu not found. Cannot restore track.');
+            return false;
+        }
+
+        const labels = ['save to playlist', 'сохранить в плейлист', 'зберегти в плейлист', 'додати в плейлист', 'добавить в плейлист'];
+        const clicked = await this.clickMenuItemFor(playerBar, labels);
+        if (!clicked) {
+            return false;
+        }
+
+        const target = playlistTitle.trim().toLowerCase();
+        const option = await this.waitFor(() => {
+            const options = document.querySelectorAll('ytmusic-add-to-playlist-renderer ytmusic-playlist-add-to-option-renderer');
+            for (const candidate of options) {
+                const titleEl = candidate.querySelector('.title, yt-formatted-string');
+                if (titleEl && titleEl.textContent.trim().toLowerCase() === target) {
+                    return candidate;
+                }
+            }
+            return null;
+        }, 5000);
+
+        if (!option) {
+            console.warn(`Playlist "${playlistTitle}" not found in save dialog.`);
+            this.closeMenus();
+            return false;
+        }
+
+        (option.querySelector('button') || option).click();
+        console.log(`Restored track to playlist "${playlistTitle}".`);
+        return true;
+    });
   }
 }
 
@@ -361,15 +863,9 @@ class QueueMonitor {
                     const item = queueItems[i];
                     if (!item) continue;
 
-                    const titleEl = item.querySelector('.song-title');
-                    const artistEl = item.querySelector('.byline');
-                    
-                    if (titleEl && artistEl) {
-                        queueData.push({
-                            index: i,
-                            title: titleEl.textContent.trim(),
-                            artist: artistEl.textContent.trim()
-                        });
+                    const data = readQueueItem(item);
+                    if (data) {
+                        queueData.push({ index: i, ...data });
                     }
                 }
 
@@ -424,6 +920,11 @@ class PlaylistMonitor {
     }
   }
 
+  getPlaylistTitle() {
+    const titleEl = document.querySelector('ytmusic-responsive-header-renderer .title, ytmusic-detail-header-renderer .title');
+    return titleEl ? titleEl.textContent.trim() : '';
+  }
+
   generateHash(playlistData) {
     return playlistData.map(item => `${item.index}:${item.title}:${item.artist}`).join('|');
   }
@@ -449,20 +950,9 @@ class PlaylistMonitor {
             const item = playlistItems[i];
             if (!item) continue;
 
-            const titleEl = item.querySelector('.title');
-            const artistEl = item.querySelector('.secondary-flex-columns yt-formatted-string');
-
-            if (titleEl && artistEl) {
-                let artistText = artistEl.textContent;
-                if (artistText.includes('•')) {
-                    artistText = artistText.split('•')[0].trim();
-                }
-
-                playlistData.push({
-                    index: i,
-                    title: titleEl.textContent.trim(),
-                    artist: artistText
-                });
+            const data = readPlaylistRow(item);
+            if (data) {
+                playlistData.push({ index: i, ...data });
             }
           }
 
@@ -473,7 +963,11 @@ class PlaylistMonitor {
                 try {
                     chrome.runtime.sendMessage({
                         type: 'PLAYLIST_UPDATED',
-                        payload: playlistData
+                        payload: playlistData,
+                        playlist: {
+                            id: getCurrentPlaylistId(),
+                            title: this.getPlaylistTitle()
+                        }
                     });
                 } catch (err) {
                     console.debug('Failed to send PLAYLIST_UPDATED:', err);
@@ -0,0 +1,734 @@
+// Options Script
+// Loads and saves settings (including the blocking policy), validates API keys and LLM providers,
+// exports/imports the artist database and manages shared blocklist subscriptions through the service worker
+// Dependencies: SettingsManager (background/settings.js)
+
+class OptionsController {
+  constructor() {
+    this.elements = {
+      youtubeKey: document.getElementById('youtube-api-key'),
+      youtubeDailyBudget: document.getElementById('youtube-daily-budget'),
+      youtubeOverBudget: document.getElementById('youtube-over-budget'),
+      llmDailyCap: document.getElementById('llm-daily-cap'),
+      llmPrices: document.getElementById('llm-prices'),
+      llmUsageSummary: document.getElementById('llm-usage-summary'),
+      llmProvider: document.getElementById('llm-provider'),
+      providerFields: document.querySelectorAll('.provider-fields'),
+      mistralKey: document.getElementById('mistral-api-key'),
+      mistralModel: document.getElementById('mistral-model'),
+      mistralTemperature: document.getElementById('mistral-temperature'),
+      mistralTimeout: document.getElementById('mistral-timeout'),
+      openaiBaseUrl: document.getElementById('openai-base-url'),
+      openaiKey: document.getElementById('openai-api-key'),
+      openaiModel: document.getElementById('openai-model'),
+      openaiTemperature: document.getElementById('openai-temperature'),
+      openaiTimeout: document.getElementById('openai-timeout'),
+      openaiJsonMode: document.getElementById('openai-json-mode'),
+      btnTestLLM: document.getElementById('btn-test-llm'),
+      useYouTube: document.getElementById('pipeline-use-youtube'),
+      useLLM: document.getElementById('pipeline-use-llm'),
+      checkQueue: document.getElementById('pipeline-check-queue'),
+      checkPlaylists: document.getElementById('pipeline-check-playlists'),
+      enforcementSelects: document.querySelectorAll('.enforcement-select'),
+      holdMaxSeconds: document.getElementById('hold-max-seconds'),
+      holdFallback: document.getElementById('hold-fallback'),
+      reviewMinConfidence: document.getElementById('review-min-confidence'),
+      blockedCountries: document.getElementById('policy-blocked-countries'),
+      allowedCountries: document.getElementById('policy-allowed-countries'),
+      signalRules: document.getElementById('signal-rules'),
+      signalRuleTemplate: document.getElementById('signal-rule-template'),
+      btnAddRule: document.getElementById('btn-add-rule'),
+      btnExportJson: document.getElementById('btn-export-json'),
+      btnExportCsv: document.getElementById('btn-export-csv'),
+      importFile: document.getElementById('import-file'),
+      importPreview: document.getElementById('import-preview'),
+      importSummary: document.getElementById('import-summary'),
+      importChanges: document.getElementById('import-changes'),
+      importErrors: document.getElementById('import-errors'),
+      btnApplyImport: document.getElementById('btn-apply-import'),
+      btnCancelImport: document.getElementById('btn-cancel-import'),
+      feedUrl: document.getElementById('feed-url'),
+      btnSubscribeFeed: document.getElementById('btn-subscribe-feed'),
+      feedFile: document.getElementById('feed-file'),
+      feedList: document.getElementById('feed-list'),
+      feedItemTemplate: document.getElementById('feed-item-template'),
+      feedRefreshHours: document.getElementById('feed-refresh-hours'),
+      btnRefreshFeeds: document.getElementById('btn-refresh-feeds'),
+      cacheSearch: document.getElementById('cache-search'),
+      btnReloadCache: document.getElementById('btn-reload-cache'),
+      cacheList: document.getElementById('cache-list'),
+      cacheItemTemplate: document.getElementById('cache-item-template'),
+      testButtons: document.querySelectorAll('.btn-test'),
+      btnSave: document.getElementById('btn-save'),
+      saveStatus: document.getElementById('save-status')
+    };
+
+    this.init();
+  }
+
+  async init() {
+    await this.load();
+
+    this.elements.btnSave.addEventListener('click', () => this.save());
+
+    this.elements.testButtons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        const input = document.getElementById(btn.dataset.input);
+        this.testKey(btn.dataset.provider, input.value.trim(), btn);
+      });
+    });
+
+    this.elements.llmProvider.addEventListener('change', () => this.showProviderFields());
+    this.elements.btnTestLLM.addEventListener('click', () => this.testLLMProvider());
+    this.elements.btnAddRule.addEventListener('click', () => this.addSignalRule({ enabled: true }));
+
+    this.elements.btnExportJson.addEventListener('click', () => this.exportDatabase('json'));
+    this.elements.btnExportCsv.addEventListener('click', () => this.exportDatabase('csv'));
+    this.elements.importFile.addEventListener('change', () => this.previewImport());
+    this.elements.btnApplyImport.addEventListener('click', () => this.applyImport());
+    this.elements.btnCancelImport.addEventListener('click', () => this.resetImport());
+
+    this.elements.btnSubscribeFeed.addEventListener('click', () => this.subscribeFeedUrl());
+    this.elements.feedFile.addEventListener('change', () => this.subscribeFeedFile());
+    this.elements.btnRefreshFeeds.addEventListener('click', () => this.refreshFeeds());
+    this.loadFeeds();
+
+    this.cacheEntries = [];
+    this.elements.cacheSearch.addEventListener('input', () => this.renderCache());
+    this.elements.btnReloadCache.addEventListener('click', () => this.loadCache());
+    this.loadCache();
+  }
+
+  async load() {
+    const settings = await SettingsManager.get();
+
+    this.elements.youtubeKey.value = settings.youtube.apiKey;
+    this.elements.youtubeDailyBudget.value = settings.youtube.dailyBudget;
+    this.elements.youtubeOverBudget.value = settings.youtube.overBudget;
+
+    this.elements.llmProvider.value = settings.llmProvider;
+    this.elements.mistralKey.value = settings.mistral.apiKey;
+    this.elements.mistralModel.value = settings.mistral.model;
+    this.elements.mistralTemperature.value = settings.mistral.temperature ?? '';
+    this.elements.mistralTimeout.value = settings.mistral.timeoutMs / 1000;
+    this.elements.openaiBaseUrl.value = settings.openaiCompatible.baseUrl;
+    this.elements.openaiKey.value = settings.openaiCompatible.apiKey;
+    this.elements.openaiModel.value = settings.openaiCompatible.model;
+    this.elements.openaiTemperature.value = settings.openaiCompatible.temperature ?? '';
+    this.elements.openaiTimeout.value = settings.openaiCompatible.timeoutMs / 1000;
+    this.elements.openaiJsonMode.checked = settings.openaiCompatible.jsonMode;
+    this.showProviderFields();
+    this.elements.llmDailyCap.value = settings.llmUsage.dailyCap;
+    this.elements.llmPrices.value = settings.llmUsage.prices
+      .map(price => `${price.model} ${price.input} ${price.output}`)
+      .join('\n');
+    this.loadLLMUsage();
+
+    this.elements.useYouTube.checked = settings.pipeline.useYouTube;
+    this.elements.useLLM.checked = settings.pipeline.useLLM;
+    this.elements.checkQueue.checked = settings.pipeline.checkQueue;
+    this.elements.checkPlaylists.checked = settings.pipeline.checkPlaylists;
+
+    this.elements.enforcementSelects.forEach(select => {
+      select.value = settings.enforcement[select.dataset.source];
+    });
+    this.elements.holdMaxSeconds.value = settings.hold.maxMs / 1000;
+    this.elements.holdFallback.value = settings.hold.fallback;
+    this.elements.reviewMinConfidence.value = Math.round(settings.review.minConfidence * 100);
+
+    this.elements.blockedCountries.value = settings.policy.blockedCountries.join(', ');
+    this.elements.allowedCountries.value = settings.policy.allowedCountries.join(', ');
+    this.elements.signalRules.innerHTML = '';
+    settings.policy.signalRules.forEach(rule => this.addSignalRule(rule));
+
+    this.elements.feedRefreshHours.value = settings.feeds.refreshHours;
+  }
+
+  loadLLMUsage() {
+    chrome.runtime.sendMessage({ type: 'GET_PROVIDER_STATUS' }, (response) => {
+      const usage = response && response.llmUsage;
+      if (!usage) return;
+      const format = (totals) => `${totals.lookups} lookups, ${(totals.promptTokens + totals.completionTokens).toLocaleString()} tokens, $${totals.cost.toFixed(2)}`;
+      this.elements.llmUsageSummary.textContent = `Today: ${format(usage.today)} · This month: ${format(usage.month)}`;
+    });
+  }
+
+  /**
+   * Parses the price table, one "model input output" line per model.
+   * @returns {Array<{model: string, input: number, output: number}>|null} null if a line is invalid
+   */
+  readPrices() {
+    const prices = [];
+    for (const line of this.elements.llmPrices.value.split('\n')) {
+      const parts = line.trim().split(/[\s,]+/).filter(Boolean);
+      if (parts.length === 0) continue;
+
+      const [model, input, output] = parts;
+      if (parts.length !== 3 || !(Number(input) >= 0) || !(Number(output) >= 0)) return null;
+      prices.push({ model, input: Number(input), output: Number(output) });
+    }
+    return prices;
+  }
+
+  /**
+   * Reads the action per verdict source.
+   * @returns {{manual: string, feed: string, signal: string, ai: string, uncertain: string}}
+   */
+  readEnforcement() {
+    const enforcement = {};
+    this.elements.enforcementSelects.forEach(select => {
+      enforcement[select.dataset.source] = select.value;
+    });
+    return enforcement;
+  }
+
+  /**
+   * Appends an editable signal rule row.
+   * @param {{id?: string, label?: string, pattern?: string, enabled?: boolean}} rule
+   */
+  addSignalRule(rule) {
+    const clone = this.elements.signalRuleTemplate.content.cloneNode(true);
+    const row = clone.querySelector('.signal-rule');
+
+    row.dataset.ruleId = rule.id || `rule_${crypto.randomUUID().slice(0, 8)}`;
+    row.querySelector('.rule-enabled').checked = rule.enabled !== false;
+    row.querySelector('.rule-label').value = rule.label || '';
+    row.querySelector('.rule-pattern').value = rule.pattern || '';
+    row.querySelector('.rule-delete').addEventListener('click', () => row.remove());
+
+    this.elements.signalRules.appendChild(clone);
+  }
+
+  /**
+   * Parses a comma-separated list of country codes.
+   * @param {string} value
+   * @returns {string[]} Upper-case two-letter codes, unknown entries dropped
+   */
+  parseCountryList(value) {
+    const codes = value.split(',')
+      .map(code => code.trim().toUpperCase())
+      .filter(code => /^[A-Z]{2}$/.test(code));
+    return [...new Set(codes)];
+  }
+
+  /**
+   * Reads the policy from the form.
+   * @returns {Object|null} Policy, or null if a signal rule pattern is not a valid RegExp
+   */
+  readPolicy() {
+    const rules = [];
+    let valid = true;
+
+    this.elements.signalRules.querySelectorAll('.signal-rule').forEach(row => {
+      const patternInput = row.querySelector('.rule-pattern');
+      const pattern = patternInput.value.trim();
+      patternInput.classList.remove('invalid');
+      if (!pattern) return;
+
+      try {
+        new RegExp(pattern, 'i');
+      } catch (e) {
+        patternInput.classList.add('invalid');
+        valid = false;
+        return;
+      }
+
+      rules.push({
+        id: row.dataset.ruleId,
+        label: row.querySelector('.rule-label').value.trim() || pattern,
+        pattern,
+        enabled: row.querySelector('.rule-enabled').checked
+      });
+    });
+
+    if (!valid) return null;
+
+    return {
+      blockedCountries: this.parseCountryList(this.elements.blockedCountries.value),
+      allowedCountries: this.parseCountryList(this.elements.allowedCountries.value),
+      signalRules: rules
+    };
+  }
+
+  showProviderFields() {
+    const selected = this.elements.llmProvider.value;
+    this.elements.providerFields.forEach(el => {
+      el.classList.toggle('hidden', el.dataset.providerFields !== selected);
+    });
+  }
+
+  /**
+   * Reads the provider config currently entered in the form.
+   * @param {string} providerId
+   */
+  readProviderConfig(providerId) {
+    const toNumber = (input) => input.value === '' ? null : Number(input.value);
+
+    if (providerId === 'openaiCompatible') {
+      return {
+        baseUrl: this.elements.openaiBaseUrl.value.trim(),
+        apiKey: this.elements.openaiKey.value.trim(),
+        model: this.elements.openaiModel.value.trim(),
+        temperature: toNumber(this.elements.openaiTemperature),
+        timeoutMs: (toNumber(this.elements.openaiTimeout) || 60) * 1000,
+        jsonMode: this.elements.openaiJsonMode.checked
+      };
+    }
+
+    return {
+      apiKey: this.elements.mistralKey.value.trim(),
+      model: this.elements.mistralModel.value.trim(),
+      temperature: toNumber(this.elements.mistralTemperature),
+      timeoutMs: (toNumber(this.elements.mistralTimeout) || 30) * 1000
+    };
+  }
+
+  /**
+   * Custom endpoints are not covered by the manifest's host permissions.
+   * Must be called directly from a click handler (user gesture).
+   *
+   * @returns {Promise<boolean>} Whether the origin of the custom base URL is accessible
+   */
+  requestEndpointPermission() {
+    let origin;
+    try {
+      origin = new URL(this.elements.openaiBaseUrl.value.trim()).origin;
+    } catch (e) {
+      return Promise.resolve(false);
+    }
+    return chrome.permissions.request({ origins: [`${origin}/*`] }).catch(() => false);
+  }
+
+  async save() {
+    const policyStatus = document.querySelector('[data-status-for="policy"]');
+    const policy = this.readPolicy();
+    policyStatus.className = 'field-status';
+    if (!policy) {
+      policyStatus.textContent = 'Invalid pattern. Fix the highlighted rules before saving.';
+      policyStatus.classList.add('invalid');
+      return;
+    }
+    policyStatus.textContent = '';
+
+    const prices = this.readPrices();
+    const pricesStatus = document.querySelector('[data-status-for="llm-prices"]');
+    pricesStatus.className = 'field-status';
+    if (!prices) {
+      pricesStatus.textContent = 'Each line needs a model name and two prices, e.g. "mistral-large-latest 2 6".';
+      pricesStatus.classList.add('invalid');
+      return;
+    }
+    pricesStatus.textContent = '';
+
+    const providerId = this.elements.llmProvider.value;
+    const permission = providerId === 'openaiCompatible'
+      ? this.requestEndpointPermission()
+      : Promise.resolve(true);
+
+    await SettingsManager.update({
+      youtube: {
+        apiKey: this.elements.youtubeKey.value.trim(),
+        dailyBudget: Math.max(Math.round(Number(this.elements.youtubeDailyBudget.value)) || 0, 0),
+        overBudget: this.elements.youtubeOverBudget.value
+      },
+      llmProvider: providerId,
+      mistral: this.readProviderConfig('mistral'),
+      openaiCompatible: this.readProviderConfig('openaiCompatible'),
+      llmUsage: {
+        dailyCap: Math.max(Number(this.elements.llmDailyCap.value) || 0, 0),
+        prices
+      },
+      pipeline: {
+        useYouTube: this.elements.useYouTube.checked,
+        useLLM: this.elements.useLLM.checked,
+        checkQueue: this.elements.checkQueue.checked,
+        checkPlaylists: this.elements.checkPlaylists.checked
+      },
+      enforcement: this.readEnforcement(),
+      hold: {
+        maxMs: Math.min(Math.max(Number(this.elements.holdMaxSeconds.value) || 20, 5), 60) * 1000,
+        fallback: this.elements.holdFallback.value
+      },
+      review: {
+        minConfidence: Math.min(Math.max(Number(this.elements.reviewMinConfidence.value) || 0, 0), 100) / 100
+      },
+      feeds: {
+        refreshHours: Math.min(Math.max(Math.round(Number(this.elements.feedRefreshHours.value)) || 12, 1), 168)
+      },
+      policy
+    });
+    chrome.runtime.sendMessage({ type: 'SCHEDULE_FEED_REFRESH' });
+
+    const granted = await permission;
+    this.elements.saveStatus.textContent = granted ? 'Saved' : 'Saved (endpoint access not granted)';
+    setTimeout(() => { this.elements.saveStatus.textContent = ''; }, 2000);
+  }
+
+  exportDatabase(format) {
+    chrome.runtime.sendMessage({ type: 'EXPORT_DATABASE', payload: { format } }, (response) => {
+      if (!response || !response.success) {
+        this.setImportStatus(`Export failed: ${(response && response.error) || 'no response'}`, 'invalid');
+        return;
+      }
+
+      const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = response.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+  }
+
+  /**
+   * Reads the selected file and asks the service worker for a dry run.
+   */
+  async previewImport() {
+    const file = this.elements.importFile.files[0];
+    if (!file) return;
+
+    this.pendingImport = {
+      text: await file.text(),
+      format: file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json'
+    };
+    this.setImportStatus('Checking file...');
+
+    chrome.runtime.sendMessage({ type: 'PREVIEW_IMPORT', payload: this.pendingImport }, (response) => {
+      if (!response || !response.success) {
+        this.setImportStatus(`Import failed: ${(response && response.error) || 'no response'}`, 'invalid');
+        return;
+      }
+
+      const { preview, errors } = response;
+      const total = preview.artists.added + preview.artists.updated + preview.songs.added + preview.songs.updated;
+
+      this.elements.importSummary.textContent =
+        `Artists: ${preview.artists.added} new, ${preview.artists.updated} updated, ${preview.artists.unchanged} unchanged. ` +
+        `Songs: ${preview.songs.added} new, ${preview.songs.updated} updated, ${preview.songs.unchanged} unchanged.` +
+        (errors.length > 0 ? ` ${errors.length} invalid record(s) will be skipped.` : '');
+      this.fillList(this.elements.importChanges, preview.changes);
+      this.fillList(this.elements.importErrors, errors);
+      this.elements.btnApplyImport.disabled = total === 0;
+      this.elements.importPreview.classList.remove('hidden');
+      this.setImportStatus('');
+    });
+  }
+
+  applyImport() {
+    if (!this.pendingImport) return;
+    this.elements.btnApplyImport.disabled = true;
+
+    chrome.runtime.sendMessage({ type: 'APPLY_IMPORT', payload: this.pendingImport }, (response) => {
+      if (!response || !response.success) {
+        this.elements.btnApplyImport.disabled = false;
+        this.setImportStatus(`Import failed: ${(response && response.error) || 'no response'}`, 'invalid');
+        return;
+      }
+
+      const { artists, songs } = response.result;
+      this.resetImport();
+      this.setImportStatus(
+        `Imported ${artists.added + artists.updated} artist(s) and ${songs.added + songs.updated} song(s).`,
+        'valid'
+      );
+    });
+  }
+
+  resetImport() {
+    this.pendingImport = null;
+    this.elements.importFile.value = '';
+    this.elements.importPreview.classList.add('hidden');
+    this.setImportStatus('');
+  }
+
+  fillList(listEl, lines) {
+    listEl.innerHTML = '';
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      listEl.appendChild(item);
+    });
+  }
+
+  setImportStatus(text, state) {
+    const statusEl = document.querySelector('[data-status-for="import"]');
+    statusEl.className = 'field-status';
+    if (state) statusEl.classList.add(state);
+    statusEl.textContent = text;
+  }
+
+  loadFeeds() {
+    chrome.runtime.sendMessage({ type: 'GET_FEEDS' }, (response) => {
+      this.renderFeeds((response && response.feeds) || []);
+    });
+  }
+
+  renderFeeds(feeds) {
+    this.elements.feedList.innerHTML = '';
+
+    if (feeds.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'feed-empty';
+      empty.textContent = 'No subscriptions yet.';
+      this.elements.feedList.appendChild(empty);
+      return;
+    }
+
+    feeds.forEach(feed => {
+      const clone = this.elements.feedItemTemplate.content.cloneNode(true);
+      const item = clone.querySelector('.feed-item');
+      const checked = feed.lastChecked ? new Date(feed.lastChecked).toLocaleString() : 'never';
+
+      item.querySelector('.feed-name').textContent = feed.name || feed.url;
+      item.querySelector('.feed-meta').textContent =
+        `${feed.url || `File: ${feed.fileName || 'local'}`} · ${feed.artistCount} artist(s) · ` +
+        `revision ${feed.revision ?? '-'} · checked ${checked}`;
+      item.querySelector('.feed-error').textContent = feed.lastError || '';
+
+      const refreshBtn = item.querySelector('.feed-refresh');
+      if (feed.url) {
+        refreshBtn.addEventListener('click', () => this.refreshFeeds(feed.id, refreshBtn));
+      } else {
+        refreshBtn.remove(); // Reload the file to update it
+      }
+      item.querySelector('.feed-remove').addEventListener('click', () => this.unsubscribeFeed(feed));
+
+      this.elements.feedList.appendChild(clone);
+    });
+  }
+
+  /**
+   * Feed hosts are not covered by the manifest's host permissions.
+   * Called from the click handler so the permission request has a user gesture.
+   */
+  subscribeFeedUrl() {
+    const value = this.elements.feedUrl.value.trim();
+    let url;
+    try {
+      url = new URL(value);
+    } catch (e) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      this.setFeedStatus('Enter an http(s) URL.', 'invalid');
+      return;
+    }
+
+    this.elements.btnSubscribeFeed.disabled = true;
+    chrome.permissions.request({ origins: [`${url.origin}/*`] }).catch(() => false).then(granted => {
+      if (!granted) {
+        this.elements.btnSubscribeFeed.disabled = false;
+        this.setFeedStatus('Access to the feed host was not granted.', 'invalid');
+        return;
+      }
+
+      this.setFeedStatus('Downloading feed...');
+      this.sendFeedSubscription({ url: url.href });
+    });
+  }
+
+  async subscribeFeedFile() {
+    const file = this.elements.feedFile.files[0];
+    if (!file) return;
+
+    this.setFeedStatus('Loading feed...');
+    this.sendFeedSubscription({ fileName: file.name, text: await file.text() });
+  }
+
+  sendFeedSubscription(payload) {
+    chrome.runtime.sendMessage({ type: 'SUBSCRIBE_FEED', payload }, (response) => {
+      this.elements.btnSubscribeFeed.disabled = false;
+      this.elements.feedFile.value = '';
+
+      if (!response || !response.success) {
+        this.setFeedStatus(`Subscription failed: ${(response && response.error) || 'no response'}`, 'invalid');
+        return;
+      }
+
+      this.elements.feedUrl.value = '';
+      this.setFeedStatus(`Subscribed to "${response.feed.name}" (${response.feed.artistCount} artists).`, 'valid');
+      this.loadFeeds();
+    });
+  }
+
+  /**
+   * @param {string} [feedId] - Omit to refresh all URL feeds
+   * @param {HTMLButtonElement} [button]
+   */
+  refreshFeeds(feedId, button = this.elements.btnRefreshFeeds) {
+    button.disabled = true;
+    this.setFeedStatus('Checking for updates...');
+
+    chrome.runtime.sendMessage({ type: 'REFRESH_FEEDS', payload: { id: feedId } }, (response) => {
+      button.disabled = false;
+      if (!response || !response.success) {
+        this.setFeedStatus(`Refresh failed: ${(response && response.error) || 'no response'}`, 'invalid');
+        return;
+      }
+      this.setFeedStatus('');
+      this.renderFeeds(response.feeds);
+    });
+  }
+
+  unsubscribeFeed(feed) {
+    if (!confirm(`Unsubscribe from "${feed.name}"? Its artists will be removed.`)) return;
+
+    chrome.runtime.sendMessage({ type: 'UNSUBSCRIBE_FEED', payload: { id: feed.id } }, (response) => {
+      if (!response || !response.success) {
+        this.setFeedStatus(`Unsubscribe failed: ${(response && response.error) || 'no response'}`, 'invalid');
+        return;
+      }
+      this.loadFeeds();
+    });
+  }
+
+  setFeedStatus(text, state) {
+    const statusEl = document.querySelector('[data-status-for="feeds"]');
+    statusEl.className = 'field-status';
+    if (state) statusEl.classList.add(state);
+    statusEl.textContent = text;
+  }
+
+  /**
+   * @param {{text: string, state: string}} [status] - Shown instead of the entry count
+   */
+  loadCache(status) {
+    chrome.runtime.sendMessage({ type: 'GET_SEARCH_CACHE' }, (response) => {
+      this.cacheEntries = (response && response.entries) || [];
+      this.renderCache();
+      if (status) this.setCacheStatus(status.text, status.state);
+    });
+  }
+
+  renderCache() {
+    const MAX_SHOWN = 100;
+    const filter = this.elements.cacheSearch.value.trim().toLowerCase();
+    const entries = this.cacheEntries.filter(entry => !filter ||
+      [entry.name, entry.channelId, entry.state, entry.error].some(text => text && text.toLowerCase().includes(filter)));
+
+    this.elements.cacheList.innerHTML = '';
+    this.setCacheStatus(entries.length > MAX_SHOWN
+      ? `${entries.length} of ${this.cacheEntries.length} entries, showing the ${MAX_SHOWN} most recently used.`
+      : `${entries.length} of ${this.cacheEntries.length} entries.`);
+
+    entries.slice(0, MAX_SHOWN).forEach(entry => {
+      const clone = this.elements.cacheItemTemplate.content.cloneNode(true);
+      const item = clone.querySelector('.cache-item');
+      const result = entry.data && entry.data.results && entry.data.results[0];
+
+      const meta = [entry.state];
+      if (entry.query.startsWith('channel:')) meta.push(`channel ${entry.channelId}`);
+      meta.push(`updated ${new Date(entry.timestamp).toLocaleString()}`);
+      if (result) meta.push(`${result.canonicalName}${result.country ? ` (${result.country})` : ''}`);
+      if (entry.retries) meta.push(`${entry.retries} failure(s)`);
+      if (entry.state === 'failed' && entry.retryAt > Date.now()) {
+        meta.push(`next try ${new Date(entry.retryAt).toLocaleString()}`);
+      }
+
+      item.querySelector('.cache-query').textContent = entry.name;
+      item.querySelector('.cache-meta').textContent = meta.join(' · ');
+      item.querySelector('.cache-error').textContent = entry.state === 'failed' ? entry.error || '' : '';
+
+      const rerunBtn = item.querySelector('.cache-rerun');
+      rerunBtn.disabled = entry.state === 'pending';
+      rerunBtn.addEventListener('click', () => this.rerunCacheEntry(entry.name, rerunBtn));
+      item.querySelector('.cache-purge').addEventListener('click', () => this.purgeCacheEntry(entry.query));
+
+      this.elements.cacheList.appendChild(clone);
+    });
+  }
+
+  rerunCacheEntry(artist, button) {
+    button.disabled = true;
+    this.setCacheStatus(`Looking up "${artist}"...`);
+    chrome.runtime.sendMessage({ type: 'RERUN_SEARCH', payload: { artist } }, (response) => {
+      if (!response || !response.success) {
+        this.loadCache({ text: `Lookup failed: ${(response && response.error) || 'no response'}`, state: 'invalid' });
+      } else {
+        this.loadCache({ text: response.found ? `"${artist}" identified.` : `No result for "${artist}".`, state: 'valid' });
+      }
+    });
+  }
+
+  /**
+   * @param {string} key - Cache key (SEARCH_CACHE_KEYS)
+   */
+  purgeCacheEntry(key) {
+    chrome.runtime.sendMessage({ type: 'PURGE_SEARCH_CACHE_ENTRY', payload: { key } }, (response) => {
+      if (!response || !response.success) {
+        this.setCacheStatus(`Remove failed: ${(response && response.error) || 'no response'}`, 'invalid');
+        return;
+      }
+      this.loadCache();
+    });
+  }
+
+  setCacheStatus(text, state) {
+    const statusEl = document.querySelector('[data-status-for="cache"]');
+    statusEl.className = 'field-status';
+    if (state) statusEl.classList.add(state);
+    statusEl.textContent = text;
+  }
+
+  testKey(provider, apiKey, button) {
+    const statusEl = document.querySelector(`[data-status-for="${provider}"]`);
+    statusEl.className = 'field-status';
+
+    if (!apiKey) {
+      statusEl.textContent = 'Enter a key first.';
+      statusEl.classList.add('invalid');
+      return;
+    }
+
+    button.disabled = true;
+    statusEl.textContent = 'Testing...';
+
+    chrome.runtime.sendMessage({ type: 'TEST_API_KEY', payload: { provider, apiKey } }, (response) => {
+      button.disabled = false;
+      this.showTestResult(statusEl, response, 'Key is valid.');
+    });
+  }
+
+  testLLMProvider() {
+    const providerId = this.elements.llmProvider.value;
+    const statusEl = document.querySelector('[data-status-for="llm"]');
+    const permission = providerId === 'openaiCompatible'
+      ? this.requestEndpointPermission()
+      : Promise.resolve(true);
+
+    statusEl.className = 'field-status';
+    statusEl.textContent = 'Testing...';
+    this.elements.btnTestLLM.disabled = true;
+
+    permission.then(granted => {
+      if (!granted) {
+        this.elements.btnTestLLM.disabled = false;
+        this.showTestResult(statusEl, { valid: false, error: 'Access to the endpoint was not granted' });
+        return;
+      }
+
+      chrome.runtime.sendMessage({
+        type: 'TEST_LLM_PROVIDER',
+        payload: { providerId, config: this.readProviderConfig(providerId) }
+      }, (response) => {
+        this.elements.btnTestLLM.disabled = false;
+        this.showTestResult(statusEl, response, 'Connection OK.');
+      });
+    });
+  }
+
+  showTestResult(statusEl, response, successText) {
+    statusEl.className = 'field-status';
+    if (response && response.valid) {
+      statusEl.textContent = successText;
+      statusEl.classList.add('valid');
+    } else {
+      statusEl.textContent = `Failed: ${(response && response.error) || 'no response'}`;
+      statusEl.classList.add('invalid');
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
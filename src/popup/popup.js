@@ -9,19 +9,63 @@ class PopupController {
       artworkImg: document.getElementById('artwork-img'),
       artworkPlaceholder: document.getElementById('artwork-placeholder'),
       statusBadge: document.getElementById('status-badge'),
+      btnWhyCurrent: document.getElementById('btn-why-current'),
+      whyCurrent: document.getElementById('why-current'),
       btnBlockCurrent: document.getElementById('btn-block-current'),
+      btnAllowSong: document.getElementById('btn-allow-song'),
+      btnBlockSong: document.getElementById('btn-block-song'),
       recentList: document.getElementById('recent-list'),
       btnSeeAll: document.getElementById('btn-see-all'),
       searchContainer: document.getElementById('search-container'),
       searchInput: document.getElementById('search-input'),
       btnCloseSearch: document.getElementById('btn-close-search'),
-      template: document.getElementById('artist-item-template')
+      template: document.getElementById('artist-item-template'),
+      reviewCard: document.getElementById('playlist-review-card'),
+      reviewName: document.getElementById('playlist-review-name'),
+      reviewList: document.getElementById('playlist-review-list'),
+      btnRemoveSelected: document.getElementById('btn-remove-selected'),
+      removalsList: document.getElementById('playlist-removals'),
+      reviewTemplate: document.getElementById('review-item-template'),
+      removalTemplate: document.getElementById('removal-item-template'),
+      verdictReviewCard: document.getElementById('verdict-review-card'),
+      verdictReviewCount: document.getElementById('verdict-review-count'),
+      verdictReviewList: document.getElementById('verdict-review-list'),
+      verdictReviewTemplate: document.getElementById('verdict-review-template'),
+      tabButtons: document.querySelectorAll('.tab-btn'),
+      historyList: document.getElementById('history-list'),
+      historySearch: document.getElementById('history-search'),
+      historyOutcome: document.getElementById('history-outcome'),
+      historyTemplate: document.getElementById('history-item-template'),
+      modeBanner: document.getElementById('mode-banner'),
+      quotaBar: document.getElementById('quota-bar'),
+      quotaText: document.getElementById('quota-text'),
+      llmUsageBar: document.getElementById('llm-usage-bar'),
+      llmUsageText: document.getElementById('llm-usage-text'),
+      btnOpenOptions: document.getElementById('btn-open-options'),
+      recentCard: document.querySelector('.recent-card'),
+      detailCard: document.getElementById('artist-detail-card'),
+      detailName: document.getElementById('detail-name'),
+      detailSource: document.getElementById('detail-source'),
+      detailWhy: document.getElementById('detail-why'),
+      detailAliases: document.getElementById('detail-aliases'),
+      detailCountry: document.getElementById('detail-country'),
+      detailComment: document.getElementById('detail-comment'),
+      detailMerge: document.getElementById('detail-merge'),
+      detailMergeOptions: document.getElementById('detail-merge-options'),
+      detailStatus: document.getElementById('detail-status'),
+      btnCloseDetail: document.getElementById('btn-close-detail'),
+      btnSaveDetail: document.getElementById('btn-save-detail'),
+      btnDeleteDetail: document.getElementById('btn-delete-detail'),
+      btnMergeDetail: document.getElementById('btn-merge-detail')
     };
 
     this.currentState = null;
     this.allArtists = []; // Store all fetched artists
     this.isExpanded = false;
     this.isSearchActive = false;
+    this.decisionLog = [];
+    this.activeTab = 'recent';
+    this.detailArtist = null; // Artist shown in the detail view
     
     this.init();
   }
@@ -30,14 +74,43 @@ class PopupController {
     // Request current state from background
     this.requestState();
     this.requestHistory();
+    this.requestPlaylistReview();
+    this.requestProviderStatus();
 
     // Listen for updates
     chrome.runtime.onMessage.addListener((message) => {
       if (message.type === 'STATE_UPDATE' || message.type === 'SONG_CHANGED') {
+        // Each YouTube Music tab reports its own song; stick to the one shown
+        if (!this.isShownTab(message.payload)) return;
         this.updateUI(message.payload);
         // Also refresh history as it might have changed
         this.requestHistory();
       }
+      if (message.type === 'PLAYLIST_REVIEW_UPDATE') {
+        this.requestPlaylistReview();
+      }
+      if (message.type === 'DECISION_LOG_UPDATED' && this.activeTab === 'history') {
+        this.requestDecisionLog();
+      }
+    });
+
+    // Tabs
+    this.elements.tabButtons.forEach(btn => {
+        btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
+    });
+
+    // History filters
+    this.elements.historySearch.addEventListener('input', () => this.renderHistory());
+    this.elements.historyOutcome.addEventListener('change', () => this.renderHistory());
+
+    // Settings
+    this.elements.btnOpenOptions.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    // Remove confirmed playlist rows
+    this.elements.btnRemoveSelected.addEventListener('click', () => {
+        this.removeSelectedPlaylistItems();
     });
 
     // Bind controls
@@ -50,6 +123,29 @@ class PopupController {
         }
     });
 
+    // Song-level verdicts (override the artist verdict for this exact song)
+    this.elements.btnAllowSong.addEventListener('click', () => {
+        if (this.currentState && this.currentState.title) {
+            this.sendCommand('ALLOW_SONG', { title: this.currentState.title, artist: this.currentState.artist });
+        }
+    });
+    this.elements.btnBlockSong.addEventListener('click', () => {
+        if (this.currentState && this.currentState.title) {
+            this.sendCommand('BLOCK_SONG', { title: this.currentState.title, artist: this.currentState.artist });
+        }
+    });
+
+    // Why? (evidence behind the current song's status)
+    this.elements.btnWhyCurrent.addEventListener('click', () => {
+        this.elements.whyCurrent.classList.toggle('hidden');
+    });
+
+    // Artist detail view
+    this.elements.btnCloseDetail.addEventListener('click', () => this.closeArtistDetail());
+    this.elements.btnSaveDetail.addEventListener('click', () => this.saveArtistDetail());
+    this.elements.btnDeleteDetail.addEventListener('click', () => this.deleteDetailArtist());
+    this.elements.btnMergeDetail.addEventListener('click', () => this.mergeIntoDetailArtist());
+
     // Expand / See All
     this.elements.btnSeeAll.addEventListener('click', () => {
         this.toggleExpand();
@@ -67,22 +163,249 @@ class PopupController {
   }
 
   requestState() {
-    chrome.runtime.sendMessage({ type: 'GET_CURRENT_STATE' }, (response) => {
-      if (response) {
-        this.updateUI(response);
-      }
+    // The background picks the state of this window's active tab, or of the last tab that played
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tabId = tabs && tabs[0] ? tabs[0].id : null;
+      chrome.runtime.sendMessage({ type: 'GET_CURRENT_STATE', payload: { tabId } }, (response) => {
+        if (response) {
+          this.updateUI(response);
+        }
+      });
     });
   }
 
+  isShownTab(state) {
+    if (!state || !this.currentState || !this.currentState.title) return true;
+    return state.tabId === this.currentState.tabId;
+  }
+
   requestHistory() {
     chrome.runtime.sendMessage({ type: 'GET_ARTIST_HISTORY' }, (response) => {
         if (response && response.all) {
             this.allArtists = response.all;
             this.renderRecentList(this.elements.searchInput.value.trim());
+            this.renderVerdictReview();
+        }
+    });
+  }
+
+  requestProviderStatus() {
+    chrome.runtime.sendMessage({ type: 'GET_PROVIDER_STATUS' }, (response) => {
+        if (response) {
+            this.elements.modeBanner.classList.toggle('hidden', !response.localOnly);
+            this.renderQuota(response.youtubeQuota);
+            this.renderLLMUsage(response.llmUsage);
+        }
+    });
+  }
+
+  /**
+   * Shows the YouTube quota left within today's budget.
+   * @param {Object|null} quota - YouTubeQuota.getStatus() result
+   */
+  renderQuota(quota) {
+    this.elements.quotaBar.classList.toggle('hidden', !quota);
+    if (!quota) return;
+
+    const hours = Math.max(Math.ceil((quota.resetsAt - Date.now()) / (60 * 60 * 1000)), 1);
+    const left = quota.exhausted
+      ? 'used up'
+      : `${quota.remaining.toLocaleString()} of ${quota.budget.toLocaleString()} left`;
+    this.elements.quotaText.textContent = `${left} · resets in ${hours}h`;
+    this.elements.quotaBar.classList.toggle('low', quota.remaining < quota.budget * 0.1);
+    this.elements.quotaBar.title = quota.overBudget === 'defer'
+      ? 'Lookups are postponed once the budget is spent'
+      : 'Artists are identified by the LLM alone once the budget is spent';
+  }
+
+  /**
+   * Shows today's estimated LLM spend against the daily cap.
+   * @param {Object|null} usage - LLMUsage.getStatus() result
+   */
+  renderLLMUsage(usage) {
+    this.elements.llmUsageBar.classList.toggle('hidden', !usage);
+    if (!usage) return;
+
+    const today = `$${usage.today.cost.toFixed(2)}`;
+    this.elements.llmUsageText.textContent = usage.dailyCap > 0
+      ? `${today} of $${usage.dailyCap.toFixed(2)} today`
+      : `${today} today`;
+    this.elements.llmUsageBar.classList.toggle('low', usage.capReached);
+    this.elements.llmUsageBar.title = `This month: $${usage.month.cost.toFixed(2)}, ` +
+      `${(usage.month.promptTokens + usage.month.completionTokens).toLocaleString()} tokens in ${usage.month.lookups} lookups`;
+  }
+
+  switchTab(tab) {
+    this.activeTab = tab;
+    this.elements.tabButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+        panel.classList.toggle('hidden', panel.id !== `tab-${tab}`);
+    });
+
+    if (tab === 'history') {
+        this.requestDecisionLog();
+    }
+  }
+
+  requestDecisionLog() {
+    chrome.runtime.sendMessage({ type: 'GET_DECISION_LOG' }, (response) => {
+        if (response && response.logs) {
+            this.decisionLog = response.logs;
+            this.renderHistory();
+        }
+    });
+  }
+
+  renderHistory() {
+      const container = this.elements.historyList;
+      const query = this.elements.historySearch.value.trim().toLowerCase();
+      const outcome = this.elements.historyOutcome.value;
+
+      const filtered = this.decisionLog.filter(entry => {
+          if (outcome && entry.outcome !== outcome) return false;
+          if (!query) return true;
+          return [entry.artist, entry.title, entry.reason, entry.step]
+              .some(field => (field || '').toLowerCase().includes(query));
+      });
+
+      container.innerHTML = '';
+      if (filtered.length === 0) {
+          container.innerHTML = '<div class="empty-state">No matching decisions</div>';
+          return;
+      }
+
+      filtered.forEach(entry => {
+          const clone = this.elements.historyTemplate.content.cloneNode(true);
+          const outcomeEl = clone.querySelector('.history-outcome');
+          const songText = `${entry.artist} - ${entry.title}`;
+          const time = new Date(entry.timestamp).toLocaleString();
+
+          clone.querySelector('.history-song').textContent = songText;
+          clone.querySelector('.history-song').title = songText;
+          outcomeEl.textContent = entry.outcome || 'n/a';
+          if (entry.outcome) outcomeEl.classList.add(entry.outcome);
+          clone.querySelector('.history-meta').textContent =
+              [time, entry.step, entry.blockMode].filter(Boolean).join(' · ');
+          clone.querySelector('.history-reason').textContent = entry.reason || '';
+          container.appendChild(clone);
+      });
+  }
+
+  /**
+   * Lists LLM verdicts waiting for review. Confirming or flipping one stores it as a manual verdict.
+   */
+  renderVerdictReview() {
+      const pending = this.allArtists.filter(artist =>
+          artist.needsReview && artist.addedBy !== 'user_block' && artist.addedBy !== 'user_allow');
+
+      this.elements.verdictReviewList.innerHTML = '';
+      this.elements.verdictReviewCount.textContent = pending.length > 0 ? `${pending.length} unsure` : '';
+
+      pending.forEach(artist => {
+          const clone = this.elements.verdictReviewTemplate.content.cloneNode(true);
+          const suggested = artist.verdict === 'block' ? 'block' : 'allow';
+          const flipped = suggested === 'block' ? 'allow' : 'block';
+          const confidence = typeof artist.confidence === 'number'
+              ? `${Math.round(artist.confidence * 100)}% sure`
+              : 'confidence unknown';
+
+          clone.querySelector('.review-title').textContent = artist.name;
+          clone.querySelector('.review-meta').textContent =
+              [`AI says ${suggested}`, confidence, artist.country].filter(Boolean).join(' · ');
+          clone.querySelector('.review-rationale').textContent = artist.rationale || '';
+          clone.querySelector('.review-item').title = artist.rationale || '';
+
+          const btnConfirm = clone.querySelector('.review-confirm');
+          const btnFlip = clone.querySelector('.review-flip');
+          btnConfirm.classList.add(`btn-action-${suggested}`);
+          btnConfirm.title = `Confirm: ${suggested} this artist`;
+          btnFlip.classList.add(`btn-action-${flipped}`);
+          btnFlip.title = `Flip: ${flipped} this artist`;
+
+          const review = (verdict) => {
+              btnConfirm.disabled = true;
+              btnFlip.disabled = true;
+              this.sendCommand(verdict === 'block' ? 'BLOCK_ARTIST' : 'ALLOW_ARTIST', { artist: artist.name });
+          };
+          btnConfirm.addEventListener('click', () => review(suggested));
+          btnFlip.addEventListener('click', () => review(flipped));
+
+          this.elements.verdictReviewList.appendChild(clone);
+      });
+
+      this.elements.verdictReviewCard.classList.toggle('hidden', pending.length === 0);
+  }
+
+  requestPlaylistReview() {
+    chrome.runtime.sendMessage({ type: 'GET_PLAYLIST_REVIEW' }, (response) => {
+        if (response) {
+            this.renderPlaylistReview(response.review, response.removals || []);
+        }
+    });
+  }
+
+  removeSelectedPlaylistItems() {
+    const checked = this.elements.reviewList.querySelectorAll('.review-check:checked');
+    const items = Array.from(checked).map(input => ({
+        title: input.dataset.title,
+        artist: input.dataset.artist
+    }));
+    if (items.length === 0) return;
+
+    this.elements.btnRemoveSelected.disabled = true;
+    this.elements.btnRemoveSelected.textContent = 'Removing...';
+    chrome.runtime.sendMessage({ type: 'REMOVE_PLAYLIST_ITEMS', payload: { items } }, (response) => {
+        this.elements.btnRemoveSelected.disabled = false;
+        this.elements.btnRemoveSelected.textContent = 'Remove Selected';
+        if (response && response.failed > 0) {
+            console.warn(`${response.failed} playlist rows could not be removed.`);
         }
+        this.requestPlaylistReview();
     });
   }
 
+  renderPlaylistReview(review, removals) {
+      const items = (review && review.items) || [];
+      const recentRemovals = removals.slice(0, 3);
+
+      this.elements.reviewList.innerHTML = '';
+      this.elements.removalsList.innerHTML = '';
+      this.elements.reviewName.textContent = (review && review.playlistTitle) || '';
+
+      items.forEach(item => {
+          const clone = this.elements.reviewTemplate.content.cloneNode(true);
+          const check = clone.querySelector('.review-check');
+          check.dataset.title = item.title;
+          check.dataset.artist = item.artist;
+          clone.querySelector('.review-title').textContent = item.title;
+          clone.querySelector('.review-meta').textContent = `${item.artist} · ${item.reason}`;
+          this.elements.reviewList.appendChild(clone);
+      });
+
+      recentRemovals.forEach(removal => {
+          const clone = this.elements.removalTemplate.content.cloneNode(true);
+          const btnUndo = clone.querySelector('button');
+          clone.querySelector('.review-title').textContent = removal.title;
+          clone.querySelector('.review-meta').textContent = `Removed from ${removal.playlistTitle || 'playlist'}`;
+          btnUndo.addEventListener('click', () => {
+              btnUndo.disabled = true;
+              btnUndo.textContent = '...';
+              chrome.runtime.sendMessage({ type: 'UNDO_PLAYLIST_REMOVAL', payload: { id: removal.id } }, (response) => {
+                  if (!response || !response.success) {
+                      console.warn('Undo failed:', response && response.error);
+                  }
+                  this.requestPlaylistReview();
+              });
+          });
+          this.elements.removalsList.appendChild(clone);
+      });
+
+      this.elements.btnRemoveSelected.classList.toggle('hidden', items.length === 0);
+      this.elements.reviewCard.classList.toggle('hidden', items.length === 0 && recentRemovals.length === 0);
+  }
+
   sendCommand(command, payload) {
     chrome.runtime.sendMessage({ type: command, payload: payload || this.currentState });
     // Optimistically update history request shortly after
@@ -91,7 +414,9 @@ class PopupController {
 
   updateUI(state) {
     if (!state) return;
+    const songChanged = !this.currentState || this.currentState.title !== state.title;
     this.currentState = state;
+    this.renderCurrentWhy(state, songChanged);
 
     // Update Text
     this.elements.songTitle.textContent = state.title || 'No song detected';
@@ -113,6 +438,8 @@ class PopupController {
     badge.className = 'status-badge'; // Reset classes
     badge.classList.remove('hidden');
 
+    this.updateSongVerdictButtons(state);
+
     if (!state.title) {
         badge.classList.add('hidden');
         this.elements.btnBlockCurrent.disabled = true;
@@ -130,6 +457,10 @@ class PopupController {
       statusText.textContent = 'Safe';
       badge.classList.add('safe');
       this.elements.btnBlockCurrent.innerHTML = '<span class="icon-warning"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg></span> Block Artist';
+    } else if (state.status === 'review') {
+      statusText.textContent = 'Needs review';
+      badge.classList.add('review');
+      this.elements.btnBlockCurrent.innerHTML = '<span class="icon-warning"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg></span> Block Artist';
     } else if (state.status === 'pending') {
       statusText.textContent = 'Checking...';
       badge.classList.add('pending');
@@ -144,6 +475,215 @@ class PopupController {
     this.renderRecentList(this.elements.searchInput.value.trim());
   }
 
+  /**
+   * Fills the "Why?" panel of the current song from the decision behind its status.
+   * @param {Object} state - Tab song state
+   * @param {boolean} songChanged - Collapse the panel for a new song
+   */
+  renderCurrentWhy(state, songChanged) {
+      const { btnWhyCurrent, whyCurrent } = this.elements;
+      const why = state.title ? state.why : null;
+
+      btnWhyCurrent.classList.toggle('hidden', !why);
+      if (songChanged || !why) whyCurrent.classList.add('hidden');
+      whyCurrent.innerHTML = '';
+      if (!why) return;
+
+      this.appendWhyLine(whyCurrent, why.reason, 'why-title');
+      why.artists.forEach(artist => {
+          this.appendWhyLine(whyCurrent, artist.name, 'why-title');
+          this.describeVerdict(artist).forEach(line => this.appendWhyLine(whyCurrent, line.text, line.className));
+      });
+  }
+
+  appendWhyLine(container, text, className) {
+      const line = document.createElement('span');
+      line.textContent = text;
+      if (className) line.className = className;
+      container.appendChild(line);
+  }
+
+  /**
+   * What an artist's verdict rests on: who set it and, for lookups, the channel signals
+   * and the model's reasoning.
+   *
+   * @param {Object} artist - Artist record (or its summary in a decision)
+   * @returns {Array<{text: string, className?: string}>}
+   */
+  describeVerdict(artist) {
+      const lines = [];
+      const verdict = artist.verdict === 'block' ? 'Blocked' : 'Allowed';
+
+      if (artist.addedBy === 'user_block' || artist.addedBy === 'user_allow') {
+          lines.push({ text: `${verdict} by you` });
+      } else if (artist.addedBy === 'feed') {
+          lines.push({ text: `${verdict} by the shared blocklist${artist.feedName ? ` "${artist.feedName}"` : ''}` });
+      } else if (artist.addedBy === 'import') {
+          lines.push({ text: `${verdict} by an import` });
+      }
+
+      const evidence = artist.evidence;
+      if (evidence) {
+          const by = evidence.provider === 'youtube'
+              ? 'YouTube channel signals'
+              : [evidence.provider, evidence.model].filter(Boolean).join(' · ');
+          const confidence = typeof artist.confidence === 'number' ? `, ${Math.round(artist.confidence * 100)}% sure` : '';
+          const action = artist.addedBy === 'search' ? `${verdict} after a lookup` : 'Looked up';
+          lines.push({ text: `${action} via ${by} on ${new Date(evidence.resolvedAt).toLocaleDateString()}${confidence}` });
+          if (evidence.reason) lines.push({ text: evidence.reason });
+
+          const channel = evidence.channel;
+          if (channel) {
+              lines.push({ text: `Channel: ${channel.title}${channel.country ? ` (${channel.country})` : ''} · ${channel.id}` });
+              if (channel.signals.length > 0) {
+                  lines.push({ text: `Signals: ${channel.signals.map(signal => signal.label).join(', ')}` });
+              }
+              if (channel.descriptionExcerpt) {
+                  lines.push({ text: `"${channel.descriptionExcerpt}"`, className: 'why-quote' });
+              }
+          }
+      } else if (artist.addedBy === 'search') {
+          lines.push({ text: `${verdict} by a lookup (no evidence recorded)` });
+      }
+
+      if (artist.country) lines.push({ text: `Country: ${artist.country}` });
+      return lines;
+  }
+
+  /**
+   * Shows the detail view of an artist in place of the artist list.
+   * @param {Object} artist - Artist record
+   */
+  openArtistDetail(artist) {
+      const el = this.elements;
+      this.detailArtist = artist;
+
+      el.detailName.textContent = artist.name;
+      el.detailName.title = artist.name;
+      el.detailSource.textContent = artist.lastPlayed
+          ? `Last played ${new Date(artist.lastPlayed).toLocaleString()}`
+          : 'Not played yet';
+
+      el.detailWhy.innerHTML = '';
+      this.describeVerdict(artist).forEach(line => this.appendWhyLine(el.detailWhy, line.text, line.className));
+      el.detailWhy.classList.toggle('hidden', !el.detailWhy.hasChildNodes());
+
+      el.detailAliases.value = (artist.aliases || []).join('\n');
+      el.detailCountry.value = artist.country || '';
+      el.detailComment.value = artist.comment || '';
+      el.detailMerge.value = '';
+      el.detailMergeOptions.innerHTML = '';
+      this.allArtists
+          .filter(other => other.id !== artist.id)
+          .forEach(other => {
+              const option = document.createElement('option');
+              option.value = other.name;
+              el.detailMergeOptions.appendChild(option);
+          });
+
+      this.resetDeleteButton();
+      this.setDetailStatus('');
+      el.detailCard.classList.remove('hidden');
+      el.recentCard.classList.add('hidden');
+  }
+
+  closeArtistDetail() {
+      this.detailArtist = null;
+      this.elements.detailCard.classList.add('hidden');
+      this.elements.recentCard.classList.remove('hidden');
+  }
+
+  saveArtistDetail() {
+      const el = this.elements;
+      if (!this.detailArtist) return;
+
+      const changes = {
+          aliases: el.detailAliases.value.split('\n'),
+          country: el.detailCountry.value.trim(),
+          comment: el.detailComment.value
+      };
+      this.sendDetailCommand('UPDATE_ARTIST', { id: this.detailArtist.id, changes }, 'Saved');
+  }
+
+  deleteDetailArtist() {
+      const btn = this.elements.btnDeleteDetail;
+      if (!this.detailArtist) return;
+
+      // Second click confirms
+      if (!btn.dataset.armed) {
+          btn.dataset.armed = 'true';
+          btn.textContent = 'Really delete?';
+          return;
+      }
+
+      this.resetDeleteButton();
+      chrome.runtime.sendMessage({ type: 'DELETE_ARTIST', payload: { id: this.detailArtist.id } }, (response) => {
+          if (!response || !response.success) {
+              this.setDetailStatus(`Delete failed: ${(response && response.error) || 'no response'}`, true);
+              return;
+          }
+          this.closeArtistDetail();
+          this.requestHistory();
+      });
+  }
+
+  resetDeleteButton() {
+      delete this.elements.btnDeleteDetail.dataset.armed;
+      this.elements.btnDeleteDetail.textContent = 'Delete';
+  }
+
+  mergeIntoDetailArtist() {
+      if (!this.detailArtist) return;
+
+      const name = this.elements.detailMerge.value.trim();
+      const duplicate = this.allArtists.find(other => other.id !== this.detailArtist.id && other.name === name);
+      if (!duplicate) {
+          this.setDetailStatus(name ? `No other record named "${name}"` : 'Pick the record to merge', true);
+          return;
+      }
+
+      this.sendDetailCommand('MERGE_ARTISTS', { keepId: this.detailArtist.id, mergeId: duplicate.id }, `Merged "${duplicate.name}"`);
+  }
+
+  /**
+   * Sends an edit of the shown artist and shows the updated record.
+   */
+  sendDetailCommand(type, payload, successText) {
+      chrome.runtime.sendMessage({ type, payload }, (response) => {
+          if (!response || !response.success) {
+              this.setDetailStatus(`Failed: ${(response && response.error) || 'no response'}`, true);
+              return;
+          }
+          // Show the result right away; the full list follows with requestHistory
+          this.allArtists = this.allArtists
+              .filter(artist => artist.id !== payload.mergeId)
+              .map(artist => artist.id === response.artist.id ? response.artist : artist);
+          this.requestHistory();
+          this.openArtistDetail(response.artist);
+          this.setDetailStatus(successText);
+      });
+  }
+
+  setDetailStatus(text, isError = false) {
+      this.elements.detailStatus.textContent = text;
+      this.elements.detailStatus.classList.toggle('invalid', isError);
+  }
+
+  /**
+   * Marks the active song verdict; the active button is disabled, the other one switches it.
+   */
+  updateSongVerdictButtons(state) {
+      const { btnAllowSong, btnBlockSong } = this.elements;
+      const verdict = state.title ? state.songVerdict : null;
+
+      btnAllowSong.classList.toggle('active', verdict === 'allow');
+      btnBlockSong.classList.toggle('active', verdict === 'block');
+      btnAllowSong.disabled = !state.title || verdict === 'allow';
+      btnBlockSong.disabled = !state.title || verdict === 'block';
+      btnAllowSong.textContent = verdict === 'allow' ? 'Song always allowed' : 'Always allow this song';
+      btnBlockSong.textContent = verdict === 'block' ? 'Song always blocked' : 'Always block this song';
+  }
+
   toggleExpand() {
     this.isExpanded = true;
     this.elements.searchContainer.classList.remove('hidden');
@@ -206,10 +746,31 @@ class PopupController {
                   const btnEl = clone.querySelector('.btn-icon-toggle');
                   
                   nameEl.textContent = artist.name;
-                  nameEl.title = artist.name;
+                  nameEl.title = `${artist.name} (details)`;
+                  nameEl.addEventListener('click', () => this.openArtistDetail(artist));
+
+                  // Artists from a shared blocklist show which feed they came from
+                  if (artist.addedBy === 'feed' && artist.feedName) {
+                      const feedEl = clone.querySelector('.artist-feed');
+                      feedEl.textContent = `via ${artist.feedName}`;
+                      feedEl.title = `From the shared blocklist "${artist.feedName}"`;
+                      feedEl.classList.remove('hidden');
+                  }
+
+                  // Why? expander with the evidence behind the verdict
+                  const whyBtn = clone.querySelector('.btn-why');
+                  const whyPanel = clone.querySelector('.why-panel');
+                  whyBtn.addEventListener('click', () => {
+                      if (!whyPanel.hasChildNodes()) {
+                          const lines = this.describeVerdict(artist);
+                          if (lines.length === 0) lines.push({ text: 'No details recorded' });
+                          lines.forEach(line => this.appendWhyLine(whyPanel, line.text, line.className));
+                      }
+                      whyPanel.classList.toggle('hidden');
+                  });
 
                   // Determine status and button style
-                  if (artist.isRussian) {
+                  if (artist.verdict === 'block') {
                       // Currently Blocked -> Show "Allow"
                       btnEl.textContent = "Allow";
                       btnEl.classList.add('btn-action-sm', 'btn-action-allow');
@@ -13,12 +13,75 @@ function normalizeString(str) {
   return str.trim().toLowerCase();
 }
 
+/**
+ * Invisible characters that decorate or split names without showing:
+ * zero-width spaces and joiners, direction marks, soft hyphens, variation selectors.
+ */
+const INVISIBLE_CHARS = /[\u00ad\u034f\u180e\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufe00-\ufe0f\ufeff]/g;
+
+/**
+ * Emoji and their modifiers (skin tones, flags, keycaps, tag sequences).
+ */
+const EMOJI_CHARS = /[\p{Extended_Pictographic}\u{1f1e6}-\u{1f1ff}\u{1f3fb}-\u{1f3ff}\u20e3\u{e0020}-\u{e007f}]/gu;
+
+/**
+ * Lower case Latin letters and the Cyrillic letters that look the same (upper or lower case).
+ */
+const LATIN_TO_CYRILLIC = {
+  'a': 'а', 'b': 'в', 'c': 'с', 'e': 'е', 'h': 'н', 'i': 'і', 'k': 'к', 'm': 'м',
+  'o': 'о', 'p': 'р', 't': 'т', 'x': 'х', 'y': 'у'
+};
+const CYRILLIC_TO_LATIN = {
+  ...Object.fromEntries(Object.entries(LATIN_TO_CYRILLIC).map(([latin, cyrillic]) => [cyrillic, latin])),
+  'ѕ': 's', 'ј': 'j', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w'
+};
+
+/**
+ * Rewrites the homoglyphs of a word that mixes Latin and Cyrillic letters in the word's own script,
+ * judged by the letters that only exist in one of them ("кинo" with a Latin "o" -> "кино").
+ * Words in a single script are kept.
+ *
+ * @param {string} word - Lower case
+ * @returns {string}
+ */
+function foldConfusables(word) {
+  const chars = Array.from(word);
+  const latin = chars.filter(char => /\p{Script=Latin}/u.test(char));
+  const cyrillic = chars.filter(char => /\p{Script=Cyrillic}/u.test(char));
+  if (latin.length === 0 || cyrillic.length === 0) return word;
+
+  const latinOnly = latin.filter(char => !LATIN_TO_CYRILLIC[char]).length;
+  const cyrillicOnly = cyrillic.filter(char => !CYRILLIC_TO_LATIN[char]).length;
+  const map = cyrillicOnly > latinOnly ? LATIN_TO_CYRILLIC : CYRILLIC_TO_LATIN;
+  return chars.map(char => map[char] || char).join('');
+}
+
+/**
+ * Folds decorative Unicode to plain lower case text:
+ * - Removes zero-width characters and emoji
+ * - NFKC: mathematical and full-width letters, ligatures and circled letters become plain ones
+ * - Rewrites Latin/Cyrillic homoglyphs inside mixed-script words
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function foldUnicode(text) {
+  if (!text) return '';
+
+  return text
+    .replace(INVISIBLE_CHARS, '')
+    .replace(EMOJI_CHARS, ' ')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\p{L}\p{M}]+/gu, foldConfusables);
+}
+
 /**
  * Normalizes artist names by removing common feature markers.
  * - Removes "feat.", "ft.", "featuring" (case-insensitive)
  * - Removes "&", "and", "," when used as separators (optional based on strictness,
  *   but requirement says "remove & variants")
- * - Trims and lowercases
+ * - Folds decorative Unicode (foldUnicode), trims and lowercases
  * 
  * @param {string} artist 
  * @returns {string}
@@ -26,7 +89,7 @@ function normalizeString(str) {
 function normalizeArtist(artist) {
   if (!artist) return '';
   
-  let normalized = artist.toLowerCase();
+  let normalized = foldUnicode(artist);
   
   // Remove content in parentheses that starts with feat/ft
   normalized = normalized.replace(/\((?:feat|ft|featuring)\.?\s+[^)]+\)/g, '');
@@ -67,7 +130,7 @@ function normalizeArtist(artist) {
 /**
  * Normalizes song titles.
  * - Removes "feat." parts if they are in the title
- * - Trims and lowercases
+ * - Folds decorative Unicode (foldUnicode), trims and lowercases
  * 
  * @param {string} title 
  * @returns {string}
@@ -75,7 +138,7 @@ function normalizeArtist(artist) {
 function normalizeTitle(title) {
   if (!title) return '';
   
-  let normalized = title.toLowerCase();
+  let normalized = foldUnicode(title);
   
   // Remove (feat. X) or [ft. X] from title
   normalized = normalized.replace(/[\(\[]\s*(?:feat|ft|featuring)\.?\s+[^)\]]+[\)\]]/g, '');
@@ -104,7 +167,8 @@ function splitArtists(artistString) {
   // - " x " or " X " (common in EDM/HipHop, need spaces to avoid matching inside words)
   // - " feat. " or " ft. " or " featuring "
   
-  let temp = artistString;
+  // Full-width separators ("，", "＆") become plain ones
+  let temp = artistString.normalize('NFKC');
   
   // Normalize spacing first
   temp = temp.replace(/\s+/g, ' ');
@@ -151,14 +215,129 @@ function isUkrainianString(text) {
   return hasUkrainian && !hasRussian;
 }
 
+/**
+ * Romanization tables for Cyrillic artist names.
+ * Ukrainian follows the national standard (KMU 2010), Russian the BGN/PCGN system.
+ * `initial` overrides the mapping at the start of a word.
+ */
+const TRANSLITERATION_SCHEMES = {
+  uk: {
+    letters: {
+      'а': 'a', 'б': 'b', 'в': 'v', 'г': 'h', 'ґ': 'g', 'д': 'd', 'е': 'e', 'є': 'ie', 'ж': 'zh',
+      'з': 'z', 'и': 'y', 'і': 'i', 'ї': 'i', 'й': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n',
+      'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+      'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ь': '', 'ю': 'iu', 'я': 'ia'
+    },
+    initial: { 'є': 'ye', 'ї': 'yi', 'й': 'y', 'ю': 'yu', 'я': 'ya' }
+  },
+  ru: {
+    letters: {
+      'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z',
+      'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+      'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh',
+      'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya'
+    },
+    initial: {}
+  }
+};
+
+/**
+ * Latin letters without a decomposition into base letter and diacritic.
+ */
+const LATIN_FOLDS = {
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i'
+};
+
+/**
+ * Romanizes Cyrillic letters; other characters are kept.
+ * Expects lower case input.
+ *
+ * @param {string} text
+ * @param {string} scheme - TRANSLITERATION_SCHEMES key ('uk' or 'ru')
+ * @returns {string}
+ */
+function transliterate(text, scheme) {
+  if (!text) return '';
+  // Letters of the other alphabet ("і" for Russian, "ы" for Ukrainian) are taken from the other scheme,
+  // so every key is pure Latin
+  const schemes = [
+    TRANSLITERATION_SCHEMES[scheme],
+    ...Object.keys(TRANSLITERATION_SCHEMES).filter(other => other !== scheme).map(other => TRANSLITERATION_SCHEMES[other])
+  ];
+
+  // NFC first, so letters like "й" and "ї" are single characters
+  return Array.from(text.normalize('NFC')).map((char, index, chars) => {
+    const source = schemes.find(candidate => candidate.letters[char] !== undefined);
+    if (!source) return char;
+
+    const atWordStart = index === 0 || !/[\p{L}'’ʼ]/u.test(chars[index - 1]);
+    if (atWordStart && source.initial[char] !== undefined) return source.initial[char];
+    return source.letters[char];
+  }).join('');
+}
+
+/**
+ * Removes diacritics from Latin letters ("kíno" -> "kino", "motörhead" -> "motorhead").
+ * Apply after transliterate, since Cyrillic letters like "й" decompose as well.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripDiacritics(text) {
+  if (!text) return '';
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæœøłđðþı]/g, char => LATIN_FOLDS[char])
+    .normalize('NFC');
+}
+
+/**
+ * Spelling-independent keys of an artist name, used when the exact normalized name does not match:
+ * the name romanized by each scheme, with diacritics removed. A Latin name has a single key.
+ * Two spellings are the same artist when they share a key ("Кино", "Kino", "Kíno" -> "kino").
+ *
+ * @param {string} artist
+ * @returns {string[]}
+ */
+function artistMatchKeys(artist) {
+  const normalized = normalizeArtist(artist);
+  if (!normalized) return [];
+
+  const keys = Object.keys(TRANSLITERATION_SCHEMES)
+    .map(scheme => stripDiacritics(transliterate(normalized, scheme)));
+  return [...new Set(keys)];
+}
+
+/**
+ * Whether two artist names refer to the same artist, by exact normalized name or a shared match key.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameArtist(a, b) {
+  const normalized = normalizeArtist(a);
+  if (!normalized) return false;
+  if (normalized === normalizeArtist(b)) return true;
+
+  const keys = artistMatchKeys(b);
+  return artistMatchKeys(a).some(key => keys.includes(key));
+}
+
 // Export for usage in ES modules or Service Workers
 if (typeof self !== 'undefined') {
   self.NormalizationUtils = {
     normalizeString,
     normalizeArtist,
     normalizeTitle,
+    foldUnicode,
     splitArtists,
-    isUkrainianString
+    isUkrainianString,
+    transliterate,
+    stripDiacritics,
+    artistMatchKeys,
+    isSameArtist
   };
 }
 
@@ -168,7 +347,12 @@ if (typeof module !== 'undefined' && module.exports) {
     normalizeString,
     normalizeArtist,
     normalizeTitle,
+    foldUnicode,
     splitArtists,
-    isUkrainianString
+    isUkrainianString,
+    transliterate,
+    stripDiacritics,
+    artistMatchKeys,
+    isSameArtist
   };
 }
@@ -0,0 +1,104 @@
+// ArtistIndex tests
+// Loads the background scripts as the service worker does (importScripts), with the artist
+// store replaced by an in-memory list.
+// Run: node --test test/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+let storedArtists = [];
+
+globalThis.self = globalThis;
+globalThis.StorageManager = {
+  async getArtists() {
+    return structuredClone(storedArtists);
+  }
+};
+
+for (const file of ['src/utils/normalization.js', 'src/background/artist-index.js']) {
+  const source = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(source, 'utf8'), { filename: source });
+}
+
+const { ArtistIndex } = self;
+
+beforeEach(() => {
+  storedArtists = [];
+  ArtistIndex.byKey = null;
+});
+
+test('loads the artist list on first use', async () => {
+  storedArtists = [{ id: 'a', name: 'Kino', aliases: ['Кино'] }];
+
+  assert.equal((await ArtistIndex.find('кино')).id, 'a');
+  assert.equal(await ArtistIndex.size(), 1);
+});
+
+test('a name takes precedence over another artist\'s alias', async () => {
+  ArtistIndex.build([
+    { id: 'b', name: 'Kino Band', aliases: ['Kino'] },
+    { id: 'a', name: 'Kino' }
+  ]);
+
+  assert.equal((await ArtistIndex.find('Kino')).id, 'a');
+  assert.equal((await ArtistIndex.findByName('Kino')).id, 'a');
+  assert.equal((await ArtistIndex.findByName('Kino Band')).id, 'b');
+});
+
+test('a deleted artist\'s keys go to the artists that still claim them', async () => {
+  ArtistIndex.build([
+    { id: 'a', name: 'Kino' },
+    { id: 'b', name: 'Kino Band', aliases: ['Kino'] }
+  ]);
+  assert.equal((await ArtistIndex.find('Kino')).id, 'a');
+
+  ArtistIndex.apply({ delete: ['a'] });
+  assert.equal((await ArtistIndex.find('Kino')).id, 'b');
+  assert.equal(await ArtistIndex.findByName('Kino'), null);
+  assert.equal(await ArtistIndex.get('a'), null);
+});
+
+test('a renamed artist frees its old name for another artist with that name', async () => {
+  ArtistIndex.build([
+    { id: 'a', name: 'Kino', aliases: ['Кино'] },
+    { id: 'b', name: 'Kino Band', aliases: ['Кино'] },
+    { id: 'c', name: 'Kino' }
+  ]);
+
+  ArtistIndex.apply({ put: [{ id: 'a', name: 'Kino (band)', aliases: ['Кино'] }] });
+  assert.equal((await ArtistIndex.findByName('Kino')).id, 'c');
+  assert.equal((await ArtistIndex.find('Kino')).id, 'c');
+  assert.equal((await ArtistIndex.find('Кино')).id, 'a');
+});
+
+test('reloads from the database after invalidate', async () => {
+  ArtistIndex.build([{ id: 'a', name: 'Kino' }]);
+  storedArtists = [{ id: 'b', name: 'Splin' }];
+
+  ArtistIndex.invalidate();
+  assert.equal(await ArtistIndex.find('Kino'), null);
+  assert.equal((await ArtistIndex.find('Splin')).id, 'b');
+});
+
+test('finds an artist in another script or without diacritics', async () => {
+  ArtistIndex.build([{ id: 'a', name: 'Кино' }, { id: 'b', name: 'Motörhead' }]);
+
+  assert.equal((await ArtistIndex.find('Kino')).id, 'a');
+  assert.equal((await ArtistIndex.find('Kíno')).id, 'a');
+  assert.equal((await ArtistIndex.find('Motorhead')).id, 'b');
+});
+
+test('a deleted artist\'s match keys go to the artists that still claim them', async () => {
+  ArtistIndex.build([
+    { id: 'a', name: 'Кино' },
+    { id: 'b', name: 'Kino Band', aliases: ['Kíno'] }
+  ]);
+  assert.equal((await ArtistIndex.find('Kino')).id, 'a');
+
+  ArtistIndex.apply({ delete: ['a'] });
+  assert.equal((await ArtistIndex.find('Kino')).id, 'b');
+  assert.equal((await ArtistIndex.find('Кино')).id, 'b');
+});
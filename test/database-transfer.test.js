@@ -0,0 +1,87 @@
+// DatabaseTransfer tests: export format and import validation
+// Loads the background script as the service worker does (importScripts); the tests only use the
+// parts that do not touch storage.
+// Run: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+globalThis.self = globalThis;
+
+const source = path.join(__dirname, '..', 'src/background/database-transfer.js');
+vm.runInThisContext(fs.readFileSync(source, 'utf8'), { filename: source });
+
+const { DatabaseTransfer } = self;
+
+const REVIEWED = {
+  name: 'Kino',
+  verdict: 'block',
+  verdictSource: 'ai',
+  addedBy: 'search',
+  confidence: 0.55,
+  needsReview: true,
+  rationale: 'Soviet rock band, "Gruppa Krovi"',
+  evidence: {
+    resolvedAt: 1792400000000,
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    reason: 'Soviet rock band, "Gruppa Krovi"',
+    channel: {
+      id: 'UC1',
+      title: 'Kino, Topic',
+      country: 'RU',
+      signals: [{ id: 'cyrillic', label: 'Cyrillic description' }],
+      descriptionExcerpt: 'Кино, советская рок-группа'
+    }
+  }
+};
+
+/** Export file content with the given artists. */
+function exportJson(artists) {
+  return JSON.stringify({ format: TRANSFER_FORMAT, version: TRANSFER_VERSION, artists, songs: [] });
+}
+
+test('the review state and evidence of an LLM verdict survive an export and import', () => {
+  const exported = DatabaseTransfer.exportArtist(REVIEWED);
+
+  for (const [text, format] of [[exportJson([exported]), 'json'], [DatabaseTransfer.toCsv([exported], []), 'csv']]) {
+    const { artists, errors } = DatabaseTransfer.parse(text, format);
+    assert.deepEqual(errors, [], format);
+    assert.equal(artists[0].confidence, 0.55, format);
+    assert.equal(artists[0].needsReview, true, format);
+    assert.equal(artists[0].rationale, REVIEWED.rationale, format);
+    assert.deepEqual(artists[0].evidence, REVIEWED.evidence, format);
+  }
+});
+
+test('CSV files without the review columns still import', () => {
+  const csv = `${CSV_COLUMNS.join(',')}\r\nartist,Kino,,RU,block,ai,search,,\r\n`;
+  const { artists, errors } = DatabaseTransfer.parse(csv, 'csv');
+
+  assert.deepEqual(errors, []);
+  assert.equal(artists[0].verdict, 'block');
+  assert.equal(artists[0].confidence, undefined);
+  assert.equal(artists[0].needsReview, undefined);
+  assert.equal(artists[0].evidence, undefined);
+});
+
+test('invalid review fields reject the artist', () => {
+  const { artists, errors } = DatabaseTransfer.parse(exportJson([
+    { name: 'A', verdict: 'block', confidence: 1.5 },
+    { name: 'B', verdict: 'block', confidence: '0.5' },
+    { name: 'C', verdict: 'block', needsReview: 'maybe' },
+    { name: 'D', verdict: 'block', rationale: ['list'] },
+    { name: 'F', verdict: 'block', evidence: { provider: 'openai' } },
+    { name: 'G', verdict: 'block', evidence: { resolvedAt: 1, provider: 'youtube', channel: { id: 'UC1' } } },
+    // Without a verdict there is nothing to review
+    { name: 'E', needsReview: true, confidence: null }
+  ]), 'json');
+
+  assert.deepEqual(artists.map(artist => artist.name), ['E']);
+  assert.equal(artists[0].needsReview, undefined);
+  assert.equal(errors.length, 6);
+  assert.match(errors[0], /^artists\[0\]: invalid confidence/);
+});
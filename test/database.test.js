@@ -0,0 +1,274 @@
+// Database tests: schema migrations and the one-off chrome.storage import
+// Loads the background scripts as the service worker does (importScripts), with IndexedDB and
+// chrome.storage replaced by in-memory fakes. Requests complete asynchronously, in order.
+// Run: node --test test/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// --- In-memory IndexedDB: only what database.js uses ---
+
+const databases = new Map(); // Name -> { version, stores: Map<name, {keyPath, indexes, records}> }
+
+const keyString = (key) => JSON.stringify(key);
+const valueAt = (record, keyPath) =>
+  Array.isArray(keyPath) ? keyPath.map(part => record[part]) : record[keyPath];
+
+class FakeTransaction {
+  constructor(database) {
+    this.database = database;
+    this.pending = 0;
+    this.done = false;
+  }
+
+  objectStore(name) {
+    const store = this.database.stores.get(name);
+    if (!store) throw new Error(`No object store ${name}`);
+    return new FakeObjectStore(this, store);
+  }
+
+  request(operation) {
+    const request = {};
+    this.pending++;
+    setTimeout(() => {
+      this.pending--;
+      try {
+        request.result = operation();
+        if (request.onsuccess) request.onsuccess();
+      } catch (error) {
+        request.error = error;
+        if (request.onerror) request.onerror();
+      }
+      this.settle();
+    });
+    return request;
+  }
+
+  // Commits once no request is pending, including those queued by success handlers
+  settle() {
+    setTimeout(() => {
+      if (this.pending > 0 || this.done) return;
+      this.done = true;
+      if (this.oncomplete) this.oncomplete();
+    });
+  }
+}
+
+class FakeObjectStore {
+  constructor(transaction, store) {
+    this.transaction = transaction;
+    this.store = store;
+  }
+
+  createIndex(name, keyPath, options = {}) {
+    this.store.indexes.set(name, { keyPath, multiEntry: !!options.multiEntry });
+  }
+
+  get(key) {
+    return this.transaction.request(() => structuredClone(this.store.records.get(keyString(key))));
+  }
+
+  getAll() {
+    return this.transaction.request(() => [...this.store.records.values()].map(record => structuredClone(record)));
+  }
+
+  put(record) {
+    const copy = structuredClone(record);
+    return this.transaction.request(() => {
+      this.store.records.set(keyString(valueAt(copy, this.store.keyPath)), copy);
+    });
+  }
+
+  delete(key) {
+    return this.transaction.request(() => { this.store.records.delete(keyString(key)); });
+  }
+
+  clear() {
+    return this.transaction.request(() => { this.store.records.clear(); });
+  }
+
+  index(name) {
+    const { keyPath, multiEntry } = this.store.indexes.get(name);
+    return {
+      getAll: (key) => this.transaction.request(() => [...this.store.records.values()]
+        .filter(record => {
+          const value = valueAt(record, keyPath);
+          return multiEntry && Array.isArray(value)
+            ? value.some(entry => keyString(entry) === keyString(key))
+            : keyString(value) === keyString(key);
+        })
+        .map(record => structuredClone(record)))
+    };
+  }
+}
+
+function openFakeDatabase(name, version) {
+  const request = {};
+  setTimeout(() => {
+    if (!databases.has(name)) databases.set(name, { version: 0, stores: new Map() });
+    const database = databases.get(name);
+    const oldVersion = database.version;
+
+    request.result = {
+      createObjectStore: (storeName, { keyPath }) => {
+        const store = { keyPath, indexes: new Map(), records: new Map() };
+        database.stores.set(storeName, store);
+        return new FakeObjectStore(request.transaction, store);
+      },
+      transaction: () => {
+        const transaction = new FakeTransaction(database);
+        transaction.settle();
+        return transaction;
+      }
+    };
+
+    if (oldVersion >= version) {
+      request.onsuccess();
+      return;
+    }
+
+    database.version = version;
+    request.transaction = new FakeTransaction(database);
+    request.transaction.oncomplete = () => request.onsuccess();
+    request.onupgradeneeded({ oldVersion });
+    request.transaction.settle();
+  });
+  return request;
+}
+
+// --- chrome.storage.local ---
+
+const local = new Map();
+
+globalThis.self = globalThis;
+globalThis.indexedDB = { open: openFakeDatabase };
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        const list = keys === null || keys === undefined ? [...local.keys()] : [].concat(keys);
+        return Object.fromEntries(list.filter(key => local.has(key)).map(key => [key, structuredClone(local.get(key))]));
+      },
+      async set(items) {
+        Object.entries(items).forEach(([key, value]) => local.set(key, structuredClone(value)));
+      },
+      async remove(keys) {
+        [].concat(keys).forEach(key => local.delete(key));
+      },
+      async clear() {
+        local.clear();
+      }
+    }
+  }
+};
+
+for (const file of ['src/utils/normalization.js', 'src/background/policy.js', 'src/background/database.js', 'src/background/storage.js', 'src/background/artist-index.js']) {
+  const source = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(source, 'utf8'), { filename: source });
+}
+
+const { Database, StorageManager, ArtistIndex } = self;
+
+beforeEach(() => {
+  databases.clear();
+  local.clear();
+  Database.connection = null;
+  ArtistIndex.invalidate();
+});
+
+/** Creates the database at an older schema version with the given records. */
+async function createDatabase(version, records) {
+  await new Promise(resolve => {
+    const request = indexedDB.open(DB_NAME, version);
+    request.onupgradeneeded = async (event) => {
+      for (let v = event.oldVersion; v < version; v++) {
+        await DB_MIGRATIONS[v](request.result, request.transaction);
+      }
+      Object.entries(records).forEach(([storeName, list]) => {
+        list.forEach(record => request.transaction.objectStore(storeName).put(record));
+      });
+    };
+    request.onsuccess = resolve;
+  });
+}
+
+test('a new database runs every migration', async () => {
+  await Database.open();
+
+  const database = databases.get(DB_NAME);
+  assert.equal(database.version, DB_MIGRATIONS.length);
+  assert.deepEqual([...database.stores.keys()].sort(), Object.values(DB_STORES).sort());
+  assert.deepEqual([...database.stores.get(DB_STORES.ARTISTS).indexes.keys()].sort(), ['addedBy', 'channelIds', 'feedId', 'nameKey']);
+});
+
+test('v2 re-keys the search cache by normalized artist name', async () => {
+  await createDatabase(1, {
+    [DB_STORES.SEARCH_CACHE]: [
+      { query: 'Kino', state: 'failed', error: 'No results found', timestamp: 3 },
+      { query: 'KINO', state: 'resolved', results: [{ canonicalName: 'Kino' }], timestamp: 1 },
+      { query: 'Splin', state: 'failed', error: 'HTTP 503', timestamp: 2 }
+    ]
+  });
+
+  const entries = await Database.getAll(DB_STORES.SEARCH_CACHE);
+  assert.equal(databases.get(DB_NAME).version, DB_MIGRATIONS.length);
+  assert.deepEqual(entries.map(entry => entry.query).sort(), [SEARCH_CACHE_KEYS.artist('Kino'), SEARCH_CACHE_KEYS.artist('Splin')]);
+
+  // Spellings of one artist collapse into one entry; a result beats a newer failure
+  const kino = entries.find(entry => entry.query === SEARCH_CACHE_KEYS.artist('Kino'));
+  assert.equal(kino.state, 'resolved');
+  assert.equal(kino.name, 'KINO');
+  assert.deepEqual(kino.data, { results: [{ canonicalName: 'Kino' }] });
+  assert.equal(kino.results, undefined);
+});
+
+test('v3 recomputes the normalized keys with Unicode folding', async () => {
+  // Keys as the normalization before folding left them
+  await createDatabase(2, {
+    [DB_STORES.ARTISTS]: [{ id: 'a', name: 'Ｋｉｎｏ', nameKey: 'ｋｉｎｏ' }],
+    [DB_STORES.SONGS]: [{ id: 's', title: 'Gruppa Krovi \u{1F3B8}', artist: 'Ｋｉｎｏ', titleKey: 'gruppa krovi \u{1F3B8}', artistKey: 'ｋｉｎｏ' }],
+    [DB_STORES.SEARCH_CACHE]: [{ query: 'artist:ｋｉｎｏ', name: 'Ｋｉｎｏ', state: 'resolved', timestamp: 1 }]
+  });
+
+  assert.equal((await Database.getAllByIndex(DB_STORES.ARTISTS, 'nameKey', 'kino'))[0].id, 'a');
+  assert.equal((await Database.getAllByIndex(DB_STORES.SONGS, 'songKey', ['gruppa krovi', 'kino']))[0].id, 's');
+  assert.deepEqual((await Database.getAll(DB_STORES.SEARCH_CACHE)).map(entry => entry.query), [SEARCH_CACHE_KEYS.artist('Kino')]);
+});
+
+test('records get the normalized keys their indexes are built on', async () => {
+  await Database.write(DB_STORES.ARTISTS, { put: [{ id: 'a', name: 'KINO', channelIds: ['UC1'] }] });
+  await Database.write(DB_STORES.SONGS, { put: [{ id: 's', title: 'Gruppa Krovi', artist: 'Kino' }] });
+
+  assert.equal((await Database.getAllByIndex(DB_STORES.ARTISTS, 'nameKey', 'kino'))[0].id, 'a');
+  assert.equal((await Database.getAllByIndex(DB_STORES.ARTISTS, 'channelIds', 'UC1'))[0].id, 'a');
+  assert.equal((await Database.getAllByIndex(DB_STORES.SONGS, 'songKey', ['gruppa krovi', 'kino']))[0].id, 's');
+});
+
+test('the chrome.storage import runs once and upgrades legacy artists', async () => {
+  local.set(STORAGE_KEYS.ARTISTS, [{ name: 'Kino', isRussian: 'true' }, { name: 'Okean Elzy', isRussian: false }]);
+  local.set(STORAGE_KEYS.SONGS, [{ title: 'Gruppa Krovi', artist: 'Kino' }]);
+  local.set(STORAGE_KEYS.SEARCH_CACHE, { kino: { timestamp: 1, results: [] } });
+
+  // The index was loaded before the import: it must not keep serving the empty list
+  assert.equal(await ArtistIndex.find('Kino'), null);
+
+  await StorageManager.migrateFromChromeStorage();
+
+  const artists = await Database.getAll(DB_STORES.ARTISTS);
+  assert.equal(artists.length, 2);
+  assert.equal(artists.find(artist => artist.name === 'Kino').verdict, 'block');
+  assert.equal(artists.find(artist => artist.name === 'Okean Elzy').verdict, 'allow');
+  assert.ok(artists.every(artist => artist.id && artist.isRussian === undefined));
+  assert.equal((await Database.getAll(DB_STORES.SONGS)).length, 1);
+  assert.equal((await Database.getAll(DB_STORES.SEARCH_CACHE)).length, 1);
+  assert.equal(local.has(STORAGE_KEYS.ARTISTS), false);
+  assert.equal((await ArtistIndex.find('Kino')).verdict, 'block');
+
+  // A second start finds the import recorded and leaves the data alone
+  local.set(STORAGE_KEYS.ARTISTS, [{ name: 'Splin', isRussian: true }]);
+  await StorageManager.migrateFromChromeStorage();
+  assert.equal((await Database.getAll(DB_STORES.ARTISTS)).length, 2);
+});
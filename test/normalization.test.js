@@ -0,0 +1,54 @@
+// NormalizationUtils tests: artist spellings across scripts and diacritics
+// Run: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { artistMatchKeys, isSameArtist } = require('../src/utils/normalization.js');
+
+// [spelling, spelling, same artist?]
+const SPELLINGS = [
+  ['Кино', 'Kino', true],
+  ['Kíno', 'Kino', true],
+  ['Кино', 'Kíno', true],
+  ['Кино', 'Кіно', true],
+  ['Океан Ельзи', 'Okean Elzy', true],
+  ['Океан Ельзи', 'Океан Эльзи', true],
+  ['Антитіла', 'Antytila', true],
+  ['Бумбокс', 'Bumboks', true],
+  ['Скрябін', 'Skryabin', true],
+  ['Скрябін', 'Skriabin', true],
+  ['ДахаБраха', 'DakhaBrakha', true],
+  ['Їжак', 'Yizhak', true],
+  ['Ляпис Трубецкой', 'Lyapis Trubetskoy', true],
+  ['Мумий Тролль', 'Mumiy Troll', true],
+  ['Гражданская оборона', 'Grazhdanskaya oborona', true],
+  ['Сплин', 'Splin', true],
+  ['Би-2', 'Bi-2', true],
+  ['Ёлка', 'Yolka', true],
+  ['Motörhead', 'Motorhead', true],
+  ['Sigur Rós', 'Sigur Ros', true],
+  ['Kino', 'Kino feat. DDT', true],
+  ['Бумбокс', 'Boombox', false],
+  ['Metallica', 'Megadeth', false],
+  ['Кино', 'Кипелов', false]
+];
+
+for (const [a, b, expected] of SPELLINGS) {
+  test(`"${a}" and "${b}" are ${expected ? 'the same artist' : 'different artists'}`, () => {
+    assert.equal(isSameArtist(a, b), expected);
+    assert.equal(isSameArtist(b, a), expected);
+  });
+}
+
+test('match keys are pure Latin, whichever alphabet the letters come from', () => {
+  for (const name of ['Скрябін', 'Ёлка', 'Єгор Крід', 'Подъезд', 'Ґрунт', 'Эльзи']) {
+    for (const key of artistMatchKeys(name)) {
+      assert.doesNotMatch(key, /\p{Script=Cyrillic}/u, `${name} -> ${key}`);
+    }
+  }
+});
+
+test('a Latin name has a single match key', () => {
+  assert.deepEqual(artistMatchKeys('Kíno'), ['kino']);
+  assert.deepEqual(artistMatchKeys("Guns N' Roses"), ["guns n' roses"]);
+});
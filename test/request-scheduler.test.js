@@ -0,0 +1,136 @@
+// RequestScheduler tests: priorities, timeouts and Retry-After handling
+// Loads the background script as the service worker does (importScripts), with fetch() replaced
+// by a stub the tests answer by hand.
+// Run: node --test test/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+globalThis.self = globalThis;
+
+const source = path.join(__dirname, '..', 'src/background/request-scheduler.js');
+vm.runInThisContext(fs.readFileSync(source, 'utf8'), { filename: source });
+
+const { RequestScheduler } = self;
+
+let calls = []; // { url, init, respond(response), fail(error) } per fetch() call
+
+globalThis.fetch = (url, init) => new Promise((resolve, reject) => {
+  calls.push({ url, init, respond: resolve, fail: reject });
+  init.signal.addEventListener('abort', () => {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+});
+
+function response(status, headers = {}) {
+  return { status, headers: { get: name => headers[name] ?? null } };
+}
+
+/** Resolves once `count` fetch() calls were made. */
+async function callsMade(count) {
+  while (calls.length < count) await new Promise(resolve => setTimeout(resolve, 1));
+}
+
+beforeEach(() => {
+  calls = [];
+  RequestScheduler.providers = new Map();
+  console.warn = () => {};
+});
+
+test('runs queued requests by priority, then in arrival order', async () => {
+  // The LLM provider runs one request at a time
+  const first = RequestScheduler.fetch('llm', 'first', {}, { priority: REQUEST_PRIORITY.CURRENT });
+  const queued = [
+    RequestScheduler.fetch('llm', 'prefetch-1', {}, { priority: REQUEST_PRIORITY.PREFETCH }),
+    RequestScheduler.fetch('llm', 'current', {}, { priority: REQUEST_PRIORITY.CURRENT }),
+    RequestScheduler.fetch('llm', 'prefetch-2', {}, { priority: REQUEST_PRIORITY.PREFETCH, key: 'Kino' })
+  ];
+  // The song of the second prefetch starts playing
+  RequestScheduler.promote('Kino', REQUEST_PRIORITY.CURRENT);
+
+  for (let i = 0; i < 4; i++) {
+    await callsMade(i + 1);
+    calls[i].respond(response(200));
+  }
+  await Promise.all([first, ...queued]);
+
+  assert.deepEqual(calls.map(call => call.url), ['first', 'current', 'prefetch-2', 'prefetch-1']);
+});
+
+test('keeps to the provider\'s concurrency limit', async () => {
+  const requests = ['a', 'b', 'c'].map(url => RequestScheduler.fetch('youtube', url));
+
+  await callsMade(2);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(calls.length, SCHEDULER_LIMITS.youtube.concurrency);
+
+  calls[0].respond(response(200));
+  await callsMade(3);
+  calls.slice(1).forEach(call => call.respond(response(200)));
+  await Promise.all(requests);
+});
+
+test('aborts a request that exceeds its timeout', async () => {
+  const request = RequestScheduler.fetch('youtube', 'slow', {}, { timeoutMs: 20, retries: 0, label: 'YouTube' });
+  await assert.rejects(request, /YouTube request timed out after 20ms/);
+});
+
+test('waits for Retry-After and holds back the provider\'s other requests', async () => {
+  const startedAt = Date.now();
+  const throttled = RequestScheduler.fetch('llm', 'throttled');
+  await callsMade(1);
+  calls[0].respond(response(429, { 'Retry-After': '1' }));
+
+  // Queued behind the pause, although the provider has a free slot
+  const other = RequestScheduler.fetch('llm', 'other', {}, { priority: REQUEST_PRIORITY.CURRENT });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(calls.length, 1);
+
+  await callsMade(2);
+  assert.ok(Date.now() - startedAt >= 990, 'retried before Retry-After passed');
+  assert.equal(calls[1].url, 'throttled');
+  calls[1].respond(response(200));
+  await callsMade(3);
+  calls[2].respond(response(200));
+
+  assert.equal((await throttled).status, 200);
+  assert.equal((await other).status, 200);
+});
+
+test('gives up instead of waiting for a Retry-After beyond the limit', async () => {
+  const request = RequestScheduler.fetch('youtube', 'throttled');
+  await callsMade(1);
+  calls[0].respond(response(429, { 'Retry-After': String(MAX_RETRY_DELAY_MS / 1000 + 1) }));
+
+  assert.equal((await request).status, 429);
+  assert.equal(calls.length, 1);
+});
+
+test('a throwing attempt hook fails the request without sending it', async () => {
+  const attempts = [];
+  const request = RequestScheduler.fetch('llm', 'capped', {}, {
+    onAttempt: async (attempt) => {
+      attempts.push(attempt);
+      throw new Error('Daily LLM spend cap reached');
+    }
+  });
+
+  await assert.rejects(request, /spend cap reached/);
+  assert.deepEqual(attempts, [0]);
+  assert.equal(calls.length, 0);
+});
+
+test('parses Retry-After as seconds or as an HTTP date', () => {
+  assert.equal(RequestScheduler.parseRetryAfter('120'), 120000);
+  assert.equal(RequestScheduler.parseRetryAfter(null), null);
+  assert.equal(RequestScheduler.parseRetryAfter('soon'), null);
+
+  const delay = RequestScheduler.parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+  assert.ok(delay > 28000 && delay <= 30000);
+  assert.equal(RequestScheduler.parseRetryAfter(new Date(Date.now() - 30000).toUTCString()), 0);
+});
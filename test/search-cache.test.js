@@ -0,0 +1,118 @@
+// SearchCache tests: per-state TTLs, retry backoff and LRU eviction
+// Loads the background script as the service worker does (importScripts), with the cache store
+// replaced by an in-memory stub and the clock set by the tests.
+// Run: node --test test/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const entries = new Map(); // Query -> stored entry
+let now;
+
+globalThis.self = globalThis;
+globalThis.StorageManager = {
+  async getSearchCacheEntry(query) {
+    return structuredClone(entries.get(query) || null);
+  },
+  async updateSearchCacheEntry(query, entry) {
+    entries.set(query, { ...structuredClone(entry), query });
+  },
+  async modifySearchCacheEntry(query, update) {
+    const entry = update(structuredClone(entries.get(query) || null));
+    if (!entry) return false;
+    entries.set(query, { ...entry, query });
+    return true;
+  },
+  async getSearchCache() {
+    return Object.fromEntries([...entries].map(([query, entry]) => [query, structuredClone(entry)]));
+  },
+  async deleteSearchCacheEntries(queries) {
+    queries.forEach(query => entries.delete(query));
+  },
+  async countSearchCache() {
+    return entries.size;
+  }
+};
+Date.now = () => now;
+console.log = () => {};
+
+for (const file of ['src/utils/normalization.js', 'src/background/database.js', 'src/background/search-cache.js']) {
+  const source = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(source, 'utf8'), { filename: source });
+}
+
+const { SearchCache } = self;
+
+const KINO = SEARCH_CACHE_KEYS.artist('Kino');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+beforeEach(() => {
+  entries.clear();
+  now = Date.parse('2026-10-19T12:00:00Z');
+});
+
+test('entries expire per state', () => {
+  const at = (state, age) => SearchCache.evaluate({ query: KINO, state, timestamp: now - age }, now);
+
+  assert.equal(at('pending', SEARCH_CACHE_TTL.pending).state, 'pending');
+  const lost = at('pending', SEARCH_CACHE_TTL.pending + 1);
+  assert.equal(lost.state, 'failed');
+  assert.ok(lost.retryAt <= now, 'a lost lookup may be retried right away');
+
+  assert.equal(at('resolved', DAY).state, 'resolved');
+  assert.equal(at('resolved', DAY + 1), null);
+  assert.equal(at('failed', 7 * DAY).state, 'failed');
+  assert.equal(at('failed', 7 * DAY + 1), null);
+});
+
+test('each failure in a row doubles the wait before the next lookup', async () => {
+  assert.equal(await SearchCache.setPending('Kino'), true);
+  await SearchCache.setFailed('Kino', 'HTTP 503');
+  assert.equal(entries.get(KINO).retryAt, now + RETRY_BACKOFF_BASE);
+  assert.equal(await SearchCache.setPending('Kino'), false);
+
+  now += RETRY_BACKOFF_BASE;
+  assert.equal(await SearchCache.setPending('Kino'), true);
+  await SearchCache.setFailed('Kino', 'HTTP 503');
+  assert.equal(entries.get(KINO).retries, 2);
+  assert.equal(entries.get(KINO).retryAt, now + 2 * RETRY_BACKOFF_BASE);
+
+  assert.equal(SearchCache.backoff(30), RETRY_BACKOFF_MAX);
+});
+
+test('a deferred lookup waits for the given time without counting as a failure', async () => {
+  await SearchCache.setPending('Kino');
+  await SearchCache.setFailed('Kino', 'HTTP 503');
+  now += RETRY_BACKOFF_BASE;
+  await SearchCache.setPending('Kino');
+
+  const resetsAt = now + 5 * 60 * MINUTE;
+  await SearchCache.setDeferred('Kino', 'YouTube quota budget reached', resetsAt);
+  assert.equal(entries.get(KINO).retries, 1);
+  assert.equal(entries.get(KINO).retryAt, resetsAt);
+
+  now = resetsAt - 1;
+  assert.equal(await SearchCache.setPending('Kino'), false);
+  now = resetsAt;
+  assert.equal(await SearchCache.setPending('Kino'), true);
+});
+
+test('prune removes expired entries, then the least recently used beyond the limit', async () => {
+  for (let i = 0; i < SEARCH_CACHE_MAX_ENTRIES; i++) {
+    entries.set(`artist ${i}`, { query: `artist ${i}`, state: 'resolved', timestamp: now, lastAccess: now - MINUTE });
+  }
+  entries.set('expired', { query: 'expired', state: 'resolved', timestamp: now - DAY - 1 });
+  entries.set('oldest', { query: 'oldest', state: 'resolved', timestamp: now, lastAccess: now - 3 * MINUTE });
+  entries.set('old', { query: 'old', state: 'failed', timestamp: now, lastAccess: now - 2 * MINUTE });
+  // Running lookups stay, however long ago they were read
+  entries.set('running', { query: 'running', state: 'pending', timestamp: now, lastAccess: now - DAY });
+
+  assert.deepEqual(await SearchCache.prune(), { expired: 1, evicted: 3 });
+  assert.equal(entries.size, SEARCH_CACHE_MAX_ENTRIES);
+  assert.ok(entries.has('running'));
+  assert.ok(!entries.has('expired') && !entries.has('oldest') && !entries.has('old'));
+});
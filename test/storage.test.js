@@ -0,0 +1,116 @@
+// StorageManager write queue tests
+// Loads the background scripts as the service worker does (importScripts), with IndexedDB replaced
+// by an in-memory Database stub whose reads and writes take a tick, like real transactions.
+// Run: node --test test/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const records = new Map(); // Artist ID -> stored record
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+globalThis.self = globalThis;
+globalThis.DB_STORES = { ARTISTS: 'artists', SONGS: 'songs', SEARCH_CACHE: 'search_cache', META: 'meta' };
+globalThis.Database = {
+  async getAll() {
+    await tick();
+    return [...records.values()].map(record => structuredClone(record));
+  },
+  async write(storeName, { put = [], delete: deletes = [] }) {
+    await tick();
+    put.forEach(record => records.set(record.id, structuredClone(record)));
+    deletes.forEach(id => records.delete(id));
+  }
+};
+
+for (const file of ['src/utils/normalization.js', 'src/background/policy.js', 'src/background/storage.js', 'src/background/artist-index.js']) {
+  const source = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(source, 'utf8'), { filename: source });
+}
+
+const { StorageManager, ArtistIndex } = self;
+
+beforeEach(() => {
+  records.clear();
+  ArtistIndex.build([]);
+});
+
+test('parallel addArtist calls save every artist', async () => {
+  const count = 50;
+  await Promise.all(Array.from({ length: count }, (_, i) => StorageManager.addArtist({
+    id: `id-${i}`,
+    name: `Artist ${i}`,
+    verdict: 'block',
+    addedBy: 'search'
+  })));
+
+  assert.equal(records.size, count);
+  for (let i = 0; i < count; i++) {
+    assert.equal(records.get(`id-${i}`).name, `Artist ${i}`);
+  }
+});
+
+test('parallel addArtist calls for one name merge into a single record', async () => {
+  const count = 20;
+  await Promise.all(Array.from({ length: count }, (_, i) => StorageManager.addArtist({
+    id: `id-${i}`,
+    name: 'Kino',
+    aliases: [`Alias ${i}`],
+    verdict: 'block',
+    addedBy: 'search'
+  })));
+
+  assert.equal(records.size, 1);
+  const [artist] = records.values();
+  assert.equal(artist.aliases.length, count);
+});
+
+test('a lookup result does not replace a manual verdict', async () => {
+  await StorageManager.addArtist({ id: 'manual', name: 'Kino', verdict: 'allow', addedBy: 'user_allow' });
+  await StorageManager.addArtist({ id: 'lookup', name: 'Kino', verdict: 'block', addedBy: 'search', country: 'RU' });
+
+  assert.equal(records.size, 1);
+  const artist = records.get('manual');
+  assert.equal(artist.verdict, 'allow');
+  assert.equal(artist.addedBy, 'user_allow');
+  assert.equal(artist.country, 'RU');
+});
+
+test('a failing task does not stop or reorder the tasks queued after it', async () => {
+  const order = [];
+  const first = WriteQueue.run('store', async () => {
+    await tick();
+    order.push('first');
+  });
+  const failing = WriteQueue.run('store', async () => {
+    order.push('failing');
+    throw new Error('write failed');
+  });
+  const last = WriteQueue.run('store', async () => {
+    order.push('last');
+    return 'done';
+  });
+
+  await first;
+  await assert.rejects(failing, /write failed/);
+  assert.equal(await last, 'done');
+  assert.deepEqual(order, ['first', 'failing', 'last']);
+
+  // The finished chain is dropped
+  await tick();
+  assert.equal(WriteQueue.tails.has('store'), false);
+});
+
+test('a lookup result leaves a manual verdict and its review state alone', () => {
+  const stored = { id: 'a', name: 'Kino', verdict: 'allow', addedBy: 'user_allow', needsReview: false };
+  const changed = StorageManager.mergeArtist(stored, {
+    name: 'Kino', verdict: 'block', addedBy: 'search', confidence: 0.4, rationale: 'Guess', needsReview: true
+  });
+
+  assert.equal(changed, false);
+  assert.deepEqual(stored, { id: 'a', name: 'Kino', verdict: 'allow', addedBy: 'user_allow', needsReview: false });
+});
@@ -0,0 +1,122 @@
+// YouTubeQuota tests: reservations, booking and the Pacific-time quota day
+// Loads the background script as the service worker does (importScripts), with the ledger storage
+// and settings replaced by in-memory stubs and the clock set by the tests.
+// Run: node --test test/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+let storedLedger = null;
+let youtubeSettings;
+let now;
+
+globalThis.self = globalThis;
+globalThis.StorageManager = {
+  async getYouTubeQuota() {
+    return structuredClone(storedLedger);
+  },
+  async updateYouTubeQuota(update) {
+    storedLedger = structuredClone(update(structuredClone(storedLedger)));
+  }
+};
+globalThis.SettingsManager = {
+  async get() {
+    return { youtube: youtubeSettings };
+  }
+};
+Date.now = () => now;
+
+const source = path.join(__dirname, '..', 'src/background/youtube-quota.js');
+vm.runInThisContext(fs.readFileSync(source, 'utf8'), { filename: source });
+
+const { YouTubeQuota } = self;
+
+// Midnight Pacific (daylight saving time, UTC-7) on 19 October 2026
+const MIDNIGHT = Date.parse('2026-10-19T07:00:00Z');
+const LOOKUP = YOUTUBE_QUOTA_COSTS.search + YOUTUBE_QUOTA_COSTS.channels;
+
+beforeEach(() => {
+  storedLedger = null;
+  youtubeSettings = { dailyBudget: 150, overBudget: QUOTA_MODES.LLM_ONLY };
+  now = MIDNIGHT - 60 * 60 * 1000;
+});
+
+test('the quota day follows Pacific time', () => {
+  assert.equal(YouTubeQuota.quotaDay(MIDNIGHT - 1000), '2026-10-18');
+  assert.equal(YouTubeQuota.quotaDay(MIDNIGHT), '2026-10-19');
+  assert.equal(YouTubeQuota.nextReset(MIDNIGHT - 1000), MIDNIGHT);
+  assert.equal(YouTubeQuota.nextReset(MIDNIGHT), MIDNIGHT + 24 * 60 * 60 * 1000);
+});
+
+test('a reservation holds its units until the calls are booked or it is released', async () => {
+  const first = await YouTubeQuota.reserve(LOOKUP);
+  assert.equal(first.mode, QUOTA_MODES.FULL);
+  assert.ok(first.reservation);
+
+  // A concurrent lookup cannot plan with the reserved units
+  const second = await YouTubeQuota.reserve(LOOKUP);
+  assert.equal(second.mode, QUOTA_MODES.LLM_ONLY);
+  assert.equal(second.remaining, 150 - LOOKUP);
+  assert.equal(second.reservation, null);
+
+  await YouTubeQuota.record('search', first.reservation);
+  let status = await YouTubeQuota.getStatus();
+  assert.equal(status.used, YOUTUBE_QUOTA_COSTS.search);
+  assert.equal(status.remaining, 150 - LOOKUP);
+
+  await YouTubeQuota.release(first.reservation);
+  status = await YouTubeQuota.getStatus();
+  assert.equal(status.remaining, 150 - YOUTUBE_QUOTA_COSTS.search);
+  assert.deepEqual(status.calls, { search: 1 });
+});
+
+test('every attempt is booked, retries included', async () => {
+  const { reservation } = await YouTubeQuota.reserve(LOOKUP);
+  await YouTubeQuota.record('search', reservation);
+  await YouTubeQuota.record('search', reservation); // Retry after a 503
+
+  const status = await YouTubeQuota.getStatus();
+  assert.equal(status.used, 2 * YOUTUBE_QUOTA_COSTS.search);
+  assert.equal(status.remaining, 0);
+});
+
+test('reservations of lookups that never ended lapse', async () => {
+  await YouTubeQuota.reserve(LOOKUP);
+  now += QUOTA_RESERVATION_TTL + 1;
+
+  assert.equal((await YouTubeQuota.reserve(LOOKUP)).mode, QUOTA_MODES.FULL);
+});
+
+test('defer mode postpones lookups until the quota resets', async () => {
+  youtubeSettings.overBudget = QUOTA_MODES.DEFERRED;
+  await YouTubeQuota.record('search');
+
+  const quota = await YouTubeQuota.reserve(LOOKUP);
+  assert.equal(quota.mode, QUOTA_MODES.DEFERRED);
+  assert.equal(quota.resetsAt, MIDNIGHT);
+});
+
+test('the ledger starts over at Pacific midnight', async () => {
+  const { reservation } = await YouTubeQuota.reserve(LOOKUP);
+  await YouTubeQuota.record('search', reservation);
+  await YouTubeQuota.markExhausted();
+  assert.equal((await YouTubeQuota.getStatus()).remaining, 0);
+
+  now = MIDNIGHT;
+  let status = await YouTubeQuota.getStatus();
+  assert.equal(status.day, '2026-10-19');
+  assert.equal(status.used, 0);
+  assert.equal(status.exhausted, false);
+  assert.equal(status.remaining, 150);
+
+  // A call of a lookup that reserved before midnight is booked on the new day
+  await YouTubeQuota.record('channels', reservation);
+  await YouTubeQuota.release(reservation);
+  status = await YouTubeQuota.getStatus();
+  assert.equal(status.used, YOUTUBE_QUOTA_COSTS.channels);
+  assert.deepEqual(status.calls, { channels: 1 });
+  assert.equal((await YouTubeQuota.reserve(LOOKUP)).mode, QUOTA_MODES.FULL);
+});